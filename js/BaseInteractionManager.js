@@ -32,6 +32,14 @@ export class BaseInteractionManager {
         // State tracking
         this.currentHighlightedElement = null;
         this.activeInteractions = new Set();
+
+        // Keyboard access to the figure
+        this.keyboardNav = null; // {nodes, nodesById, byElement, outgoing, incoming, handlers, current, via, returnFocus}
+        this.liveRegion = null;
+
+        // Node whose modal is open, and a callback(nodeKey|null) for when it changes
+        this.openNodeKey = null;
+        this.onOpenNodeChange = null;
         
         Logger.debug(`BaseInteractionManager initialized (Touch device: ${this.isTouchDevice})`);
     }
@@ -221,8 +229,9 @@ export class BaseInteractionManager {
     positionTooltip(event, offset = { x: 10, y: -10 }, position = 'auto') {
         if (!this.tooltip) return;
 
-        let x = event.pageX + offset.x;
-        let y = event.pageY + offset.y;
+        const { pageX, pageY } = this.getEventPagePosition(event);
+        let x = pageX + offset.x;
+        let y = pageY + offset.y;
 
         // Get tooltip dimensions
         this.tooltip.style.visibility = 'hidden';
@@ -238,12 +247,12 @@ export class BaseInteractionManager {
 
         // Horizontal adjustment
         if (x + rect.width > scrollX + viewportWidth) {
-            x = event.pageX - rect.width - Math.abs(offset.x);
+            x = pageX - rect.width - Math.abs(offset.x);
         }
 
         // Vertical adjustment  
         if (y + rect.height > scrollY + viewportHeight) {
-            y = event.pageY - rect.height - Math.abs(offset.y);
+            y = pageY - rect.height - Math.abs(offset.y);
         }
 
         // Ensure tooltip stays within viewport
@@ -254,6 +263,34 @@ export class BaseInteractionManager {
         this.tooltip.style.top = y + 'px';
     }
 
+    /**
+     * Page position to anchor a tooltip at: the pointer for mouse events, the
+     * lifted finger for touch events, otherwise the centre of the event target
+     * as currently drawn (so that it follows any zoom of the figure)
+     * @param {Event} event - Triggering event
+     * @returns {{pageX: number, pageY: number}}
+     */
+    getEventPagePosition(event) {
+        if (Number.isFinite(event.pageX) && Number.isFinite(event.pageY)) {
+            return { pageX: event.pageX, pageY: event.pageY };
+        }
+
+        const touch = event.changedTouches?.[0];
+        if (touch) {
+            return { pageX: touch.pageX, pageY: touch.pageY };
+        }
+
+        const rect = event.target?.getBoundingClientRect?.();
+        if (rect) {
+            return {
+                pageX: rect.left + rect.width / 2 + window.pageXOffset,
+                pageY: rect.top + rect.height / 2 + window.pageYOffset
+            };
+        }
+
+        return { pageX: window.pageXOffset, pageY: window.pageYOffset };
+    }
+
     /**
      * Show tooltip with automatic dismissal on touch devices
      * @param {Event} event - Touch event
@@ -304,6 +341,8 @@ export class BaseInteractionManager {
     showModal(content, options = {}) {
         if (!this.modal || !this.modalBody) return;
 
+        this.setOpenNodeKey(null);
+
         const {
             title = '',
             showCloseButton = true,
@@ -329,6 +368,7 @@ export class BaseInteractionManager {
         setTimeout(() => {
             this.modal.classList.add(CSS_CLASSES.SHOW);
         }, CONFIG.MODAL_SHOW_DELAY_MS || 10);
+        this.closeButton?.focus();
 
         Logger.debug('Modal shown');
     }
@@ -340,6 +380,8 @@ export class BaseInteractionManager {
         if (!this.modal) return;
 
         this.modal.classList.remove(CSS_CLASSES.SHOW);
+        this.restoreKeyboardFocus();
+        this.setOpenNodeKey(null);
         
         setTimeout(() => {
             this.modal.style.display = 'none';
@@ -349,6 +391,18 @@ export class BaseInteractionManager {
         Logger.debug('Modal closed');
     }
 
+    /**
+     * Record which node's modal is open
+     * @param {string|null} nodeKey - Node key (node-{index}), or null when no node modal is open
+     */
+    setOpenNodeKey(nodeKey) {
+        if (this.openNodeKey === nodeKey) return;
+        this.openNodeKey = nodeKey;
+        if (this.onOpenNodeChange) {
+            this.onOpenNodeChange(nodeKey);
+        }
+    }
+
     /**
      * Cleanup modal resources (observers, listeners, etc.)
      */
@@ -548,6 +602,216 @@ export class BaseInteractionManager {
         return this.activeInteractions.has(interactionId);
     }
 
+    // =============================================================================
+    // KEYBOARD NAVIGATION
+    // =============================================================================
+
+    /**
+     * Make the nodes and edges of a graph figure reachable from the keyboard.
+     * Only one element is in the tab order at a time (roving tabindex) and the
+     * arrow keys move along the edges:
+     *   - Right: from a node to its most probable outgoing edge, from an edge to its target
+     *   - Left: from a node to its most probable incoming edge, from an edge to its source
+     *   - Up/Down: through the sibling edges of the node just left, or through the nodes
+     *   - Home/End: first and last node
+     *   - Enter/Space: open the node modal; focus returns to the node when it closes
+     * Focusing an element shows its tooltip and reads the tooltip text out
+     * through a polite live region.
+     * @param {SVGSVGElement} svgElement - Figure
+     * @param {Object} graph - Graph of the figure
+     * @param {Array<Object>} graph.nodes - {element, id, key} in reading order
+     * @param {Array<Object>} graph.edges - {element, key, source, target, weight}; source and target are node ids
+     * @param {Object} handlers - Figure-specific behaviour
+     * @param {Function} handlers.label - (item) => accessible name of a node or edge
+     * @param {Function} handlers.onFocus - (item, event) => show the tooltip of an item
+     * @param {Function} handlers.onBlur - (item) => hide the tooltip of an item
+     * @param {Function} handlers.onActivate - (item) => open the modal of a node
+     * @param {string} description - Accessible name of the figure
+     */
+    setupKeyboardNavigation(svgElement, graph, handlers, description) {
+        const nodes = graph.nodes.map(node => ({ ...node, kind: 'node' }));
+        const edges = graph.edges.map(edge => ({ ...edge, kind: 'edge' }));
+        const nodesById = new Map(nodes.map(node => [node.id, node]));
+        const byElement = new Map();
+        const outgoing = new Map();
+        const incoming = new Map();
+
+        edges.forEach(edge => {
+            if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+            if (!incoming.has(edge.target)) incoming.set(edge.target, []);
+            outgoing.get(edge.source).push(edge);
+            incoming.get(edge.target).push(edge);
+        });
+        const byWeight = (a, b) => (b.weight || 0) - (a.weight || 0);
+        outgoing.forEach(list => list.sort(byWeight));
+        incoming.forEach(list => list.sort(byWeight));
+
+        svgElement.setAttribute('role', 'group');
+        svgElement.setAttribute('aria-label', description);
+
+        [...nodes, ...edges].forEach(item => {
+            const { element } = item;
+            byElement.set(element, item);
+            element.setAttribute('tabindex', '-1');
+            element.setAttribute('role', item.kind === 'node' ? 'button' : 'img');
+            element.setAttribute('aria-roledescription', item.kind === 'node' ? 'cluster' : 'transition');
+            element.setAttribute('aria-label', handlers.label(item));
+            if (item.kind === 'node') element.setAttribute('aria-haspopup', 'dialog');
+        });
+        if (nodes.length > 0) nodes[0].element.setAttribute('tabindex', '0');
+
+        this.keyboardNav = {
+            nodes,
+            nodesById,
+            byElement,
+            outgoing,
+            incoming,
+            handlers,
+            current: nodes[0] || null,
+            via: null, // 'out' or 'in': how the current edge was reached
+            returnFocus: null
+        };
+
+        svgElement.addEventListener('focusin', (e) => {
+            const item = byElement.get(e.target);
+            if (!item) return;
+
+            this.setRovingFocus(item);
+            handlers.onFocus(item, e);
+            const text = this.tooltip?.classList.contains(CSS_CLASSES.SHOW)
+                ? this.tooltip.textContent
+                : handlers.label(item);
+            this.announce(text);
+        });
+
+        svgElement.addEventListener('focusout', (e) => {
+            const item = byElement.get(e.target);
+            if (item) handlers.onBlur(item);
+        });
+
+        svgElement.addEventListener(EVENTS.KEYDOWN, (e) => {
+            const item = byElement.get(e.target);
+            if (!item || !this.handleNavigationKey(item, e.key)) return;
+            e.preventDefault();
+            e.stopPropagation();
+        });
+
+        Logger.debug(`Keyboard navigation set up for ${nodes.length} nodes and ${edges.length} edges`);
+    }
+
+    /**
+     * Act on a key pressed on a focused node or edge
+     * @param {Object} item - Focused node or edge
+     * @param {string} key - KeyboardEvent.key
+     * @returns {boolean} - Whether the key was handled
+     */
+    handleNavigationKey(item, key) {
+        const nav = this.keyboardNav;
+        const isNode = item.kind === 'node';
+
+        switch (key) {
+            case KEYS.ARROW_RIGHT:
+                if (isNode) {
+                    this.moveFocus(nav.outgoing.get(item.id)?.[0], 'out');
+                } else {
+                    this.moveFocus(nav.nodesById.get(item.target));
+                }
+                return true;
+
+            case KEYS.ARROW_LEFT:
+                if (isNode) {
+                    this.moveFocus(nav.incoming.get(item.id)?.[0], 'in');
+                } else {
+                    this.moveFocus(nav.nodesById.get(item.source));
+                }
+                return true;
+
+            case KEYS.ARROW_DOWN:
+            case KEYS.ARROW_UP: {
+                const step = key === KEYS.ARROW_DOWN ? 1 : -1;
+                const siblings = isNode
+                    ? nav.nodes
+                    : (nav.via === 'in' ? nav.incoming.get(item.target) : nav.outgoing.get(item.source)) || [];
+                const index = siblings.indexOf(item);
+                if (index !== -1 && siblings.length > 1) {
+                    this.moveFocus(siblings[(index + step + siblings.length) % siblings.length], nav.via);
+                }
+                return true;
+            }
+
+            case KEYS.HOME:
+            case KEYS.END:
+                this.moveFocus(key === KEYS.HOME ? nav.nodes[0] : nav.nodes[nav.nodes.length - 1]);
+                return true;
+
+            case KEYS.ENTER:
+            case KEYS.SPACE:
+                if (!isNode) return false;
+                nav.returnFocus = item.element;
+                nav.handlers.onBlur(item);
+                nav.handlers.onActivate(item);
+                return true;
+
+            case KEYS.ESCAPE:
+                if (this.isModalOpen()) return false;
+                nav.handlers.onBlur(item);
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Focus a node or edge of the figure
+     * @param {Object|undefined} item - Target; nothing happens if missing
+     * @param {string|null} via - For edges, whether they were reached as an outgoing or incoming edge
+     */
+    moveFocus(item, via = null) {
+        if (!item) return;
+        this.keyboardNav.via = item.kind === 'edge' ? via : null;
+        item.element.focus();
+    }
+
+    /**
+     * Put one element in the tab order
+     * @param {Object} item - Node or edge
+     */
+    setRovingFocus(item) {
+        const nav = this.keyboardNav;
+        if (nav.current && nav.current !== item) {
+            nav.current.element.setAttribute('tabindex', '-1');
+        }
+        item.element.setAttribute('tabindex', '0');
+        nav.current = item;
+    }
+
+    /**
+     * Read a message out through a visually hidden polite live region
+     * @param {string} text - Message
+     */
+    announce(text) {
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(this.liveRegion);
+        }
+        this.liveRegion.textContent = String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Give focus back to the node whose modal was opened from the keyboard
+     */
+    restoreKeyboardFocus() {
+        const target = this.keyboardNav?.returnFocus;
+        if (!target) return;
+
+        this.keyboardNav.returnFocus = null;
+        if (target.isConnected) target.focus();
+    }
+
     // =============================================================================
     // UTILITY METHODS
     // =============================================================================
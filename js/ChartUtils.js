@@ -0,0 +1,648 @@
+// Chart Utilities - Lightweight inline SVG charts for the analysis panels
+// Each generator returns SVG markup as a string; colours come from CSS classes
+
+import { Utils } from './Utils.js';
+
+// Viridis colour map stops (perceptually uniform, colour-blind safe)
+const VIRIDIS_STOPS = [
+    [68, 1, 84],
+    [72, 40, 120],
+    [62, 74, 137],
+    [49, 104, 142],
+    [38, 130, 142],
+    [31, 158, 137],
+    [53, 183, 121],
+    [109, 205, 89],
+    [180, 222, 44],
+    [253, 231, 37]
+];
+
+// Cividis colour map stops (optimised for colour vision deficiency)
+const CIVIDIS_STOPS = [
+    [0, 34, 78],
+    [18, 53, 112],
+    [59, 73, 108],
+    [87, 93, 109],
+    [112, 113, 115],
+    [138, 134, 120],
+    [165, 156, 116],
+    [196, 181, 102],
+    [229, 207, 82],
+    [254, 232, 56]
+];
+
+/**
+ * Linearly interpolate a colour map given by evenly spaced stops
+ * @param {Array<Array<number>>} stops - [red, green, blue] stops
+ * @param {number} t - Position on the colour map in [0, 1]
+ * @returns {Array<number>} - [red, green, blue] in 0-255
+ */
+function interpolateStops(stops, t) {
+    const clamped = Math.min(Math.max(Number.isFinite(t) ? t : 0, 0), 1);
+    const position = clamped * (stops.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, stops.length - 1);
+    const fraction = position - lower;
+
+    return [0, 1, 2].map(c => Math.round(stops[lower][c] + fraction * (stops[upper][c] - stops[lower][c])));
+}
+
+export class ChartUtils {
+
+    /**
+     * Format a tick value with a sensible number of decimals for its range
+     * @param {number} value - Tick value
+     * @param {number} span - Extent of the axis the tick belongs to
+     * @returns {string} - Formatted tick label
+     */
+    static formatTick(value, span) {
+        if (span >= 10) return value.toFixed(0);
+        if (span >= 1) return value.toFixed(1);
+        return value.toFixed(2);
+    }
+
+    /**
+     * Generate a small vertical bar chart
+     * @param {Array<number>} values - Bar heights
+     * @param {Object} options - Chart options
+     * @param {Array<string>} options.labels - Short label drawn under each bar
+     * @param {Array<string>} options.titles - Hover text for each bar
+     * @param {Array<string>} options.classNames - CSS class applied to each bar
+     * @param {number} options.max - Value mapped to full bar height (default 1)
+     * @param {number} options.width - Chart width in pixels
+     * @param {number} options.height - Chart height in pixels
+     * @returns {string} - SVG markup
+     */
+    static barChart(values, options = {}) {
+        const {
+            labels = [],
+            titles = [],
+            classNames = [],
+            max = 1,
+            width = 120,
+            height = 44
+        } = options;
+
+        const labelHeight = labels.length > 0 ? 12 : 0;
+        const plotHeight = height - labelHeight;
+        const slot = width / Math.max(values.length, 1);
+        const barWidth = slot * 0.7;
+
+        const bars = values.map((value, i) => {
+            const safeValue = Number.isFinite(value) ? Math.max(0, value) : 0;
+            const barHeight = max > 0 ? Math.min(safeValue / max, 1) * (plotHeight - 1) : 0;
+            const x = i * slot + (slot - barWidth) / 2;
+            const y = plotHeight - barHeight;
+            const title = titles[i] ? `<title>${Utils.escapeHTML(titles[i])}</title>` : '';
+            const label = labels[i]
+                ? `<text class="chart-bar-label" x="${(x + barWidth / 2).toFixed(1)}" y="${height - 2}" text-anchor="middle">${Utils.escapeHTML(labels[i])}</text>`
+                : '';
+
+            return `
+                <rect class="chart-bar-track" x="${x.toFixed(1)}" y="0" width="${barWidth.toFixed(1)}" height="${plotHeight}"></rect>
+                <rect class="chart-bar ${classNames[i] || ''}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}">${title}</rect>
+                ${label}
+            `;
+        }).join('');
+
+        return `<svg class="chart chart-bars" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+    }
+
+    /**
+     * Generate a line chart with one polyline per series. Null or non-finite
+     * values break the line.
+     * @param {Array<Object>} series - Series as {label, values, className, xValues, line, points};
+     *     a series' own xValues override the shared ones, and line/points override
+     *     whether it is drawn as a polyline (default true) and with points (default showPoints)
+     * @param {Object} options - Chart options
+     * @param {Array<string>} options.xLabels - Label for each x position
+     * @param {Array<number>} options.xValues - Numeric x positions (defaults to indices)
+     * @param {number} options.xMin - Lower x bound (default: first x value)
+     * @param {number} options.xMax - Upper x bound (default: last x value)
+     * @param {Array<number>} options.xTicks - Numeric x tick positions (replaces the labelled ticks)
+     * @param {number} options.yMin - Lower y bound (default: data minimum)
+     * @param {number} options.yMax - Upper y bound (default: data maximum)
+     * @param {string} options.yLabel - Y axis title
+     * @param {string} options.xLabel - X axis title
+     * @param {number|null} options.markerIndex - Index highlighted with a vertical cursor line
+     * @param {number|null} options.referenceY - Y value drawn as a dashed reference line
+     * @param {boolean} options.showDiagonal - Draw the y = x reference line
+     * @param {boolean} options.showPoints - Draw a circle at every data point
+     * @param {number} options.width - Chart width in pixels
+     * @param {number} options.height - Chart height in pixels
+     * @returns {string} - SVG markup
+     */
+    static lineChart(series, options = {}) {
+        const {
+            xLabels = [],
+            xLabel = '',
+            yLabel = '',
+            markerIndex = null,
+            referenceY = null,
+            showDiagonal = false,
+            showPoints = false,
+            width = 640,
+            height = 260
+        } = options;
+
+        const length = Math.max(0, ...series.map(s => s.values.length));
+        const xValues = options.xValues || Array.from({ length }, (_, i) => i);
+        const finiteValues = series.flatMap(s => s.values.filter(Number.isFinite));
+
+        let yMin = options.yMin ?? (finiteValues.length ? Math.min(...finiteValues) : 0);
+        let yMax = options.yMax ?? (finiteValues.length ? Math.max(...finiteValues) : 1);
+        if (yMax === yMin) {
+            yMax = yMin + 1;
+        }
+
+        const margin = { top: 12, right: 16, bottom: xLabel ? 40 : 28, left: yLabel ? 56 : 44 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const xMin = options.xMin ?? (xValues.length ? xValues[0] : 0);
+        const xMax = options.xMax ?? (xValues.length ? xValues[xValues.length - 1] : 1);
+        const xSpan = xMax - xMin || 1;
+
+        const sx = x => margin.left + ((x - xMin) / xSpan) * plotWidth;
+        const sy = y => margin.top + (1 - (y - yMin) / (yMax - yMin)) * plotHeight;
+
+        // Horizontal grid lines and y ticks
+        const yTickCount = 5;
+        let grid = '';
+        for (let t = 0; t <= yTickCount; t++) {
+            const value = yMin + (t / yTickCount) * (yMax - yMin);
+            const y = sy(value).toFixed(1);
+            grid += `<line class="chart-grid" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y}" y2="${y}"></line>`;
+            grid += `<text class="chart-tick" x="${margin.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${ChartUtils.formatTick(value, yMax - yMin)}</text>`;
+        }
+
+        // X ticks: explicit numeric ticks, or at most ~8 evenly spaced labels
+        let xTicks = '';
+        if (options.xTicks) {
+            options.xTicks.forEach(value => {
+                xTicks += `<text class="chart-tick" x="${sx(value).toFixed(1)}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${ChartUtils.formatTick(value, xMax - xMin)}</text>`;
+            });
+        } else {
+            const xTickStep = Math.max(1, Math.ceil(length / 8));
+            for (let i = 0; i < length; i += xTickStep) {
+                const label = xLabels[i] ?? String(xValues[i]);
+                xTicks += `<text class="chart-tick" x="${sx(xValues[i]).toFixed(1)}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${Utils.escapeHTML(label)}</text>`;
+            }
+        }
+
+        // Series polylines, split at missing values
+        const lines = series.map(s => {
+            const seriesX = s.xValues || xValues;
+            const segments = [];
+            let current = [];
+            s.values.forEach((value, i) => {
+                if (Number.isFinite(value) && Number.isFinite(seriesX[i])) {
+                    current.push(`${sx(seriesX[i]).toFixed(1)},${sy(value).toFixed(1)}`);
+                } else if (current.length) {
+                    segments.push(current);
+                    current = [];
+                }
+            });
+            if (current.length) segments.push(current);
+
+            const paths = s.line === false ? '' : segments.map(points =>
+                `<polyline class="chart-line ${s.className || ''}" points="${points.join(' ')}"></polyline>`
+            ).join('');
+
+            const dots = (s.points ?? showPoints)
+                ? s.values.map((value, i) => (Number.isFinite(value) && Number.isFinite(seriesX[i])
+                    ? `<circle class="chart-point ${s.className || ''}" cx="${sx(seriesX[i]).toFixed(1)}" cy="${sy(value).toFixed(1)}" r="3"><title>${Utils.escapeHTML(`${s.label}: ${value.toFixed(3)}`)}</title></circle>`
+                    : '')).join('')
+                : '';
+
+            return paths + dots;
+        }).join('');
+
+        const marker = (markerIndex !== null && markerIndex >= 0 && markerIndex < length)
+            ? `<line class="chart-marker" x1="${sx(xValues[markerIndex]).toFixed(1)}" x2="${sx(xValues[markerIndex]).toFixed(1)}" y1="${margin.top}" y2="${margin.top + plotHeight}"></line>`
+            : '';
+
+        const reference = (referenceY !== null && referenceY >= yMin && referenceY <= yMax)
+            ? `<line class="chart-reference" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${sy(referenceY).toFixed(1)}" y2="${sy(referenceY).toFixed(1)}"></line>`
+            : '';
+
+        let diagonal = '';
+        if (showDiagonal) {
+            const low = Math.max(xMin, yMin);
+            const high = Math.min(xMax, yMax);
+            if (high > low) {
+                diagonal = `<line class="chart-reference" x1="${sx(low).toFixed(1)}" y1="${sy(low).toFixed(1)}" x2="${sx(high).toFixed(1)}" y2="${sy(high).toFixed(1)}"></line>`;
+            }
+        }
+
+        const axisTitles =
+            (xLabel ? `<text class="chart-axis-title" x="${margin.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">${Utils.escapeHTML(xLabel)}</text>` : '') +
+            (yLabel ? `<text class="chart-axis-title" transform="translate(12 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${Utils.escapeHTML(yLabel)}</text>` : '');
+
+        return `
+            <svg class="chart chart-lines" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">
+                ${grid}
+                <rect class="chart-frame" x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"></rect>
+                ${xTicks}
+                ${reference}
+                ${diagonal}
+                ${marker}
+                ${lines}
+                ${axisTitles}
+            </svg>
+            ${ChartUtils.legend(series)}
+        `;
+    }
+
+    /**
+     * Generate a grouped vertical bar chart: one group per category on the
+     * x axis, one bar per series within each group
+     * @param {Array<string>} categories - Group labels along the x axis
+     * @param {Array<Object>} series - Series as {label, values, className}
+     * @param {Object} options - Chart options
+     * @param {string} options.xLabel - X axis title
+     * @param {string} options.yLabel - Y axis title
+     * @param {number} options.yMax - Upper y bound (default: data maximum)
+     * @param {Function} options.format - Formats a bar value for its tooltip (default: counts as integers, other values to 3 decimals)
+     * @param {number} options.width - Chart width in pixels
+     * @param {number} options.height - Chart height in pixels
+     * @returns {string} - SVG markup
+     */
+    static groupedBarChart(categories, series, options = {}) {
+        const {
+            xLabel = '',
+            yLabel = '',
+            format = value => (Number.isInteger(value) ? String(value) : value.toFixed(3)),
+            width = 640,
+            height = 220
+        } = options;
+
+        const finiteValues = series.flatMap(s => s.values.filter(Number.isFinite));
+        const yMax = options.yMax ?? Math.max(1, ...finiteValues);
+
+        const margin = { top: 12, right: 16, bottom: xLabel ? 40 : 28, left: yLabel ? 56 : 44 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const groupWidth = plotWidth / Math.max(categories.length, 1);
+        const barWidth = (groupWidth * 0.8) / Math.max(series.length, 1);
+        const sy = y => margin.top + (1 - y / yMax) * plotHeight;
+
+        let grid = '';
+        const yTickCount = 4;
+        for (let t = 0; t <= yTickCount; t++) {
+            const value = (t / yTickCount) * yMax;
+            const y = sy(value).toFixed(1);
+            grid += `<line class="chart-grid" x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${y}" y2="${y}"></line>`;
+            grid += `<text class="chart-tick" x="${margin.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${ChartUtils.formatTick(value, yMax)}</text>`;
+        }
+
+        let bars = '';
+        let ticks = '';
+        categories.forEach((category, g) => {
+            const groupX = margin.left + g * groupWidth + groupWidth * 0.1;
+            series.forEach((s, k) => {
+                const value = Number.isFinite(s.values[g]) ? s.values[g] : 0;
+                const y = sy(Math.min(value, yMax));
+                const x = groupX + k * barWidth;
+                bars += `<rect class="chart-bar ${s.className || ''}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${(margin.top + plotHeight - y).toFixed(1)}"><title>${Utils.escapeHTML(`${s.label}, ${category}: ${format(value)}`)}</title></rect>`;
+            });
+            ticks += `<text class="chart-tick" x="${(margin.left + (g + 0.5) * groupWidth).toFixed(1)}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${Utils.escapeHTML(category)}</text>`;
+        });
+
+        const axisTitles =
+            (xLabel ? `<text class="chart-axis-title" x="${margin.left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">${Utils.escapeHTML(xLabel)}</text>` : '') +
+            (yLabel ? `<text class="chart-axis-title" transform="translate(12 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${Utils.escapeHTML(yLabel)}</text>` : '');
+
+        return `
+            <svg class="chart chart-grouped-bars" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">
+                ${grid}
+                <rect class="chart-frame" x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"></rect>
+                ${bars}
+                ${ticks}
+                ${axisTitles}
+            </svg>
+            ${ChartUtils.legend(series)}
+        `;
+    }
+
+    /**
+     * Map a value in [0, 1] onto the viridis colour map
+     * @param {number} t - Position on the colour map
+     * @returns {Array<number>} - [red, green, blue] in 0-255
+     */
+    static viridisChannels(t) {
+        return interpolateStops(VIRIDIS_STOPS, t);
+    }
+
+    /**
+     * Map a value in [0, 1] onto the viridis colour map
+     * @param {number} t - Position on the colour map
+     * @returns {string} - CSS rgb() colour
+     */
+    static viridis(t) {
+        const [red, green, blue] = ChartUtils.viridisChannels(t);
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Map a value in [0, 1] onto the cividis colour map
+     * @param {number} t - Position on the colour map
+     * @returns {string} - CSS rgb() colour
+     */
+    static cividis(t) {
+        const [red, green, blue] = interpolateStops(CIVIDIS_STOPS, t);
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Paint a dense heatmap into a canvas, one pixel per cell; the canvas is
+     * meant to be stretched by CSS (image-rendering: pixelated). Used where a
+     * table or SVG would need thousands of elements.
+     * @param {HTMLCanvasElement} canvas - Target canvas; resized to the grid
+     * @param {number} rowCount - Number of rows
+     * @param {number} colCount - Number of columns
+     * @param {Function} valueAt - Cell value for (row, col); non-finite cells are left transparent
+     * @param {Object} options - Colour scale options
+     * @param {number} options.min - Value mapped to the bottom of the colour map
+     * @param {number} options.max - Value mapped to the top of the colour map
+     */
+    static drawRasterHeatmap(canvas, rowCount, colCount, valueAt, options = {}) {
+        const { min = 0, max = 1 } = options;
+        const span = max - min || 1;
+
+        canvas.width = Math.max(colCount, 1);
+        canvas.height = Math.max(rowCount, 1);
+        const context = canvas.getContext('2d');
+        if (!context) return;
+
+        const image = context.createImageData(canvas.width, canvas.height);
+        for (let row = 0; row < rowCount; row++) {
+            for (let col = 0; col < colCount; col++) {
+                const value = valueAt(row, col);
+                if (!Number.isFinite(value)) continue;
+
+                const [red, green, blue] = ChartUtils.viridisChannels((value - min) / span);
+                const offset = (row * canvas.width + col) * 4;
+                image.data[offset] = red;
+                image.data[offset + 1] = green;
+                image.data[offset + 2] = blue;
+                image.data[offset + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Pick a distinct colour for a category index by stepping the hue by the
+     * golden angle, so that neighbouring indices never share a similar hue
+     * @param {number} index - Category index (>= 0)
+     * @returns {string} - CSS hsl() colour
+     */
+    static categoricalColor(index) {
+        const hue = (index * 137.508) % 360;
+        const lightness = 42 + (index % 3) * 10;
+        return `hsl(${hue.toFixed(1)}, 65%, ${lightness}%)`;
+    }
+
+    /**
+     * Generate a horizontal strip with one cell per position, coloured by the
+     * category held there. Consecutive cells of the same category are merged
+     * into one run; the strip is stretched to its container, so callers can map
+     * a pointer position to an index from the element's bounding box.
+     * @param {Array<number|null>} categories - Category index per position (null leaves a gap)
+     * @param {Object} options - Strip options
+     * @param {Function} options.color - Colour for a category index (default: categoricalColor)
+     * @param {Function} options.title - Hover text for a run (category, start, end)
+     * @param {number|null} options.markerIndex - Position highlighted with a cursor
+     * @param {string} options.label - Accessible label of the strip
+     * @returns {string} - SVG markup
+     */
+    static categoryStrip(categories, options = {}) {
+        const {
+            color = ChartUtils.categoricalColor,
+            title = null,
+            markerIndex = null,
+            label = ''
+        } = options;
+        const length = categories.length;
+
+        let runs = '';
+        let start = 0;
+        for (let i = 1; i <= length; i++) {
+            if (i < length && categories[i] === categories[start]) continue;
+
+            const category = categories[start];
+            if (category !== null && category !== undefined) {
+                const text = title ? `<title>${Utils.escapeHTML(title(category, start, i - 1))}</title>` : '';
+                runs += `<rect class="category-strip-run" x="${start}" y="0" width="${i - start}" height="1" fill="${color(category)}">${text}</rect>`;
+            }
+            start = i;
+        }
+
+        const markerX = markerIndex !== null && markerIndex >= 0 && markerIndex < length ? markerIndex : 0;
+        return `
+            <svg class="category-strip" viewBox="0 0 ${Math.max(length, 1)} 1" preserveAspectRatio="none" role="img" aria-label="${Utils.escapeHTML(label)}">
+                ${runs}
+                <rect class="category-strip-marker" x="${markerX}" y="0" width="1" height="1"${markerIndex === null ? ' hidden' : ''}></rect>
+            </svg>
+        `;
+    }
+
+    /**
+     * Generate a heatmap as an HTML table. Cells carry data-row / data-col
+     * attributes (original indices) so callers can attach delegated handlers.
+     * @param {Array<Array<number|null>>} matrix - Cell values
+     * @param {Object} options - Heatmap options
+     * @param {Array<string>} options.rowLabels - Row header labels
+     * @param {Array<string>} options.colLabels - Column header labels
+     * @param {Array<number>} options.rowOrder - Display order of rows (original indices)
+     * @param {Array<number>} options.colOrder - Display order of columns (original indices)
+     * @param {Function} options.format - Formats a cell value for display
+     * @param {Function} options.title - Builds the hover text for (value, row, col)
+     * @param {Function} options.cellClass - Extra CSS class for (value, row, col)
+     * @param {boolean} options.logScale - Colour by log(value)
+     * @param {string} options.corner - Text for the top-left header cell
+     * @returns {string} - HTML markup
+     */
+    static heatmapTable(matrix, options = {}) {
+        const n = matrix.length;
+        const m = n > 0 ? matrix[0].length : 0;
+        const {
+            rowLabels = [],
+            colLabels = [],
+            rowOrder = Array.from({ length: n }, (_, i) => i),
+            colOrder = Array.from({ length: m }, (_, j) => j),
+            format = value => value.toFixed(2),
+            title = null,
+            cellClass = null,
+            logScale = false,
+            corner = ''
+        } = options;
+
+        const transform = value => (logScale ? Math.log(value) : value);
+        const usable = matrix.flat().filter(value => Number.isFinite(value) && (!logScale || value > 0));
+        const low = usable.length ? Math.min(...usable.map(transform)) : 0;
+        const high = usable.length ? Math.max(...usable.map(transform)) : 1;
+        const span = high - low || 1;
+
+        const header = colOrder.map(j =>
+            `<th class="heatmap-col-header" data-col="${j}" scope="col">${Utils.escapeHTML(colLabels[j] ?? String(j + 1))}</th>`
+        ).join('');
+
+        const body = rowOrder.map(i => {
+            const cells = colOrder.map(j => {
+                const value = matrix[i][j];
+                const extraClass = cellClass ? cellClass(value, i, j) || '' : '';
+                const hover = title ? ` title="${Utils.escapeHTML(title(value, i, j))}"` : '';
+
+                if (!Number.isFinite(value) || (logScale && value <= 0)) {
+                    return `<td class="heatmap-cell heatmap-empty ${extraClass}" data-row="${i}" data-col="${j}"${hover}>&mdash;</td>`;
+                }
+
+                const t = (transform(value) - low) / span;
+                const textClass = t > 0.6 ? 'heatmap-text-dark' : 'heatmap-text-light';
+                return `<td class="heatmap-cell ${textClass} ${extraClass}" data-row="${i}" data-col="${j}" style="background-color: ${ChartUtils.viridis(t)};"${hover}>${Utils.escapeHTML(format(value))}</td>`;
+            }).join('');
+
+            return `<tr><th class="heatmap-row-header" data-row="${i}" scope="row">${Utils.escapeHTML(rowLabels[i] ?? String(i + 1))}</th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <table class="heatmap-table">
+                <thead><tr><th class="heatmap-corner">${Utils.escapeHTML(corner)}</th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Generate an HTML legend for a set of series
+     * @param {Array<Object>} series - Series as {label, className}
+     * @returns {string} - HTML markup
+     */
+    static legend(series) {
+        const items = series.map(s => `
+            <span class="chart-legend-item">
+                <span class="chart-legend-swatch ${s.className || ''}"></span>${Utils.escapeHTML(s.label)}
+            </span>
+        `).join('');
+
+        return `<div class="chart-legend">${items}</div>`;
+    }
+
+    /**
+     * Generate a small node-link diagram of a transition matrix. Nodes sit on a
+     * circle with area proportional to their weight; each transition is a
+     * curved arrow with width proportional to its probability, and self-loops
+     * are drawn outside the node. Hover text comes from the title callbacks.
+     * @param {Array<Array<number|null>>} matrix - Transition probabilities (null rows are skipped)
+     * @param {Object} options - Diagram options
+     * @param {Array<string>} options.labels - Node labels
+     * @param {Array<number>} options.weights - Node weights in [0, 1] (e.g. stationary mass)
+     * @param {Array<string>} options.classNames - CSS class of each node
+     * @param {Function} options.nodeTitle - Hover text for node (index)
+     * @param {Function} options.edgeTitle - Hover text for edge (source, target)
+     * @param {number} options.minProbability - Transitions below this are not drawn
+     * @param {number} options.width - Diagram width in pixels
+     * @param {number} options.height - Diagram height in pixels
+     * @returns {string} - SVG markup
+     */
+    static chainDiagram(matrix, options = {}) {
+        const {
+            labels = [],
+            weights = [],
+            classNames = [],
+            nodeTitle = () => '',
+            edgeTitle = () => '',
+            minProbability = 0.005,
+            width = 280,
+            height = 260
+        } = options;
+
+        const n = matrix.length;
+        const cx = width / 2;
+        const cy = height / 2 + 6;
+        const layoutRadius = Math.min(width, height) / 2 - 48;
+        const nodeRadius = weights.map(w => 12 + 16 * Math.sqrt(Math.max(0, w || 0)));
+        const position = k => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * k) / Math.max(n, 1);
+            return { x: cx + layoutRadius * Math.cos(angle), y: cy + layoutRadius * Math.sin(angle), angle };
+        };
+        const title = text => (text ? `<title>${Utils.escapeHTML(text)}</title>` : '');
+        const arrowHead = (tip, dx, dy, size) => {
+            const length = Math.hypot(dx, dy) || 1;
+            const ux = dx / length;
+            const uy = dy / length;
+            const baseX = tip.x - ux * size;
+            const baseY = tip.y - uy * size;
+            return `${tip.x.toFixed(1)},${tip.y.toFixed(1)} ${(baseX - uy * size * 0.5).toFixed(1)},${(baseY + ux * size * 0.5).toFixed(1)} ${(baseX + uy * size * 0.5).toFixed(1)},${(baseY - ux * size * 0.5).toFixed(1)}`;
+        };
+
+        let edges = '';
+        matrix.forEach((row, a) => {
+            if (!row) return;
+            row.forEach((p, b) => {
+                if (!(p >= minProbability)) return;
+                const strokeWidth = (1 + 7 * p).toFixed(1);
+                const from = position(a);
+
+                if (a === b) {
+                    // Self-loop: a circle just outside the node, away from the centre
+                    const loopRadius = 11;
+                    const distance = nodeRadius[a] + loopRadius - 4;
+                    const lx = from.x + Math.cos(from.angle) * distance;
+                    const ly = from.y + Math.sin(from.angle) * distance;
+                    const tx = from.x + Math.cos(from.angle) * (distance + loopRadius + 9);
+                    const ty = from.y + Math.sin(from.angle) * (distance + loopRadius + 9);
+                    edges += `
+                        <g class="chain-diagram-edge">${title(edgeTitle(a, b))}
+                            <circle class="chain-diagram-loop" cx="${lx.toFixed(1)}" cy="${ly.toFixed(1)}" r="${loopRadius}" stroke-width="${strokeWidth}"></circle>
+                            <text class="chain-diagram-edge-label" x="${tx.toFixed(1)}" y="${ty.toFixed(1)}" text-anchor="middle" dominant-baseline="middle">${p.toFixed(2)}</text>
+                        </g>
+                    `;
+                    return;
+                }
+
+                // Curve to the right of the a -> b direction so that a <-> b pairs separate
+                const to = position(b);
+                const dx = to.x - from.x;
+                const dy = to.y - from.y;
+                const length = Math.hypot(dx, dy) || 1;
+                const control = { x: (from.x + to.x) / 2 - (dy / length) * 24, y: (from.y + to.y) / 2 + (dx / length) * 24 };
+                const startDir = { x: control.x - from.x, y: control.y - from.y };
+                const endDir = { x: to.x - control.x, y: to.y - control.y };
+                const startLength = Math.hypot(startDir.x, startDir.y) || 1;
+                const endLength = Math.hypot(endDir.x, endDir.y) || 1;
+                const start = { x: from.x + (startDir.x / startLength) * nodeRadius[a], y: from.y + (startDir.y / startLength) * nodeRadius[a] };
+                const tip = { x: to.x - (endDir.x / endLength) * (nodeRadius[b] + 2), y: to.y - (endDir.y / endLength) * (nodeRadius[b] + 2) };
+                const labelX = 0.25 * start.x + 0.5 * control.x + 0.25 * tip.x;
+                const labelY = 0.25 * start.y + 0.5 * control.y + 0.25 * tip.y;
+
+                edges += `
+                    <g class="chain-diagram-edge">${title(edgeTitle(a, b))}
+                        <path class="chain-diagram-link" d="M${start.x.toFixed(1)},${start.y.toFixed(1)} Q${control.x.toFixed(1)},${control.y.toFixed(1)} ${tip.x.toFixed(1)},${tip.y.toFixed(1)}" stroke-width="${strokeWidth}"></path>
+                        <polygon class="chain-diagram-arrow" points="${arrowHead(tip, endDir.x, endDir.y, 6 + 2 * p)}"></polygon>
+                        <text class="chain-diagram-edge-label" x="${labelX.toFixed(1)}" y="${labelY.toFixed(1)}" text-anchor="middle" dominant-baseline="middle">${p.toFixed(2)}</text>
+                    </g>
+                `;
+            });
+        });
+
+        const nodes = matrix.map((row, k) => {
+            if (!row) return '';
+            const { x, y } = position(k);
+            return `
+                <g class="chain-diagram-node">${title(nodeTitle(k))}
+                    <circle class="${classNames[k] || ''}" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${nodeRadius[k].toFixed(1)}"></circle>
+                    <text class="chain-diagram-node-label" x="${x.toFixed(1)}" y="${y.toFixed(1)}" text-anchor="middle" dominant-baseline="middle">${Utils.escapeHTML(labels[k] ?? String(k + 1))}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart chain-diagram" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">
+                ${edges}
+                ${nodes}
+            </svg>
+        `;
+    }
+}
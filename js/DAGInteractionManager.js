@@ -3,7 +3,7 @@
 
 import { BaseInteractionManager } from './BaseInteractionManager.js';
 import { InteractionManager } from './InteractionManager.js';
-import { SELECTORS, EVENTS, DAG_CONFIG } from './constants.js';
+import { CONFIG, SELECTORS, EVENTS, DAG_CONFIG } from './constants.js';
 import { Logger } from './Logger.js';
 import { Utils } from './Utils.js';
 
@@ -138,7 +138,7 @@ export class DAGInteractionManager extends BaseInteractionManager {
             const globalId = this.svgIndexToGlobalId[index];
             if (globalId !== undefined) {
                 const pathData = svgNode.getAttribute('d');
-                const center = this.extractNodeCenter(pathData);
+                const center = this.toRootUserSpace(svgNode, this.extractNodeCenter(pathData));
                 
                 if (center) {
                     this.nodePositions.push({
@@ -160,7 +160,11 @@ export class DAGInteractionManager extends BaseInteractionManager {
         
         svgEdges.forEach((svgEdge, index) => {
             const pathData = svgEdge.getAttribute('d');
-            const edgeCoords = this.extractEdgeCoordinates(pathData);
+            const rawCoords = this.extractEdgeCoordinates(pathData);
+            const edgeCoords = rawCoords && {
+                start: this.toRootUserSpace(svgEdge, rawCoords.start),
+                end: this.toRootUserSpace(svgEdge, rawCoords.end)
+            };
             
             if (edgeCoords) {
                 // Find closest nodes to edge endpoints with increased threshold
@@ -248,6 +252,29 @@ export class DAGInteractionManager extends BaseInteractionManager {
         return null;
     }
     
+    /**
+     * Map a point from an element's own coordinates to the user space of the
+     * root svg by applying the transform attributes between the two. The root
+     * viewBox, which zooming rewrites, is not part of this, so positions mapped
+     * here do not depend on the current view.
+     * @param {SVGElement} element - Element whose coordinates the point is in
+     * @param {Object|null} point - {x, y}
+     * @returns {Object|null} - {x, y} in root user space
+     */
+    toRootUserSpace(element, point) {
+        if (!point) return null;
+
+        let { x, y } = point;
+        for (let el = element; el && el.ownerSVGElement; el = el.parentNode) {
+            const transform = el.transform?.baseVal?.consolidate();
+            if (transform) {
+                const m = transform.matrix;
+                [x, y] = [m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f];
+            }
+        }
+        return { x, y };
+    }
+    
     /**
      * Extract start and end coordinates from SVG path data
      * @param {string} pathData - SVG path d attribute (e.g., "M 346.171875 253.636719 L 380.789062 322.84375")
@@ -415,9 +442,76 @@ export class DAGInteractionManager extends BaseInteractionManager {
             el.style.pointerEvents = 'none';
         });
 
+        this.setupGraphKeyboardNavigation(svgElement, nodes);
+
         Logger.debug(`DAG Interaction Setup: ${nodes.length} nodes, ${edges.length} edges`);
     }
 
+    /**
+     * Keyboard access to the DAG figure. The edges are taken from the parser's
+     * edgesBySource and matched to their SVG paths through the spatial edge
+     * mapping; edges without a drawn path are skipped.
+     * @param {SVGSVGElement} svgElement - Figure
+     * @param {NodeList} nodes - Node paths
+     */
+    setupGraphKeyboardNavigation(svgElement, nodes) {
+        const graphNodes = [];
+        nodes.forEach((element, index) => {
+            const globalId = this.svgIndexToGlobalId[index];
+            if (globalId !== undefined) graphNodes.push({ element, id: globalId, key: `node-${index}` });
+        });
+
+        const drawnEdges = new Map();
+        Object.entries(this.svgIndexToEdgeData).forEach(([index, mapping]) => {
+            const { source, target } = mapping.jsonEdge;
+            drawnEdges.set(`${source}-${target}`, { index: parseInt(index, 10), element: mapping.svgElement });
+        });
+
+        const graphEdges = [];
+        Object.values(this.dagParser.edgesBySource).forEach(sourceEdges => {
+            sourceEdges.forEach(edge => {
+                const drawn = drawnEdges.get(`${edge.source}-${edge.target}`);
+                if (!drawn) return;
+                graphEdges.push({
+                    element: drawn.element,
+                    key: drawn.index,
+                    source: edge.source,
+                    target: edge.target,
+                    weight: edge.weight
+                });
+            });
+        });
+
+        const nodeName = globalId => {
+            const nodeData = this.dagParser.nodesByGlobalId[globalId];
+            return nodeData ? `${nodeData.clusterName}, ${nodeData.levelName}` : `Node ${globalId}`;
+        };
+
+        this.setupKeyboardNavigation(svgElement, { nodes: graphNodes, edges: graphEdges }, {
+            label: item => item.kind === 'node'
+                ? nodeName(item.id)
+                : `${nodeName(item.source)} to ${nodeName(item.target)}, transition probability ${Number.isFinite(item.weight) ? item.weight.toFixed(2) : 'unknown'}`,
+            onFocus: (item, e) => {
+                this.app?.dagViewport?.ensureVisible(item.element);
+                if (item.kind === 'node') {
+                    this.showNodeTooltip(e, item.key, item.element);
+                } else {
+                    this.showDAGEdgeTooltip(e, item.key);
+                    this.highlightEdge(item.element);
+                }
+            },
+            onBlur: item => {
+                this.hideTooltip();
+                if (item.kind === 'node') {
+                    this.unhighlightElement(item.element);
+                } else {
+                    this.unhighlightEdge(item.element);
+                }
+            },
+            onActivate: item => this.showNodeModal(item.key)
+        }, 'Directed acyclic graph of cluster transitions across lead times. Use the arrow keys to move between nodes along their edges and Enter to open a node.');
+    }
+
     /**
      * Calculate climatological probability for level 0 observed classes
      * @param {number} globalId - Global ID of the observed class node
@@ -490,7 +584,18 @@ export class DAGInteractionManager extends BaseInteractionManager {
 
         // Build affiliation probability content (works for all levels)
         let affiliationProbContent = '';
-        if (this.app?.dagAffiliationData && this.app?.dagDateSlider && !this.app.dagDateSlider.disabled) {
+        const highlightWindow = this.app?.dagHighlightWindow;
+        if (highlightWindow && this.app.dagAffiliationData[0]) {
+            const aggregate = highlightWindow.vectors[nodeData.level]?.[nodeData.localIdx - 1];
+            const probDisplay = Number.isFinite(aggregate) ? aggregate.toFixed(3) : 'not defined';
+            const aggregateLabel = CONFIG.DATE_RANGE_AGGREGATES[highlightWindow.method];
+            const windowLabel = this.app.formatDateWindow(highlightWindow.start, highlightWindow.end,
+                this.app.dagAffiliationData[0].dates);
+
+            affiliationProbContent = `
+                <p style="text-align: left;"><strong>${aggregateLabel} (${windowLabel}):</strong><br>${probDisplay}</p>
+            `;
+        } else if (this.app?.dagAffiliationData && this.app?.dagDateSlider && !this.app.dagDateSlider.disabled) {
             const dateIndex = parseInt(this.app.dagDateSlider.value, 10);
             const level = nodeData.level;
             const localIdx = nodeData.localIdx;
@@ -756,6 +861,7 @@ export class DAGInteractionManager extends BaseInteractionManager {
             // Call the Markov Chain modal system by using InteractionManager's showNodeModal method
             Logger.debug(`Opening DAG modal using Markov Chain system for global ID ${globalId}`);
             await this.showMarkovChainModal(nodeKey);
+            this.setOpenNodeKey(nodeKey);
             
             const nodeData = this.dagParser.getNodeData(globalId);
             Logger.debug(`DAG modal opened successfully for ${nodeData?.clusterName || `global ID ${globalId}`}`);
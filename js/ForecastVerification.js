@@ -0,0 +1,174 @@
+// Forecast Verification - Scores the affiliation-weighted ENSO class forecasts
+// against the observed classes held at level 0 of the DAG
+
+import { Logger } from './Logger.js';
+import { MarkovAnalytics } from './MarkovAnalytics.js';
+
+export class ForecastVerification {
+
+    /**
+     * Reduce a date string to a "YYYY-MM" month key
+     * @param {string} dateString - Date such as "1997-12-01"
+     * @returns {string|null} - Month key or null if the date cannot be read
+     */
+    static monthKey(dateString) {
+        const match = /^(\d{4})-(\d{2})/.exec(String(dateString || ''));
+        return match ? `${match[1]}-${match[2]}` : null;
+    }
+
+    /**
+     * Shift a month key by a number of months
+     * @param {string} key - Month key "YYYY-MM"
+     * @param {number} months - Months to add (may be negative)
+     * @returns {string} - Shifted month key
+     */
+    static addMonths(key, months) {
+        const [year, month] = key.split('-').map(Number);
+        const total = year * 12 + (month - 1) + months;
+        const newYear = Math.floor(total / 12);
+        const newMonth = (total % 12) + 1;
+        return `${newYear}-${String(newMonth).padStart(2, '0')}`;
+    }
+
+    /**
+     * Multi-category Brier score: sum over classes of (p_c - o_c)^2
+     * @param {Array<number>} forecast - Class probabilities
+     * @param {number} observedClass - Index of the observed class
+     * @returns {number} - Score in [0, 2]; lower is better
+     */
+    static brierScore(forecast, observedClass) {
+        return forecast.reduce((sum, p, c) => {
+            const outcome = c === observedClass ? 1 : 0;
+            return sum + (p - outcome) ** 2;
+        }, 0);
+    }
+
+    /**
+     * Ranked probability score over ordered classes (La Nina < Neutral < El Nino),
+     * normalised by the number of class boundaries
+     * @param {Array<number>} forecast - Class probabilities
+     * @param {number} observedClass - Index of the observed class
+     * @returns {number} - Score in [0, 1]; lower is better
+     */
+    static rankedProbabilityScore(forecast, observedClass) {
+        let cumulativeForecast = 0;
+        let score = 0;
+
+        for (let c = 0; c < forecast.length - 1; c++) {
+            cumulativeForecast += forecast[c];
+            const cumulativeOutcome = observedClass <= c ? 1 : 0;
+            score += (cumulativeForecast - cumulativeOutcome) ** 2;
+        }
+
+        return score / (forecast.length - 1);
+    }
+
+    /**
+     * Pair the class forecasts of one lead time with their outcomes. A forecast
+     * issued at date t (affiliations at t weighted by the level's lambdas) is
+     * matched with the class observed at t + leadTime.
+     * @param {Object} params - Verification inputs
+     * @param {number} params.leadTime - Lead time in months
+     * @param {Object} params.affiliationData - {dates, affiliations} for the lead time
+     * @param {Array<Array<number>>} params.lambdas - Class probabilities per cluster (0-based local index)
+     * @param {Map<string, number>} params.observedByMonth - Observed class index per month key
+     * @returns {Array<Object>} - Pairs as {date, forecast, observedClass}
+     */
+    static collectForecastPairs({ leadTime, affiliationData, lambdas, observedByMonth }) {
+        const pairs = [];
+
+        affiliationData.dates.forEach((date, t) => {
+            const issued = ForecastVerification.monthKey(date);
+            if (!issued) return;
+
+            const observedClass = observedByMonth.get(ForecastVerification.addMonths(issued, leadTime));
+            if (observedClass === undefined) return;
+
+            const forecast = MarkovAnalytics.classForecast(affiliationData.affiliations[t], lambdas);
+            if (!forecast) return;
+
+            pairs.push({ date, forecast, observedClass });
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Verify the class forecasts for one lead time against the observed classes
+     * (see collectForecastPairs) and against climatology.
+     * @param {Object} params - Inputs of collectForecastPairs, plus:
+     * @param {Array<number>} params.climatology - Climatological class probabilities
+     * @returns {Object} - {leadTime, count, brier, rps, brierClimatology, rpsClimatology, brierSkill, rpsSkill}
+     */
+    static verifyLeadTime(params) {
+        const { leadTime, climatology } = params;
+        const pairs = ForecastVerification.collectForecastPairs(params);
+        const count = pairs.length;
+        let brier = 0;
+        let rps = 0;
+        let brierClimatology = 0;
+        let rpsClimatology = 0;
+
+        pairs.forEach(({ forecast, observedClass }) => {
+            brier += ForecastVerification.brierScore(forecast, observedClass);
+            rps += ForecastVerification.rankedProbabilityScore(forecast, observedClass);
+            brierClimatology += ForecastVerification.brierScore(climatology, observedClass);
+            rpsClimatology += ForecastVerification.rankedProbabilityScore(climatology, observedClass);
+        });
+
+        if (count === 0) {
+            Logger.warn(`No verifiable forecast/observation pairs for lead time ${leadTime}`);
+            return { leadTime, count: 0, brier: null, rps: null, brierClimatology: null, rpsClimatology: null, brierSkill: null, rpsSkill: null };
+        }
+
+        const result = {
+            leadTime,
+            count,
+            brier: brier / count,
+            rps: rps / count,
+            brierClimatology: brierClimatology / count,
+            rpsClimatology: rpsClimatology / count
+        };
+
+        // Skill relative to climatology: 1 is perfect, 0 no better than climatology
+        result.brierSkill = result.brierClimatology > 0 ? 1 - result.brier / result.brierClimatology : null;
+        result.rpsSkill = result.rpsClimatology > 0 ? 1 - result.rps / result.rpsClimatology : null;
+
+        return result;
+    }
+
+    /**
+     * Bin the forecast probabilities of one class and compare each bin's mean
+     * forecast with the observed frequency of that class (reliability), while
+     * counting forecasts per bin (sharpness).
+     * @param {Array<Object>} pairs - Pairs from collectForecastPairs
+     * @param {number} classIndex - Class to evaluate (0 La Nina, 1 Neutral, 2 El Nino)
+     * @param {number} binCount - Number of equal-width probability bins
+     * @returns {Array<Object>} - Bins as {lower, upper, count, meanForecast, observedFrequency}
+     */
+    static reliability(pairs, classIndex, binCount) {
+        const bins = Array.from({ length: binCount }, (_, b) => ({
+            lower: b / binCount,
+            upper: (b + 1) / binCount,
+            count: 0,
+            forecastSum: 0,
+            hits: 0
+        }));
+
+        pairs.forEach(({ forecast, observedClass }) => {
+            const p = forecast[classIndex];
+            const b = Math.min(Math.floor(p * binCount), binCount - 1);
+            bins[b].count++;
+            bins[b].forecastSum += p;
+            if (observedClass === classIndex) bins[b].hits++;
+        });
+
+        return bins.map(({ lower, upper, count, forecastSum, hits }) => ({
+            lower,
+            upper,
+            count,
+            meanForecast: count > 0 ? forecastSum / count : null,
+            observedFrequency: count > 0 ? hits / count : null
+        }));
+    }
+}
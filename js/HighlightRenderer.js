@@ -0,0 +1,201 @@
+// Highlight Renderer - Encodes a per-node value in [0, 1] onto the SVG nodes
+// (colour map, outline, opacity, radial gauge or the original brightness filter)
+// and draws a legend for the scale of the chosen encoding
+
+import { CONFIG } from './constants.js';
+import { ChartUtils } from './ChartUtils.js';
+import { Utils } from './Utils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const GAUGE_CLASS = 'highlight-gauge';
+
+// Outline colour from the Okabe-Ito palette, distinguishable under colour vision deficiency
+const OUTLINE_COLOUR = '#d55e00';
+
+// Legend sample values
+const LEGEND_TICKS = [0, 0.25, 0.5, 0.75, 1];
+
+// Encodings keyed by name. apply() styles one node for a value; the legend is
+// either a gradient (swatch) or a row of sample nodes (sample).
+const ENCODINGS = {
+    cividis: {
+        label: 'Colour (cividis)',
+        apply: (node, value) => {
+            node.style.fill = ChartUtils.cividis(value);
+        },
+        swatch: t => ChartUtils.cividis(t)
+    },
+    viridis: {
+        label: 'Colour (viridis)',
+        apply: (node, value) => {
+            node.style.fill = ChartUtils.viridis(value);
+        },
+        swatch: t => ChartUtils.viridis(t)
+    },
+    outline: {
+        label: 'Outline thickness',
+        apply: (node, value) => {
+            node.style.stroke = OUTLINE_COLOUR;
+            node.style.strokeWidth = `${(CONFIG.HIGHLIGHT_OUTLINE_MAX_WIDTH * value).toFixed(2)}px`;
+        },
+        sample: (cx, cy, r, value) =>
+            `<circle class="highlight-legend-node" cx="${cx}" cy="${cy}" r="${r}" style="stroke: ${OUTLINE_COLOUR}; stroke-width: ${(CONFIG.HIGHLIGHT_OUTLINE_MAX_WIDTH * value).toFixed(2)}px;"></circle>`
+    },
+    opacity: {
+        label: 'Opacity',
+        apply: (node, value) => {
+            node.style.fillOpacity = HighlightRenderer.opacityFor(value).toFixed(3);
+        },
+        sample: (cx, cy, r, value) =>
+            `<circle class="highlight-legend-node" cx="${cx}" cy="${cy}" r="${r}" style="fill-opacity: ${HighlightRenderer.opacityFor(value).toFixed(3)};"></circle>`
+    },
+    gauge: {
+        label: 'Radial gauge',
+        apply: (node, value) => HighlightRenderer.drawGauge(node, value),
+        sample: (cx, cy, r, value) =>
+            `<circle class="highlight-legend-node" cx="${cx}" cy="${cy}" r="${r}"></circle>` +
+            HighlightRenderer.gaugeMarkup(cx, cy, r * CONFIG.HIGHLIGHT_GAUGE_RADIUS * 2, value)
+    },
+    brightness: {
+        label: 'Brightness',
+        apply: (node, value) => {
+            node.style.filter = `brightness(${(1.0 + CONFIG.BRIGHTNESS_SCALE * value).toFixed(3)})`;
+        },
+        sample: (cx, cy, r, value) =>
+            `<circle class="highlight-legend-node" cx="${cx}" cy="${cy}" r="${r}" style="filter: brightness(${(1.0 + CONFIG.BRIGHTNESS_SCALE * value).toFixed(3)});"></circle>`
+    }
+};
+
+export class HighlightRenderer {
+
+    /**
+     * Available encodings, in menu order
+     * @returns {Array<{name: string, label: string}>}
+     */
+    static encodings() {
+        return Object.entries(ENCODINGS).map(([name, { label }]) => ({ name, label }));
+    }
+
+    /**
+     * Encode a value onto a node, replacing any earlier encoding
+     * @param {SVGElement} node - Node path
+     * @param {number} value - Value in [0, 1]
+     * @param {string} encoding - Encoding name (unknown names fall back to the default)
+     */
+    static apply(node, value, encoding) {
+        const renderer = ENCODINGS[encoding] || ENCODINGS[CONFIG.HIGHLIGHT_DEFAULT_ENCODING];
+        const clamped = Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), 1);
+
+        HighlightRenderer.clear(node);
+        renderer.apply(node, clamped);
+    }
+
+    /**
+     * Remove every encoding from a node
+     * @param {SVGElement} node - Node path
+     */
+    static clear(node) {
+        node.style.filter = '';
+        node.style.fill = '';
+        node.style.fillOpacity = '';
+        node.style.stroke = '';
+        node.style.strokeWidth = '';
+
+        const next = node.nextElementSibling;
+        if (next && next.classList.contains(GAUGE_CLASS)) {
+            next.remove();
+        }
+    }
+
+    /**
+     * Fill opacity of the opacity encoding; never fully transparent so that
+     * nodes with zero value stay visible
+     * @param {number} value - Value in [0, 1]
+     * @returns {number}
+     */
+    static opacityFor(value) {
+        const min = CONFIG.HIGHLIGHT_MIN_OPACITY;
+        return min + (1 - min) * value;
+    }
+
+    /**
+     * Draw a pie-style gauge over the centre of a node, filled clockwise from
+     * twelve o'clock in proportion to the value. The gauge is inserted right
+     * after the node so that it shares the node's coordinate system.
+     * @param {SVGGraphicsElement} node - Node path
+     * @param {number} value - Value in [0, 1]
+     */
+    static drawGauge(node, value) {
+        const box = node.getBBox();
+        const radius = Math.min(box.width, box.height) * CONFIG.HIGHLIGHT_GAUGE_RADIUS;
+        if (!(radius > 0)) return;
+
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', GAUGE_CLASS);
+        group.setAttribute('aria-hidden', 'true');
+        group.innerHTML = HighlightRenderer.gaugeMarkup(box.x + box.width / 2, box.y + box.height / 2, radius, value);
+        node.after(group);
+    }
+
+    /**
+     * Markup of a gauge: a track circle and the filled sector
+     * @param {number} cx - Centre x
+     * @param {number} cy - Centre y
+     * @param {number} r - Radius
+     * @param {number} value - Value in [0, 1]
+     * @returns {string} - SVG markup
+     */
+    static gaugeMarkup(cx, cy, r, value) {
+        const track = `<circle class="highlight-gauge-track" cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" r="${r.toFixed(2)}"></circle>`;
+        if (value <= 0) return track;
+        if (value >= 0.999) {
+            return track + `<circle class="highlight-gauge-fill" cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" r="${r.toFixed(2)}"></circle>`;
+        }
+
+        const angle = 2 * Math.PI * value;
+        const x = cx + r * Math.sin(angle);
+        const y = cy - r * Math.cos(angle);
+        const largeArc = value > 0.5 ? 1 : 0;
+        const d = `M ${cx.toFixed(2)} ${cy.toFixed(2)} L ${cx.toFixed(2)} ${(cy - r).toFixed(2)} ` +
+            `A ${r.toFixed(2)} ${r.toFixed(2)} 0 ${largeArc} 1 ${x.toFixed(2)} ${y.toFixed(2)} Z`;
+        return track + `<path class="highlight-gauge-fill" d="${d}"></path>`;
+    }
+
+    /**
+     * Legend of an encoding: a gradient for colour maps, sample nodes otherwise,
+     * with ticks along the value scale
+     * @param {string} encoding - Encoding name
+     * @param {string} title - What the highlighted value is
+     * @returns {string} - HTML markup
+     */
+    static legend(encoding, title) {
+        const renderer = ENCODINGS[encoding] || ENCODINGS[CONFIG.HIGHLIGHT_DEFAULT_ENCODING];
+        const width = 200;
+        const left = 12;
+        const span = width - 2 * left;
+        const x = t => left + t * span;
+
+        let scale = '';
+        if (renderer.swatch) {
+            const steps = 40;
+            for (let k = 0; k < steps; k++) {
+                scale += `<rect x="${(left + (k / steps) * span).toFixed(2)}" y="4" width="${(span / steps + 0.5).toFixed(2)}" height="14" fill="${renderer.swatch((k + 0.5) / steps)}"></rect>`;
+            }
+        } else {
+            scale = LEGEND_TICKS.map(t => renderer.sample(x(t), 11, 8, t)).join('');
+        }
+
+        const ticks = LEGEND_TICKS.map(t =>
+            `<text class="chart-tick" x="${x(t).toFixed(2)}" y="32" text-anchor="middle">${t}</text>`
+        ).join('');
+
+        return `
+            <div class="highlight-legend-title">${Utils.escapeHTML(title)}</div>
+            <svg class="chart highlight-legend-scale" viewBox="0 0 ${width} 36" role="img"
+                 aria-label="${Utils.escapeHTML(`${title}, ${renderer.label}, from 0 to 1`)}">
+                ${scale}
+                ${ticks}
+            </svg>
+        `;
+    }
+}
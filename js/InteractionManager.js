@@ -122,9 +122,68 @@ export class InteractionManager extends BaseInteractionManager {
             el.style.pointerEvents = 'none';
         });
 
+        this.setupGraphKeyboardNavigation(svgElement, nodes, edgeElements);
+
         Logger.debug(`Setup interactions for ${nodes.length} nodes and ${edgeElements.length} edge elements`);
     }
 
+    /**
+     * Keyboard access to the Markov chain figure. Edge paths and their arrow
+     * heads share a data-edge-id; only the first element of each edge is made
+     * focusable.
+     * @param {SVGSVGElement} svgElement - Figure
+     * @param {NodeList} nodes - Node paths
+     * @param {NodeList} edgeElements - Edge paths and arrow heads
+     */
+    setupGraphKeyboardNavigation(svgElement, nodes, edgeElements) {
+        const graphNodes = [];
+        nodes.forEach((element, index) => {
+            const nodeData = this.svgParser.getNodeData(`node-${index}`);
+            if (nodeData) graphNodes.push({ element, id: nodeData.id, key: `node-${index}` });
+        });
+
+        const graphEdges = [];
+        const seen = new Set();
+        edgeElements.forEach(element => {
+            const key = element.getAttribute('data-edge-id');
+            const edgeData = this.svgParser.getEdgeData(key);
+            if (seen.has(key) || !edgeData || edgeData.sourceId === null || edgeData.sourceId === undefined) return;
+            seen.add(key);
+            graphEdges.push({
+                element,
+                key,
+                source: edgeData.sourceId,
+                target: edgeData.targetId,
+                weight: edgeData.probability
+            });
+        });
+
+        const nodeName = id => {
+            const node = graphNodes.find(n => n.id === id);
+            const nodeData = node ? this.svgParser.getNodeData(node.key) : null;
+            return nodeData?.displayName || `Cluster ${id}`;
+        };
+
+        this.setupKeyboardNavigation(svgElement, { nodes: graphNodes, edges: graphEdges }, {
+            label: item => item.kind === 'node'
+                ? nodeName(item.id)
+                : `${nodeName(item.source)} to ${nodeName(item.target)}, transition probability ${Number.isFinite(item.weight) ? item.weight.toFixed(2) : 'unknown'}`,
+            onFocus: (item, e) => {
+                if (item.kind === 'node') {
+                    this.showNodeTooltip(e, item.key, item.element);
+                } else {
+                    this.showEdgeTooltip(e, item.key);
+                    this.highlightEdge(item.element);
+                }
+            },
+            onBlur: item => {
+                this.hideTooltip();
+                if (item.kind === 'edge') this.unhighlightEdge(item.element);
+            },
+            onActivate: item => this.showNodeModal(item.key)
+        }, 'Markov chain graph. Use the arrow keys to move between clusters along their transitions and Enter to open a cluster.');
+    }
+
     showNodeTooltip(event, nodeKey, nodeElement) {
         const nodeData = this.svgParser.getNodeData(nodeKey);
         if (!nodeData) return;
@@ -143,7 +202,18 @@ export class InteractionManager extends BaseInteractionManager {
 
         // Affiliation probability for selected date
         let affiliationProbContent = '';
-        if (this.app?.affiliationData && this.app?.dateSlider && !this.app.dateSlider.disabled) {
+        const highlightWindow = this.app?.highlightWindow;
+        if (highlightWindow && this.app.affiliationData) {
+            const nodeIndex = nodeData.id - 1;
+            const aggregate = highlightWindow.vector[nodeIndex];
+            const probDisplay = Number.isFinite(aggregate) ? aggregate.toFixed(3) : 'not defined';
+            const aggregateLabel = CONFIG.DATE_RANGE_AGGREGATES[highlightWindow.method];
+            const windowLabel = this.app.formatDateWindow(highlightWindow.start, highlightWindow.end);
+
+            affiliationProbContent = `
+                <p style="text-align: left;"><strong>${aggregateLabel} (${windowLabel}):</strong><br>${probDisplay}</p>
+            `;
+        } else if (this.app?.affiliationData && this.app?.dateSlider && !this.app.dateSlider.disabled) {
             const dateIndex = parseInt(this.app.dateSlider.value, 10);
             const nodeIndex = nodeData.id - 1; // Convert 1-based node ID to 0-based index
             const probVector = this.app.affiliationData.affiliations[dateIndex];
@@ -187,13 +257,13 @@ export class InteractionManager extends BaseInteractionManager {
             }
         }
 
-        const formatMonths = (value) => {
+        const formatMonths = (value, computed) => {
             if (!Number.isFinite(value)) return 'N/A';
-            return `${value.toFixed(2)} months`;
+            return `${value.toFixed(2)} months${computed ? ' (computed)' : ''}`;
         };
 
-        const meanReturnText = formatMonths(nodeData.mean_return);
-        const meanExitText = formatMonths(nodeData.mean_exit);
+        const meanReturnText = formatMonths(nodeData.mean_return, nodeData.computed?.mean_return);
+        const meanExitText = formatMonths(nodeData.mean_exit, nodeData.computed?.mean_exit);
         const meanTimesContent = `
             <p style="text-align: left;"><strong>Mean Return Time:</strong> ${meanReturnText}</p>
             <p style="text-align: left;"><strong>Mean Exit Time:</strong> ${meanExitText}</p>
@@ -284,8 +354,9 @@ export class InteractionManager extends BaseInteractionManager {
             this.tooltip.style.minWidth = '';
         }
         
-        this.tooltip.style.left = (event.pageX + 10) + "px";
-        this.tooltip.style.top = (event.pageY - 10) + "px";
+        const { pageX, pageY } = this.getEventPagePosition(event);
+        this.tooltip.style.left = (pageX + 10) + "px";
+        this.tooltip.style.top = (pageY - 10) + "px";
         this.tooltip.classList.add(CSS_CLASSES.SHOW);
     }
 
@@ -440,6 +511,9 @@ export class InteractionManager extends BaseInteractionManager {
         }
 
         const detrendChecked = this.useDetrendedImages ? 'checked' : '';
+        const seriesButton = this.app?.affiliationData
+            ? '<button type="button" class="analysis-btn" id="affiliation-series-btn">Affiliation over time</button>'
+            : '';
         const modalContentHtml = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
                 <div style="display: flex; align-items: center; gap: 0.5rem; min-width: 130px;">
@@ -450,7 +524,9 @@ export class InteractionManager extends BaseInteractionManager {
                     <span style="font-size: 0.85rem; white-space: nowrap;">Detrended</span>
                 </div>
                 <h2 style="flex: 1; text-align: center; margin: 0;">${Utils.escapeHTML(displayName)}</h2>
-                <div style="width: 130px;"></div>
+                <div style="display: flex; justify-content: flex-end; min-width: 130px;">
+                    ${seriesButton}
+                </div>
             </div>
             ${contentLayout}
         `;
@@ -467,9 +543,16 @@ export class InteractionManager extends BaseInteractionManager {
 
         this.modal.style.display = "block";
         setTimeout(() => this.modal.classList.add(CSS_CLASSES.SHOW), CONFIG.MODAL_SHOW_DELAY_MS);
+        this.closeButton?.focus();
+        this.setOpenNodeKey(nodeKey);
 
         // Setup event handlers for date links and image management
         this.setupDateImageEventHandlers();
+
+        const seriesBtn = this.modalBody.querySelector('#affiliation-series-btn');
+        if (seriesBtn) {
+            seriesBtn.addEventListener('click', () => this.app.showAffiliationSeries(nodeData.id));
+        }
         
         // Setup video size observer to track responsive behavior
         this.setupVideoSizeObserver();
@@ -1,4 +1,4 @@
-import { CONFIG, SELECTORS, DEBUG } from './constants.js';
+import { CONFIG, SELECTORS, CSS_CLASSES, DEBUG, DAG_CONFIG } from './constants.js';
 import { Logger } from './Logger.js';
 import { SVGLoader } from './SVGLoader.js';
 import { SVGParser } from './SVGParser.js';
@@ -12,6 +12,16 @@ import { BaseParser } from './BaseParser.js';
 import { CaseStudyController } from './CaseStudyController.js';
 import { BaseDataLoader } from './BaseDataLoader.js';
 import { PrecursorPlotsController } from './PrecursorPlotsController.js';
+import { MarkovAnalytics } from './MarkovAnalytics.js';
+import { Utils } from './Utils.js';
+import { ChartUtils } from './ChartUtils.js';
+import { ForecastVerification } from './ForecastVerification.js';
+import { UncertaintyEngine } from './UncertaintyEngine.js';
+import { TransitionConsistency } from './TransitionConsistency.js';
+import { HighlightRenderer } from './HighlightRenderer.js';
+import { NodeSearch } from './NodeSearch.js';
+import { SvgViewport } from './SvgViewport.js';
+import { UrlState } from './UrlState.js';
 
 export class InteractiveSVGApp {
     constructor() {
@@ -54,8 +64,129 @@ export class InteractiveSVGApp {
         this.mfptNodeJSelect = null;
         this.mfptValue = null;
         this.mfptNodeCount = null;
+        this.mfptMatrixButton = null;
         this.kMaxData = null;
 
+        // Transition matrix model for the loaded lead time (Markov Chain)
+        this.markovChain = null; // {leadTime, nodeCount, matrix, lambdas, links, matrixSamples}
+        this.nodeOverlay = null; // {source, vector, onRelease, dateWindow} when a derived quantity shades the nodes
+        this.highlightWindow = null; // {start, end, method, vector} while nodes show an aggregate over a window of dates
+
+        // Node search fields (both pages)
+        this.nodeSearchControls = null; // {row, input, prevButton, nextButton, value, collectNodes, reveal, matches, current}
+        this.dagNodeSearchControls = null;
+
+        // Zoom and pan of the DAG figure
+        this.dagViewport = null; // SvgViewport of the loaded figure
+        this.dagViewControls = null; // {row, zoomInButton, zoomOutButton, fitButton, pathButton, value}
+
+        // Node highlight encoding and its legend (both pages)
+        this.highlightEncoding = CONFIG.HIGHLIGHT_DEFAULT_ENCODING;
+        this.highlightEncodingSelect = null;
+        this.highlightLegend = null;
+        this.dagHighlightEncodingSelect = null;
+        this.dagHighlightLegend = null;
+
+        // Affiliation time series chart shown in the modal (Markov Chain)
+        this.affiliationSeriesView = null; // {clusters, slider, dateLabel, chart, values}
+
+        // Committor controls (Markov Chain)
+        this.committorRow = null;
+        this.committorSetASelect = null;
+        this.committorSetBSelect = null;
+        this.committorAutoButton = null;
+        this.committorShadeToggle = null;
+        this.committorValue = null;
+        this.committorValues = null;
+
+        // Stationary distribution controls (Markov Chain)
+        this.stationaryRow = null;
+        this.stationaryTableButton = null;
+        this.stationaryShadeToggle = null;
+        this.stationaryValue = null;
+        this.stationaryDistribution = null;
+
+        // Spectral analysis controls (Markov Chain)
+        this.spectralRow = null;
+        this.spectralSpectrumButton = null;
+        this.spectralShadeSelect = null;
+        this.spectralSetsSelect = null;
+        this.spectralValue = null;
+        this.spectralModes = null;
+        this.metastableSets = null;
+
+        // Detailed balance controls (Markov Chain)
+        this.reversibilityRow = null;
+        this.reversibilityReportButton = null;
+        this.reversibilityFluxToggle = null;
+        this.reversibilityValue = null;
+        this.reversibilityDiagnostics = null;
+
+        // Transition consistency check (Markov Chain)
+        this.consistencyRow = null;
+        this.consistencyReportButton = null;
+        this.consistencyHighlightToggle = null;
+        this.consistencyValue = null;
+        this.consistencyResult = null;
+
+        // Lumped chain controls (Markov Chain)
+        this.lumpedRow = null;
+        this.lumpedGroupingSelect = null;
+        this.lumpedEditButton = null;
+        this.lumpedDiagramToggle = null;
+        this.lumpedValue = null;
+        this.lumpedPanel = null;
+        this.lumpedChain = null;
+        this.lumpedCustomGroups = null;
+
+        // Chain summary across lead times (Markov Chain)
+        this.chainSummaryRow = null;
+        this.chainSummaryButton = null;
+        this.chainSummaryValue = null;
+        this.chainSummary = null;
+
+        // Affiliation forecast controls (Markov Chain)
+        this.forecastRow = null;
+        this.forecastStepsSelect = null;
+        this.forecastPlayButton = null;
+        this.forecastResetButton = null;
+        this.forecastValue = null;
+        this.forecast = null; // {dateIndex, history, step, timer}
+
+        // Monte Carlo simulation controls (Markov Chain)
+        this.simulationRow = null;
+        this.simulationStartSelect = null;
+        this.simulationRunsSelect = null;
+        this.simulationRunButton = null;
+        this.simulationHistogramButton = null;
+        this.simulationValue = null;
+        this.simulation = null; // {path, step, timer, visitCounts, classTotals, runs, steps, startLabel}
+
+        // ENSO class forecast readout beside the date slider (Markov Chain)
+        this.classForecastBars = null;
+        this.classForecastSeriesButton = null;
+        this.classForecastSeries = null; // per-date class probabilities, computed on demand
+
+        // Date range mode of the date slider: {row, toggle, method, value, startSlider, endSlider} (Markov Chain)
+        this.dateRangeControls = null;
+
+        // Playback of the date slider: {row, playButton, loopToggle, speedSelect, followToggle, value,
+        // slider, rangeControls, onChange, onFollow, state} (Markov Chain)
+        this.playbackControls = null;
+
+        // Dominant cluster timeline under the date slider (Markov Chain)
+        this.dominantTimelineRow = null;
+        this.dominantTimeline = null;
+
+        // Affiliation heatmap controls (Markov Chain)
+        this.heatmapRow = null;
+        this.heatmapToggle = null;
+        this.heatmapClearButton = null;
+        this.heatmapValue = null;
+        this.heatmapPanel = null;
+        this.heatmapWindow = null; // {start, end} date indices of the applied window
+        this.heatmapBrush = null; // {anchor, current} while dragging
+
         // DAG affiliation matrix state (DAG date slider)
         this.dagAffiliationData = {}; // Map: level -> {dates, affiliations}
         this.dagDateSlider = null;
@@ -64,6 +195,15 @@ export class InteractiveSVGApp {
         this.dagDateSliderNext = null;
         this.currentDagSvgElement = null;
 
+        // Date range mode of the DAG date slider
+        this.dagDateRangeControls = null;
+        this.dagPlaybackControls = null;
+        this.dagHighlightWindow = null; // {start, end, method, vectors} with the aggregate of each level
+
+        // Per-level dominant cluster timelines under the DAG date slider
+        this.dagDominantTimelineRow = null;
+        this.dagDominantTimeline = null;
+
         // DAG cumulative probability controls
         this.dagProbRow = null;
         this.dagProbNodeISelect = null;
@@ -72,6 +212,7 @@ export class InteractiveSVGApp {
         this.dagProbLevelMSelect = null;
         this.dagProbValue = null;
         this.dagProbabilityCache = null;
+        this.dagUncertainty = null; // {links, edgeIndex, samples}
         this.dagIndexUtils = null;
         this.dagKMaxData = null;
 
@@ -89,6 +230,14 @@ export class InteractiveSVGApp {
         this.dagPathHighlightedNodes = [];
         this.dagPathHighlightedEdges = [];
         this.dagPathHighlightedArrows = [];
+
+        // DAG forecast verification controls
+        this.dagVerificationRow = null;
+        this.dagVerificationButton = null;
+        this.dagVerificationValue = null;
+        this.dagReliabilityButton = null;
+        this.dagVerificationResults = null;
+        this.dagObservedClasses = null; // {observedByMonth, climatology}
     }
 
     async initialize() {
@@ -108,6 +257,15 @@ export class InteractiveSVGApp {
             this.uiController.initialize();
             this.interactionManager.initialize();
             this.initializeMFPTControls();
+            this.initializeCommittorControls();
+            this.initializeStationaryControls();
+            this.initializeSpectralControls();
+            this.initializeReversibilityControls();
+            this.initializeLumpedControls();
+            this.initializeConsistencyControls();
+            this.initializeChainSummaryControls();
+            this.initializeForecastControls();
+            this.initializeSimulationControls();
 
             // Set up Markov Chain callbacks
             this.uiController.setOnSvgSelectedCallback((finalSelection) => {
@@ -160,9 +318,32 @@ export class InteractiveSVGApp {
             Logger.debug(`Loading SVG: ${filename}`);
 
             // Clear previous affiliation highlighting
+            this.releaseNodeOverlay();
             this.clearDateHighlighting();
             this.resetMfptControls();
             this.setMfptControlsEnabled(false);
+            this.markovChain = null;
+            this.affiliationSeriesView = null;
+            this.setNodeSearchEnabled(this.nodeSearchControls, false);
+            this.stopPlayback(this.playbackControls);
+            this.resetHeatmapControls();
+            this.setHeatmapControlsEnabled(false);
+            this.resetCommittorControls();
+            this.setCommittorControlsEnabled(false);
+            this.resetStationaryControls();
+            this.setStationaryControlsEnabled(false);
+            this.resetSpectralControls();
+            this.setSpectralControlsEnabled(false);
+            this.resetReversibilityControls();
+            this.setReversibilityControlsEnabled(false);
+            this.resetLumpedControls();
+            this.setLumpedControlsEnabled(false);
+            this.resetConsistencyControls();
+            this.setConsistencyControlsEnabled(false);
+            this.cancelForecast();
+            this.setForecastControlsEnabled(false);
+            this.resetSimulationControls();
+            this.setSimulationControlsEnabled(false);
 
             // Load SVG and JSON data
             const { svgElement, jsonParser } = await this.svgLoader.loadSVGWithData(filename);
@@ -179,15 +360,29 @@ export class InteractiveSVGApp {
 
             // Store reference to current SVG element
             this.currentSvgElement = svgElement;
+            this.setNodeSearchEnabled(this.nodeSearchControls, true);
 
             Logger.info('SVG loading and setup completed successfully');
 
-            // Load affiliation matrix for this lead time
+            // Build the transition matrix and derived quantities for this lead time
             const leadTime = this.svgLoader.getCurrentLeadTime();
+            this.buildMarkovChainModel(jsonParser, leadTime);
+            if (this.markovChain) {
+                this.svgParser.applyDerivedNodeTimes(MarkovAnalytics.deriveNodeTimes(this.markovChain.matrix));
+            }
+            this.setupCommittorControls();
+            this.setupStationaryControls();
+            this.setupSpectralControls();
+            this.setupReversibilityControls();
+            this.setupLumpedControls();
+            this.setupSimulationControls();
+
+            // Load affiliation matrix for this lead time
             if (leadTime) {
                 await this.loadAffiliationMatrix(leadTime);
                 await this.setupMfptForLeadTime(leadTime);
             }
+            this.writeMarkovUrlState();
 
         } catch (error) {
             Logger.error('Failed to load SVG:', error);
@@ -219,6 +414,9 @@ export class InteractiveSVGApp {
         if (this.dateSliderNext) {
             this.dateSliderNext.addEventListener('click', () => this.stepDateSlider(1));
         }
+        if (this.classForecastSeriesButton) {
+            this.classForecastSeriesButton.addEventListener('click', () => this.showClassForecastSeries());
+        }
 
         Logger.debug('Date slider event listeners set up');
     }
@@ -252,6 +450,7 @@ export class InteractiveSVGApp {
             }
 
             this.affiliationData = data;
+            this.classForecastSeries = null;
 
             // Enable and configure the slider
             if (this.dateSlider) {
@@ -260,16 +459,25 @@ export class InteractiveSVGApp {
                 this.dateSlider.value = 0;
                 this.dateSlider.disabled = false;
             }
+            this.setDateRangeControlsEnabled(this.dateRangeControls, true);
+            this.setPlaybackControlsEnabled(this.playbackControls, true);
 
             Logger.info(`Affiliation matrix loaded: ${data.n_timesteps} dates, ${data.n_clusters} clusters`);
 
             // Apply initial highlighting for the first date
             this.onDateSliderChange(0);
+            this.renderDominantTimeline();
+            this.setupHeatmapControls();
+            this.setForecastControlsEnabled(!!this.markovChain);
+            this.setupConsistencyControls();
 
         } catch (error) {
             Logger.warn(`Could not load affiliation matrix for lead time ${leadTime}: ${error.message}`);
             this.affiliationData = null;
             this.disableDateSlider();
+            this.setForecastControlsEnabled(false);
+            this.setupHeatmapControls();
+            this.setupConsistencyControls();
         }
     }
 
@@ -286,6 +494,7 @@ export class InteractiveSVGApp {
         const max = parseInt(this.dateSlider.max, 10);
 
         if (next < min || next > max) return;
+        if (!this.shiftDateRangeEnd(this.dateRangeControls, direction)) return;
 
         this.dateSlider.value = next;
         this.onDateSliderChange(next);
@@ -307,14 +516,36 @@ export class InteractiveSVGApp {
             return;
         }
 
-        // Update label with formatted date
-        const dateString = dates[dateIndex];
-        if (this.dateSliderLabel) {
-            this.dateSliderLabel.textContent = this.formatSliderDate(dateString);
-        }
+        // Update label with the formatted date, or the window in range mode
+        const dateWindow = this.labelDateSelection(this.dateRangeControls, this.dateSliderLabel, dates, dateIndex);
 
         // Update step button disabled states
-        this.updateStepButtons(dateIndex, dates.length);
+        this.updateStepButtons(dateIndex, dates.length, dateWindow);
+        this.writeMarkovUrlState();
+
+        this.updateClassForecast(dateIndex);
+        this.updateDominantTimelineMarker(this.dominantTimeline, dateIndex);
+        this.updateHeatmapCursor(dateIndex);
+        this.markDominantNodes();
+        this.renderAffiliationSeries();
+
+        // A forecast started from another date no longer applies
+        if (this.forecast && this.forecast.dateIndex !== dateIndex) {
+            this.cancelForecast();
+        }
+
+        // A derived quantity is currently shaded onto the nodes; keep it
+        if (this.nodeOverlay) return;
+
+        if (dateWindow) {
+            const aggregate = MarkovAnalytics.aggregateAffiliations(affiliations, dateWindow.start, dateWindow.end, dateWindow.method);
+            if (aggregate) {
+                this.applyDateHighlighting(aggregate, dateWindow);
+            } else {
+                this.clearDateHighlighting();
+            }
+            return;
+        }
 
         // Get the probability vector for this date
         const probVector = affiliations[dateIndex];
@@ -331,50 +562,124 @@ export class InteractiveSVGApp {
      * Enable/disable the prev/next step buttons based on current position.
      * @param {number} index - Current date index
      * @param {number} total - Total number of dates
+     * @param {Object|null} dateWindow - {start, end} in range mode, where the arrows shift the whole window
      */
-    updateStepButtons(index, total) {
+    updateStepButtons(index, total, dateWindow = null) {
+        const first = dateWindow ? dateWindow.start : index;
+        const last = dateWindow ? dateWindow.end : index;
+
         if (this.dateSliderPrev) {
-            this.dateSliderPrev.disabled = (index <= 0);
+            this.dateSliderPrev.disabled = (first <= 0);
         }
         if (this.dateSliderNext) {
-            this.dateSliderNext.disabled = (index >= total - 1);
+            this.dateSliderNext.disabled = (last >= total - 1);
         }
     }
 
     /**
-     * Apply brightness-based highlighting to SVG nodes proportional to
-     * their affiliation probabilities.
-     * @param {number[]} probVector - Probability vector (one entry per cluster)
+     * Highlight SVG nodes by their affiliation probabilities, using the
+     * selected encoding (see HighlightRenderer).
+     * @param {number[]} probVector - Probability vector (one entry per cluster), for one
+     *     date or aggregated over a window of dates
+     * @param {Object|null} dateWindow - {start, end} date indices when probVector is an
+     *     aggregate; kept in highlightWindow so that node tooltips report the window
      */
-    applyDateHighlighting(probVector) {
+    applyDateHighlighting(probVector, dateWindow = null) {
         if (!this.currentSvgElement) return;
 
+        this.highlightWindow = dateWindow ? { ...dateWindow, vector: probVector } : null;
+
         const nodes = this.currentSvgElement.querySelectorAll(SELECTORS.SVG_NODES);
-        const scale = CONFIG.BRIGHTNESS_SCALE;
 
         nodes.forEach((node, index) => {
             const probability = (index < probVector.length) ? probVector[index] : 0;
-            const brightness = 1.0 + scale * probability;
-            node.style.filter = `brightness(${brightness.toFixed(3)})`;
+            HighlightRenderer.apply(node, probability, this.highlightEncoding);
         });
 
+        let title = 'Affiliation probability';
+        if (dateWindow) {
+            title = CONFIG.DATE_RANGE_AGGREGATES[dateWindow.method];
+        } else if (this.nodeOverlay) {
+            title = CONFIG.HIGHLIGHT_OVERLAY_LABELS[this.nodeOverlay.source] || 'Highlighted value';
+        }
+        this.showHighlightLegend(this.highlightLegend, title);
+
         Logger.debug(`Applied date highlighting: ${probVector.length} nodes, max p=${Math.max(...probVector).toFixed(3)}`);
     }
 
     /**
-     * Remove all brightness modifications from SVG nodes.
+     * Remove all highlighting from SVG nodes.
      */
     clearDateHighlighting() {
+        this.highlightWindow = null;
+        this.showHighlightLegend(this.highlightLegend, null);
         if (!this.currentSvgElement) return;
 
         const nodes = this.currentSvgElement.querySelectorAll(SELECTORS.SVG_NODES);
         nodes.forEach(node => {
-            node.style.filter = '';
+            HighlightRenderer.clear(node);
         });
 
         Logger.debug('Cleared date highlighting');
     }
 
+    /**
+     * Shade the SVG nodes with a derived per-cluster quantity instead of the
+     * date slider's affiliation vector. Only one overlay is active at a time;
+     * the previous owner is notified through its onRelease callback.
+     * @param {string} source - Name of the feature that owns the overlay
+     * @param {number[]} vector - Values in [0, 1], one entry per cluster
+     * @param {Function} onRelease - Called when another overlay replaces this one
+     * @param {Object|null} dateWindow - {start, end} when the vector aggregates the affiliations of a window of dates
+     */
+    setNodeOverlay(source, vector, onRelease = null, dateWindow = null) {
+        const previous = this.nodeOverlay;
+        this.nodeOverlay = { source, vector, onRelease, dateWindow };
+
+        if (previous && previous.source !== source && typeof previous.onRelease === 'function') {
+            previous.onRelease();
+        }
+
+        this.applyDateHighlighting(vector, dateWindow);
+    }
+
+    /**
+     * Remove the node overlay (optionally only if owned by the given source)
+     * and restore the date slider highlighting.
+     * @param {string|null} source - Overlay owner, or null to clear any overlay
+     */
+    clearNodeOverlay(source = null) {
+        if (!this.nodeOverlay) return;
+        if (source && this.nodeOverlay.source !== source) return;
+
+        this.nodeOverlay = null;
+        this.refreshDateHighlighting();
+    }
+
+    /**
+     * Drop the node overlay without repainting, notifying its owner.
+     * Used when the figure itself is being replaced.
+     */
+    releaseNodeOverlay() {
+        const previous = this.nodeOverlay;
+        this.nodeOverlay = null;
+        if (previous && typeof previous.onRelease === 'function') {
+            previous.onRelease();
+        }
+    }
+
+    /**
+     * Re-apply the highlighting for the slider's current date, or clear it
+     * if no affiliation data is available.
+     */
+    refreshDateHighlighting() {
+        if (this.affiliationData && this.dateSlider && !this.dateSlider.disabled) {
+            this.onDateSliderChange(parseInt(this.dateSlider.value, 10));
+        } else {
+            this.clearDateHighlighting();
+        }
+    }
+
     /**
      * Disable the date slider and reset its label.
      */
@@ -394,6 +699,10 @@ export class InteractiveSVGApp {
         if (this.dateSliderNext) {
             this.dateSliderNext.disabled = true;
         }
+        this.clearClassForecast();
+        this.clearDominantTimeline();
+        this.setDateRangeControlsEnabled(this.dateRangeControls, false);
+        this.setPlaybackControlsEnabled(this.playbackControls, false);
     }
 
     /**
@@ -415,135 +724,3662 @@ export class InteractiveSVGApp {
     }
 
     // =========================================================================
-    // MFPT CONTROLS (MARKOV CHAIN)
+    // AFFILIATION TIME SERIES (MARKOV CHAIN)
     // =========================================================================
 
-    initializeMFPTControls() {
-        this.mfptRow = document.querySelector(SELECTORS.MFPT_ROW);
-        this.mfptNodeISelect = document.querySelector(SELECTORS.MFPT_NODE_I);
-        this.mfptNodeJSelect = document.querySelector(SELECTORS.MFPT_NODE_J);
-        this.mfptValue = document.querySelector(SELECTORS.MFPT_VALUE);
+    /**
+     * Show the affiliation probability of a cluster over every date in the modal.
+     * The chart cursor and the modal's date slider follow the main date slider;
+     * clicking or dragging across the chart moves it. Further clusters can be
+     * overlaid for comparison.
+     * @param {number} clusterId - 1-based cluster to show first
+     */
+    showAffiliationSeries(clusterId) {
+        if (!this.affiliationData || !this.dateSlider) return;
+
+        const { dates, affiliations } = this.affiliationData;
+        const nodeCount = affiliations[0]?.length || 0;
+        if (dates.length === 0 || clusterId < 1 || clusterId > nodeCount) return;
+
+        const clusterOptions = Array.from({ length: nodeCount }, (_, i) => {
+            const id = i + 1;
+            return `
+                <label class="affiliation-series-option">
+                    <input type="checkbox" value="${id}"${id === clusterId ? ' checked' : ''}>
+                    ${id}
+                </label>`;
+        }).join('');
+
+        const content = `
+            <div class="modal-controls">
+                <label for="affiliation-series-slider"><strong>Date:</strong></label>
+                <input type="range" id="affiliation-series-slider" class="affiliation-series-slider"
+                       min="0" max="${dates.length - 1}" step="1" value="${this.dateSlider.value}">
+                <span class="analysis-value" id="affiliation-series-date"></span>
+            </div>
+            <div class="chart-container affiliation-series-chart"></div>
+            <p class="affiliation-series-values"></p>
+            <fieldset class="affiliation-series-clusters">
+                <legend>Overlay clusters</legend>
+                ${clusterOptions}
+            </fieldset>
+        `;
+
+        this.interactionManager.showModal(content, { title: 'Affiliation Probability over Time' });
+
+        const modalBody = this.interactionManager.modalBody;
+        const view = {
+            clusters: [clusterId],
+            slider: modalBody.querySelector('#affiliation-series-slider'),
+            dateLabel: modalBody.querySelector('#affiliation-series-date'),
+            chart: modalBody.querySelector('.affiliation-series-chart'),
+            values: modalBody.querySelector('.affiliation-series-values')
+        };
+        this.affiliationSeriesView = view;
 
-        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect || !this.mfptValue) {
+        view.slider.addEventListener('input', () => {
+            this.setAffiliationSeriesDate(parseInt(view.slider.value, 10));
+        });
+
+        modalBody.querySelectorAll('.affiliation-series-clusters input').forEach(input => {
+            input.addEventListener('change', () => {
+                view.clusters = Array.from(modalBody.querySelectorAll('.affiliation-series-clusters input:checked'))
+                    .map(checked => parseInt(checked.value, 10));
+                this.renderAffiliationSeries();
+            });
+        });
+
+        // Click or drag across the plot to move the date cursor
+        view.chart.addEventListener('pointerdown', event => {
+            const dateIndex = this.getAffiliationSeriesIndexAt(event);
+            if (dateIndex === null) return;
+            view.chart.setPointerCapture(event.pointerId);
+            this.setAffiliationSeriesDate(dateIndex);
+        });
+        view.chart.addEventListener('pointermove', event => {
+            if (!view.chart.hasPointerCapture(event.pointerId)) return;
+            const dateIndex = this.getAffiliationSeriesIndexAt(event);
+            if (dateIndex !== null) this.setAffiliationSeriesDate(dateIndex);
+        });
+
+        this.renderAffiliationSeries();
+    }
+
+    /**
+     * Move the main date slider from the affiliation series chart; the chart
+     * itself follows through onDateSliderChange.
+     * @param {number} dateIndex - Index into affiliationData.dates
+     */
+    setAffiliationSeriesDate(dateIndex) {
+        if (!this.dateSlider || this.dateSlider.disabled) return;
+        if (dateIndex === parseInt(this.dateSlider.value, 10)) return;
+
+        this.dateSlider.value = dateIndex;
+        this.onDateSliderChange(dateIndex);
+    }
+
+    /**
+     * Map a pointer position over the chart to the nearest date index, using
+     * the plot frame of the rendered chart.
+     * @param {PointerEvent} event - Pointer event over the chart container
+     * @returns {number|null} - Date index, or null outside the plot
+     */
+    getAffiliationSeriesIndexAt(event) {
+        const frame = this.affiliationSeriesView?.chart.querySelector('.chart-frame');
+        const svg = frame?.ownerSVGElement;
+        const ctm = svg?.getScreenCTM();
+        if (!ctm) return null;
+
+        const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(ctm.inverse());
+        const left = frame.x.baseVal.value;
+        const width = frame.width.baseVal.value;
+        if (point.x < left - 1 || point.x > left + width + 1) return null;
+
+        const lastIndex = this.affiliationData.dates.length - 1;
+        const fraction = Math.min(Math.max((point.x - left) / width, 0), 1);
+        return Math.round(fraction * lastIndex);
+    }
+
+    /**
+     * Redraw the affiliation series chart with its cursor at the slider date.
+     * Does nothing once the chart's modal has been closed or replaced.
+     */
+    renderAffiliationSeries() {
+        const view = this.affiliationSeriesView;
+        if (!view || !this.affiliationData) return;
+        if (!view.chart.isConnected || this.interactionManager.modal?.style.display === 'none') {
+            this.affiliationSeriesView = null;
             return;
         }
 
-        this.resetMfptControls();
-        this.setMfptControlsEnabled(false);
+        const { dates, affiliations } = this.affiliationData;
+        const dateIndex = parseInt(this.dateSlider.value, 10);
+        const clusters = [...view.clusters].sort((a, b) => a - b);
 
-        this.mfptNodeISelect.addEventListener('change', () => {
-            this.handleMfptNodeIChange();
+        view.slider.value = dateIndex;
+        view.dateLabel.textContent = Utils.formatDateToMonthYear(dates[dateIndex]);
+
+        if (clusters.length === 0) {
+            view.chart.innerHTML = '<p>Select at least one cluster to plot.</p>';
+            view.values.textContent = '';
+            return;
+        }
+
+        const series = clusters.map((id, k) => ({
+            label: `Cluster ${id}`,
+            className: `series-${k % 4}`,
+            values: affiliations.map(row => row?.[id - 1] ?? null)
+        }));
+
+        view.chart.innerHTML = ChartUtils.lineChart(series, {
+            xLabels: dates.map(date => Utils.formatDateToMonthYear(date)),
+            yMin: 0,
+            yMax: 1,
+            yLabel: 'Affiliation probability',
+            markerIndex: dateIndex,
+            height: 300
         });
 
-        this.mfptNodeJSelect.addEventListener('change', () => {
-            this.updateMfptValue();
+        view.values.textContent = series
+            .map(s => {
+                const p = s.values[dateIndex];
+                return `${s.label}: ${Number.isFinite(p) ? p.toFixed(3) : '\u2014'}`;
+            })
+            .join(' \u00b7 ');
+    }
+
+    // =========================================================================
+    // NODE SEARCH
+    // =========================================================================
+
+    /**
+     * Wire a search field: typing marks the matching nodes, Enter and the
+     * arrow buttons move the focus through them (Shift+Enter backwards) and
+     * Escape clears the search.
+     * @param {Object} controls - Node search controls
+     */
+    attachNodeSearchControls(controls) {
+        controls.matches = [];
+        controls.current = -1;
+
+        controls.input.addEventListener('input', () => this.runNodeSearch(controls));
+        controls.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepNodeSearch(controls, e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                controls.input.value = '';
+                this.runNodeSearch(controls);
+            }
         });
+        controls.prevButton.addEventListener('click', () => this.stepNodeSearch(controls, -1));
+        controls.nextButton.addEventListener('click', () => this.stepNodeSearch(controls, 1));
     }
 
-    setMfptControlsEnabled(enabled) {
-        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+    /**
+     * Enable or disable a search field; disabling clears the search
+     * @param {Object|null} controls - Node search controls
+     * @param {boolean} enabled - Whether a figure is loaded
+     */
+    setNodeSearchEnabled(controls, enabled) {
+        if (!controls) return;
+
+        if (!enabled) this.resetNodeSearch(controls);
+        controls.row.classList.toggle('is-disabled', !enabled);
+        controls.input.disabled = !enabled;
+        controls.prevButton.disabled = true;
+        controls.nextButton.disabled = true;
+    }
 
-        this.mfptRow.classList.toggle('is-disabled', !enabled);
-        this.mfptNodeISelect.disabled = !enabled;
-        this.mfptNodeJSelect.disabled = !enabled;
+    /**
+     * Clear the query, the result and the node marks of a search field
+     * @param {Object|null} controls - Node search controls
+     */
+    resetNodeSearch(controls) {
+        if (!controls) return;
+
+        controls.input.value = '';
+        this.clearNodeSearchMarks(controls);
+        controls.value.textContent = '\u2014';
     }
 
-    resetMfptControls() {
-        if (!this.mfptNodeISelect || !this.mfptNodeJSelect || !this.mfptValue) return;
+    /**
+     * Remove the match and focus marks from the nodes of the last search
+     * @param {Object} controls - Node search controls
+     */
+    clearNodeSearchMarks(controls) {
+        controls.matches.forEach(({ element }) => {
+            element.classList.remove(CSS_CLASSES.SEARCH_MATCH, CSS_CLASSES.SEARCH_FOCUS);
+        });
+        controls.matches = [];
+        controls.current = -1;
+    }
 
-        this.mfptNodeCount = null;
-        this.populateMfptSelect(this.mfptNodeISelect, 0, 'Select Cluster i');
-        this.populateMfptSelect(this.mfptNodeJSelect, 0, 'Select Cluster j');
-        this.mfptValue.textContent = '\u2014';
+    /**
+     * Match the current query against the nodes of the page and mark the matches
+     * @param {Object} controls - Node search controls
+     */
+    runNodeSearch(controls) {
+        this.clearNodeSearchMarks(controls);
+
+        const text = controls.input.value.trim();
+        const query = NodeSearch.parseQuery(text);
+        if (!query) {
+            controls.value.textContent = text ? 'Not recognised' : '\u2014';
+            controls.prevButton.disabled = true;
+            controls.nextButton.disabled = true;
+            return;
+        }
+
+        controls.matches = controls.collectNodes().filter(node => NodeSearch.matches(query, node));
+        controls.matches.forEach(({ element }) => element.classList.add(CSS_CLASSES.SEARCH_MATCH));
+
+        const count = controls.matches.length;
+        controls.value.textContent = `${count} node${count === 1 ? '' : 's'} (${NodeSearch.describe(query)})`;
+        controls.prevButton.disabled = count === 0;
+        controls.nextButton.disabled = count === 0;
     }
 
-    async loadKMaxDataIfNeeded() {
-        if (this.kMaxData) return;
+    /**
+     * Move the focus to the next or previous match and bring it into view
+     * @param {Object} controls - Node search controls
+     * @param {number} step - +1 or -1
+     */
+    stepNodeSearch(controls, step) {
+        const count = controls.matches.length;
+        if (count === 0) return;
+
+        if (controls.current !== -1) {
+            controls.matches[controls.current].element.classList.remove(CSS_CLASSES.SEARCH_FOCUS);
+        }
+        controls.current = controls.current === -1
+            ? (step > 0 ? 0 : count - 1)
+            : (controls.current + step + count) % count;
+
+        const { element, label } = controls.matches[controls.current];
+        element.classList.add(CSS_CLASSES.SEARCH_FOCUS);
+        controls.reveal(element);
+        controls.value.textContent = `${controls.current + 1} of ${count}: ${label}`;
+    }
+
+    /**
+     * Searchable nodes of the Markov chain figure
+     * @returns {Array<Object>} - {element, label, cluster, level, lambda, dates}
+     */
+    collectMarkovSearchNodes() {
+        if (!this.currentSvgElement) return [];
+
+        const nodes = [];
+        this.currentSvgElement.querySelectorAll(SELECTORS.SVG_NODES).forEach((element, index) => {
+            const nodeData = this.svgParser.getNodeData(`node-${index}`);
+            if (!nodeData) return;
+            nodes.push({
+                element,
+                label: nodeData.displayName || `Cluster ${nodeData.id}`,
+                cluster: nodeData.id,
+                level: null,
+                lambda: nodeData.lambda,
+                dates: nodeData.dates
+            });
+        });
+        return nodes;
+    }
+
+    /**
+     * Searchable nodes of the DAG figure
+     * @returns {Array<Object>} - {element, label, cluster, level, lambda, dates}
+     */
+    collectDAGSearchNodes() {
+        if (!this.currentDagSvgElement) return [];
+
+        const nodes = [];
+        const elements = this.currentDagSvgElement.querySelectorAll('path[fill-rule="nonzero"][stroke-linejoin="miter"]');
+        elements.forEach((element, svgIndex) => {
+            const globalId = this.dagInteractionManager.svgIndexToGlobalId[svgIndex];
+            if (globalId === undefined || !this.dagParser.nodesByGlobalId[globalId]) return;
+            const nodeData = this.dagParser.getNodeData(globalId);
+            nodes.push({
+                element,
+                label: `${nodeData.clusterName} (${nodeData.levelName})`,
+                cluster: nodeData.localIdx,
+                level: nodeData.level,
+                lambda: nodeData.lambda,
+                dates: nodeData.dates
+            });
+        });
+        return nodes;
+    }
+
+    /**
+     * Set up the node search field of the Markov chain page.
+     */
+    initializeNodeSearch() {
+        this.nodeSearchControls = this.queryControlGroup({
+            row: SELECTORS.NODE_SEARCH_ROW,
+            input: SELECTORS.NODE_SEARCH_INPUT,
+            prevButton: SELECTORS.NODE_SEARCH_PREV,
+            nextButton: SELECTORS.NODE_SEARCH_NEXT,
+            value: SELECTORS.NODE_SEARCH_VALUE
+        });
+        if (!this.nodeSearchControls) return;
+
+        this.nodeSearchControls.collectNodes = () => this.collectMarkovSearchNodes();
+        this.nodeSearchControls.reveal = element => element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+        this.attachNodeSearchControls(this.nodeSearchControls);
+        this.setNodeSearchEnabled(this.nodeSearchControls, false);
+    }
+
+    /**
+     * Set up the node search field of the DAG page.
+     */
+    initializeDAGNodeSearch() {
+        this.dagNodeSearchControls = this.queryControlGroup({
+            row: SELECTORS.DAG_NODE_SEARCH_ROW,
+            input: SELECTORS.DAG_NODE_SEARCH_INPUT,
+            prevButton: SELECTORS.DAG_NODE_SEARCH_PREV,
+            nextButton: SELECTORS.DAG_NODE_SEARCH_NEXT,
+            value: SELECTORS.DAG_NODE_SEARCH_VALUE
+        });
+        if (!this.dagNodeSearchControls) return;
+
+        this.dagNodeSearchControls.collectNodes = () => this.collectDAGSearchNodes();
+        this.dagNodeSearchControls.reveal = element => {
+            if (this.dagViewport) {
+                this.dagViewport.zoomToElements([element]);
+            } else {
+                element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+            }
+        };
+        this.attachNodeSearchControls(this.dagNodeSearchControls);
+        this.setNodeSearchEnabled(this.dagNodeSearchControls, false);
+    }
+
+    // =========================================================================
+    // DAG ZOOM AND PAN
+    // =========================================================================
+
+    /**
+     * Set up the zoom buttons of the DAG figure.
+     */
+    initializeDAGViewControls() {
+        this.dagViewControls = this.queryControlGroup({
+            row: SELECTORS.DAG_VIEW_ROW,
+            zoomInButton: SELECTORS.DAG_ZOOM_IN_BUTTON,
+            zoomOutButton: SELECTORS.DAG_ZOOM_OUT_BUTTON,
+            fitButton: SELECTORS.DAG_ZOOM_FIT_BUTTON,
+            pathButton: SELECTORS.DAG_ZOOM_PATH_BUTTON,
+            value: SELECTORS.DAG_ZOOM_VALUE
+        });
+        if (!this.dagViewControls) return;
+
+        const { zoomInButton, zoomOutButton, fitButton, pathButton } = this.dagViewControls;
+        zoomInButton.addEventListener('click', () => this.dagViewport?.zoomBy(CONFIG.DAG_ZOOM_STEP));
+        zoomOutButton.addEventListener('click', () => this.dagViewport?.zoomBy(1 / CONFIG.DAG_ZOOM_STEP));
+        fitButton.addEventListener('click', () => this.dagViewport?.fit());
+        pathButton.addEventListener('click', () => this.zoomToDagPath());
+
+        this.setDAGViewControlsEnabled(false);
+    }
+
+    /**
+     * Enable or disable the zoom buttons
+     * @param {boolean} enabled - Whether a DAG figure is loaded
+     */
+    setDAGViewControlsEnabled(enabled) {
+        const controls = this.dagViewControls;
+        if (!controls) return;
+
+        controls.row.classList.toggle('is-disabled', !enabled);
+        controls.zoomInButton.disabled = !enabled;
+        controls.zoomOutButton.disabled = !enabled;
+        controls.fitButton.disabled = !enabled;
+        if (!enabled) controls.value.textContent = '\u2014';
+        this.updateDagZoomPathButton();
+    }
+
+    /**
+     * Make the loaded DAG figure zoomable.
+     * @param {SVGSVGElement} svgElement - DAG figure
+     * @param {HTMLElement} container - Figure container
+     */
+    setupDAGViewport(svgElement, container) {
         try {
-            this.kMaxData = await this.dagDataLoader.loadKMaxData();
+            this.dagViewport = new SvgViewport(svgElement, container, {
+                onChange: viewport => this.onDAGViewportChange(viewport)
+            });
+            this.setDAGViewControlsEnabled(true);
         } catch (error) {
-            Logger.warn('Failed to load K_max data for MFPT controls:', error.message);
-            this.kMaxData = null;
+            Logger.error('Failed to set up DAG zoom:', error);
+            this.dagViewport = null;
         }
     }
 
-    async setupMfptForLeadTime(leadTime) {
-        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect || !leadTime) return;
+    /**
+     * Reflect a change of the DAG view: the nodes under a tooltip have moved,
+     * so the tooltip is hidden, and the zoom factor is shown.
+     * @param {SvgViewport} viewport - DAG viewport
+     */
+    onDAGViewportChange(viewport) {
+        this.dagInteractionManager.hideTooltip();
+
+        const controls = this.dagViewControls;
+        if (!controls) return;
+        controls.value.textContent = `${Math.round(viewport.scale * 100)}%`;
+        controls.zoomInButton.disabled = viewport.scale >= CONFIG.DAG_ZOOM_MAX - 1e-6;
+        controls.zoomOutButton.disabled = viewport.scale <= 1 + 1e-6;
+        controls.fitButton.disabled = viewport.scale <= 1 + 1e-6;
+    }
 
-        await this.loadKMaxDataIfNeeded();
-        const nodeCount = this.kMaxData?.[leadTime] || 0;
+    /**
+     * Zoom to the nodes of the highlighted most probable path.
+     */
+    zoomToDagPath() {
+        if (!this.dagViewport || this.dagPathHighlightedNodes.length === 0) return;
+        this.dagViewport.zoomToElements(this.dagPathHighlightedNodes);
+    }
 
-        if (!nodeCount) {
-            this.resetMfptControls();
-            this.setMfptControlsEnabled(false);
-            return;
+    /**
+     * Offer zooming to the path only while one is highlighted
+     */
+    updateDagZoomPathButton() {
+        if (!this.dagViewControls) return;
+        this.dagViewControls.pathButton.disabled = !this.dagViewport || this.dagPathHighlightedNodes.length === 0;
+    }
+
+    // =========================================================================
+    // HIGHLIGHT ENCODING
+    // =========================================================================
+
+    /**
+     * Fill a highlight encoding menu and redraw the highlighting on change
+     * @param {HTMLSelectElement} select - Encoding menu
+     * @param {Function} redraw - Redraws the page's highlighting
+     */
+    attachHighlightEncodingSelect(select, redraw) {
+        select.innerHTML = HighlightRenderer.encodings().map(({ name, label }) =>
+            `<option value="${name}"${name === this.highlightEncoding ? ' selected' : ''}>${Utils.escapeHTML(label)}</option>`
+        ).join('');
+
+        select.addEventListener('change', () => {
+            this.highlightEncoding = select.value;
+            redraw();
+        });
+    }
+
+    /**
+     * Show the legend of the current encoding, or hide it
+     * @param {HTMLElement|null} legend - Legend element of the page
+     * @param {string|null} title - What the highlighted value is; null hides the legend
+     */
+    showHighlightLegend(legend, title) {
+        if (!legend) return;
+
+        legend.hidden = !title;
+        legend.innerHTML = title ? HighlightRenderer.legend(this.highlightEncoding, title) : '';
+    }
+
+    /**
+     * Set up the highlight encoding menu of the Markov chain page.
+     */
+    initializeHighlightControls() {
+        this.highlightEncodingSelect = document.querySelector(SELECTORS.HIGHLIGHT_ENCODING);
+        this.highlightLegend = document.querySelector(SELECTORS.HIGHLIGHT_LEGEND);
+        if (!this.highlightEncodingSelect) return;
+
+        this.attachHighlightEncodingSelect(this.highlightEncodingSelect, () => {
+            const overlay = this.nodeOverlay;
+            this.clearDateHighlighting();
+            if (overlay) {
+                this.applyDateHighlighting(overlay.vector, overlay.dateWindow);
+            } else {
+                this.refreshDateHighlighting();
+            }
+        });
+    }
+
+    /**
+     * Set up the highlight encoding menu of the DAG page.
+     */
+    initializeDAGHighlightControls() {
+        this.dagHighlightEncodingSelect = document.querySelector(SELECTORS.DAG_HIGHLIGHT_ENCODING);
+        this.dagHighlightLegend = document.querySelector(SELECTORS.DAG_HIGHLIGHT_LEGEND);
+        if (!this.dagHighlightEncodingSelect) return;
+
+        this.attachHighlightEncodingSelect(this.dagHighlightEncodingSelect, () => {
+            this.clearDAGDateHighlighting();
+            if (this.dagDateSlider && !this.dagDateSlider.disabled) {
+                this.onDAGDateSliderChange(parseInt(this.dagDateSlider.value, 10));
+            }
+        });
+    }
+
+    // =========================================================================
+    // DATE RANGE MODE
+    // =========================================================================
+
+    /**
+     * Collect a group of controls shared by both date sliders
+     * @param {Object} selectors - Selector per control name
+     * @returns {Object|null} - Element per control name, or null if any element is missing
+     */
+    queryControlGroup(selectors) {
+        const controls = {};
+        for (const [key, selector] of Object.entries(selectors)) {
+            controls[key] = document.querySelector(selector);
+            if (!controls[key]) return null;
         }
+        return controls;
+    }
 
-        this.mfptNodeCount = nodeCount;
-        this.populateMfptSelect(this.mfptNodeISelect, nodeCount, 'Select Cluster i');
-        this.populateMfptSelect(this.mfptNodeJSelect, nodeCount, 'Select Cluster j');
-        this.setMfptControlsEnabled(true);
+    /**
+     * Wire the range controls of a date slider: the toggle reveals the second
+     * handle, and every change of the window or aggregate calls onChange.
+     * @param {Object} controls - Date range controls
+     * @param {Function} onChange - Slider change handler of the page
+     */
+    attachDateRangeControls(controls, onChange) {
+        const { toggle, method, startSlider, endSlider } = controls;
+
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                const start = parseInt(startSlider.value, 10);
+                endSlider.value = Math.min(start + CONFIG.DATE_RANGE_DEFAULT_MONTHS - 1, parseInt(startSlider.max, 10));
+            }
+            this.setDateRangeControlsEnabled(controls, true);
+            onChange();
+        });
+        method.addEventListener('change', onChange);
+        endSlider.addEventListener('input', onChange);
+    }
+
+    /**
+     * Enable or disable the range controls of a date slider. Disabling also
+     * leaves range mode.
+     * @param {Object|null} controls - Date range controls
+     * @param {boolean} enabled - Whether the slider has dates
+     */
+    setDateRangeControlsEnabled(controls, enabled) {
+        if (!controls) return;
+
+        const { row, toggle, method, value, startSlider, endSlider } = controls;
+        if (!enabled) {
+            toggle.checked = false;
+        }
+        const active = enabled && toggle.checked;
+
+        row.classList.toggle('is-disabled', !enabled);
+        toggle.disabled = !enabled;
+        method.disabled = !active;
+        endSlider.max = startSlider.max;
+        endSlider.hidden = !active;
+        endSlider.disabled = !active;
+        if (!active) {
+            value.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Window selected by the two handles of a date slider in range mode
+     * @param {Object|null} controls - Date range controls
+     * @returns {{start: number, end: number, method: string}|null} - Null outside range mode
+     */
+    getDateRangeWindow(controls) {
+        if (!controls || controls.toggle.disabled || !controls.toggle.checked) return null;
+
+        const a = parseInt(controls.startSlider.value, 10);
+        const b = parseInt(controls.endSlider.value, 10);
+        return { start: Math.min(a, b), end: Math.max(a, b), method: controls.method.value };
+    }
+
+    /**
+     * Move both handles of a date slider in range mode by one step, so that
+     * the arrows shift the whole window
+     * @param {Object|null} controls - Date range controls
+     * @param {number} direction - -1 for previous, +1 for next
+     * @returns {boolean} - False if the window would leave the dates (nothing is moved)
+     */
+    shiftDateRangeEnd(controls, direction) {
+        if (!this.getDateRangeWindow(controls)) return true;
+
+        const next = parseInt(controls.endSlider.value, 10) + direction;
+        if (next < 0 || next > parseInt(controls.endSlider.max, 10)) return false;
+
+        controls.endSlider.value = next;
+        return true;
+    }
+
+    /**
+     * Label a date slider and its range readout for the current selection
+     * @param {Object|null} controls - Date range controls
+     * @param {HTMLElement|null} label - Date label beside the slider
+     * @param {Array<string>} dates - Dates of the slider
+     * @param {number} dateIndex - Start handle position
+     * @returns {Object|null} - The window, as from getDateRangeWindow
+     */
+    labelDateSelection(controls, label, dates, dateIndex) {
+        const dateWindow = this.getDateRangeWindow(controls);
+
+        if (label) {
+            label.textContent = dateWindow
+                ? `${this.formatSliderDate(dates[dateWindow.start])} \u2013 ${this.formatSliderDate(dates[dateWindow.end])}`
+                : this.formatSliderDate(dates[dateIndex]);
+        }
+        if (dateWindow) {
+            controls.value.textContent = this.formatDateWindow(dateWindow.start, dateWindow.end, dates);
+        }
+
+        return dateWindow;
+    }
+
+    /**
+     * Set up the range mode of the Markov chain date slider.
+     */
+    initializeDateRangeControls() {
+        this.dateRangeControls = this.queryControlGroup({
+            row: SELECTORS.DATE_RANGE_ROW,
+            toggle: SELECTORS.DATE_RANGE_TOGGLE,
+            method: SELECTORS.DATE_RANGE_METHOD,
+            value: SELECTORS.DATE_RANGE_VALUE,
+            endSlider: SELECTORS.DATE_SLIDER_END
+        });
+        if (!this.dateRangeControls || !this.dateSlider) {
+            this.dateRangeControls = null;
+            return;
+        }
+
+        this.dateRangeControls.startSlider = this.dateSlider;
+
+        this.setDateRangeControlsEnabled(this.dateRangeControls, false);
+        this.attachDateRangeControls(this.dateRangeControls, () => {
+            this.onDateSliderChange(parseInt(this.dateSlider.value, 10));
+        });
+    }
+
+    /**
+     * Set up the range mode of the DAG date slider.
+     */
+    initializeDAGDateRangeControls() {
+        this.dagDateRangeControls = this.queryControlGroup({
+            row: SELECTORS.DAG_DATE_RANGE_ROW,
+            toggle: SELECTORS.DAG_DATE_RANGE_TOGGLE,
+            method: SELECTORS.DAG_DATE_RANGE_METHOD,
+            value: SELECTORS.DAG_DATE_RANGE_VALUE,
+            endSlider: SELECTORS.DAG_DATE_SLIDER_END
+        });
+        if (!this.dagDateRangeControls || !this.dagDateSlider) {
+            this.dagDateRangeControls = null;
+            return;
+        }
+
+        this.dagDateRangeControls.startSlider = this.dagDateSlider;
+
+        this.setDateRangeControlsEnabled(this.dagDateRangeControls, false);
+        this.attachDateRangeControls(this.dagDateRangeControls, () => {
+            this.onDAGDateSliderChange(parseInt(this.dagDateSlider.value, 10));
+        });
+    }
+
+    // =========================================================================
+    // PLAYBACK CONTROLS
+    // =========================================================================
+
+    /**
+     * Wire the playback controls of a date slider
+     * @param {Object} controls - Controls from queryControlGroup, plus slider,
+     *     rangeControls (date range controls of the same slider), onChange (slider
+     *     change handler) and onFollow (marks the dominant nodes)
+     */
+    attachPlaybackControls(controls) {
+        controls.state = { frame: null, lastTime: null, elapsed: 0 };
+
+        controls.speedSelect.innerHTML = CONFIG.PLAYBACK_SPEEDS.map(speed =>
+            `<option value="${speed}"${speed === CONFIG.PLAYBACK_DEFAULT_SPEED ? ' selected' : ''}>${speed} months/s</option>`
+        ).join('');
+
+        controls.playButton.addEventListener('click', () => this.togglePlayback(controls));
+        controls.followToggle.addEventListener('change', () => controls.onFollow());
+    }
+
+    /**
+     * Enable or disable the playback controls; disabling stops playback
+     * @param {Object|null} controls - Playback controls
+     * @param {boolean} enabled - Whether the slider has dates
+     */
+    setPlaybackControlsEnabled(controls, enabled) {
+        if (!controls) return;
+
+        if (!enabled) {
+            this.stopPlayback(controls);
+            controls.followToggle.checked = false;
+            controls.onFollow();
+        }
+
+        controls.row.classList.toggle('is-disabled', !enabled);
+        controls.playButton.disabled = !enabled;
+        controls.loopToggle.disabled = !enabled;
+        controls.speedSelect.disabled = !enabled;
+        controls.followToggle.disabled = !enabled;
+    }
+
+    /**
+     * Start or pause playback. Playing from the last date starts over.
+     * @param {Object} controls - Playback controls
+     */
+    togglePlayback(controls) {
+        if (controls.state.frame !== null) {
+            this.stopPlayback(controls);
+            return;
+        }
+        if (controls.slider.disabled) return;
+
+        if (this.getPlaybackWindowEnd(controls) >= parseInt(controls.slider.max, 10)) {
+            this.movePlaybackWindow(controls, 0);
+        }
+
+        controls.state.lastTime = null;
+        controls.state.elapsed = 0;
+        controls.state.frame = requestAnimationFrame(now => this.playbackFrame(controls, now));
+        this.updatePlaybackButton(controls);
+    }
+
+    /**
+     * Stop playback, leaving the slider where it is
+     * @param {Object|null} controls - Playback controls
+     */
+    stopPlayback(controls) {
+        if (!controls?.state || controls.state.frame === null) return;
+
+        cancelAnimationFrame(controls.state.frame);
+        controls.state.frame = null;
+        this.updatePlaybackButton(controls);
+    }
+
+    /**
+     * Animation frame: advance by as many months as the elapsed time allows
+     * at the chosen speed. The highlighting is redrawn at most once per frame,
+     * so slow frames skip months instead of falling behind.
+     * @param {Object} controls - Playback controls
+     * @param {number} now - Frame timestamp in milliseconds
+     */
+    playbackFrame(controls, now) {
+        const state = controls.state;
+        if (state.lastTime !== null) {
+            state.elapsed += now - state.lastTime;
+        }
+        state.lastTime = now;
+
+        const interval = 1000 / (parseFloat(controls.speedSelect.value) || CONFIG.PLAYBACK_DEFAULT_SPEED);
+        const steps = Math.floor(state.elapsed / interval);
+
+        if (steps > 0) {
+            state.elapsed -= steps * interval;
+            if (!this.advancePlayback(controls, steps)) {
+                state.frame = null;
+                this.updatePlaybackButton(controls);
+                return;
+            }
+        }
+
+        state.frame = requestAnimationFrame(next => this.playbackFrame(controls, next));
+    }
+
+    /**
+     * Move the slider (or the whole window in range mode) forward
+     * @param {Object} controls - Playback controls
+     * @param {number} steps - Months to advance
+     * @returns {boolean} - False once playback has reached the end without looping
+     */
+    advancePlayback(controls, steps) {
+        const start = this.getPlaybackWindowStart(controls);
+        const width = this.getPlaybackWindowEnd(controls) - start;
+        const lastStart = parseInt(controls.slider.max, 10) - width;
+
+        let next = start + steps;
+        if (next > lastStart) {
+            if (!controls.loopToggle.checked) {
+                this.movePlaybackWindow(controls, lastStart);
+                return false;
+            }
+            next = 0;
+        }
+
+        this.movePlaybackWindow(controls, next);
+        return true;
+    }
+
+    /**
+     * First date shown: the slider position, or the window start in range mode
+     * @param {Object} controls - Playback controls
+     * @returns {number}
+     */
+    getPlaybackWindowStart(controls) {
+        const dateWindow = this.getDateRangeWindow(controls.rangeControls);
+        return dateWindow ? dateWindow.start : parseInt(controls.slider.value, 10);
+    }
+
+    /**
+     * Last date shown: the slider position, or the window end in range mode
+     * @param {Object} controls - Playback controls
+     * @returns {number}
+     */
+    getPlaybackWindowEnd(controls) {
+        const dateWindow = this.getDateRangeWindow(controls.rangeControls);
+        return dateWindow ? dateWindow.end : parseInt(controls.slider.value, 10);
+    }
+
+    /**
+     * Place the slider (and in range mode the window, keeping its width) at a
+     * date and redraw
+     * @param {Object} controls - Playback controls
+     * @param {number} start - New slider position / window start
+     */
+    movePlaybackWindow(controls, start) {
+        const dateWindow = this.getDateRangeWindow(controls.rangeControls);
+        if (dateWindow) {
+            controls.rangeControls.endSlider.value = start + dateWindow.end - dateWindow.start;
+        }
+
+        controls.slider.value = start;
+        controls.onChange(start);
+    }
+
+    /**
+     * Show Play or Pause on the play button
+     * @param {Object} controls - Playback controls
+     */
+    updatePlaybackButton(controls) {
+        const playing = controls.state.frame !== null;
+        controls.playButton.textContent = playing ? 'Pause' : 'Play';
+        controls.playButton.setAttribute('aria-pressed', String(playing));
+    }
+
+    /**
+     * Set up the playback controls of the Markov chain date slider.
+     */
+    initializePlaybackControls() {
+        this.playbackControls = this.queryControlGroup({
+            row: SELECTORS.PLAYBACK_ROW,
+            playButton: SELECTORS.PLAYBACK_PLAY_BUTTON,
+            loopToggle: SELECTORS.PLAYBACK_LOOP_TOGGLE,
+            speedSelect: SELECTORS.PLAYBACK_SPEED,
+            followToggle: SELECTORS.PLAYBACK_FOLLOW_TOGGLE,
+            value: SELECTORS.PLAYBACK_VALUE
+        });
+        if (!this.playbackControls || !this.dateSlider) {
+            this.playbackControls = null;
+            return;
+        }
+
+        Object.assign(this.playbackControls, {
+            slider: this.dateSlider,
+            rangeControls: this.dateRangeControls,
+            onChange: dateIndex => this.onDateSliderChange(dateIndex),
+            onFollow: () => this.markDominantNodes()
+        });
+        this.attachPlaybackControls(this.playbackControls);
+        this.setPlaybackControlsEnabled(this.playbackControls, false);
+    }
+
+    /**
+     * Set up the playback controls of the DAG date slider.
+     */
+    initializeDAGPlaybackControls() {
+        this.dagPlaybackControls = this.queryControlGroup({
+            row: SELECTORS.DAG_PLAYBACK_ROW,
+            playButton: SELECTORS.DAG_PLAYBACK_PLAY_BUTTON,
+            loopToggle: SELECTORS.DAG_PLAYBACK_LOOP_TOGGLE,
+            speedSelect: SELECTORS.DAG_PLAYBACK_SPEED,
+            followToggle: SELECTORS.DAG_PLAYBACK_FOLLOW_TOGGLE
+        });
+        if (!this.dagPlaybackControls || !this.dagDateSlider) {
+            this.dagPlaybackControls = null;
+            return;
+        }
+
+        Object.assign(this.dagPlaybackControls, {
+            slider: this.dagDateSlider,
+            rangeControls: this.dagDateRangeControls,
+            onChange: dateIndex => this.onDAGDateSliderChange(dateIndex),
+            onFollow: () => this.markDAGDominantNodes()
+        });
+        this.attachPlaybackControls(this.dagPlaybackControls);
+        this.setPlaybackControlsEnabled(this.dagPlaybackControls, false);
+    }
+
+    /**
+     * Follow mode: outline the most probable cluster of the slider date (or of
+     * the range aggregate) and name it beside the playback controls.
+     */
+    markDominantNodes() {
+        const controls = this.playbackControls;
+        if (!controls || !this.currentSvgElement) return;
+
+        const nodes = this.currentSvgElement.querySelectorAll(SELECTORS.SVG_NODES);
+        const follow = controls.followToggle.checked && this.affiliationData && !this.dateSlider.disabled;
+
+        let dominant = null;
+        if (follow) {
+            const dateWindow = this.getDateRangeWindow(this.dateRangeControls);
+            const vector = dateWindow
+                ? MarkovAnalytics.aggregateAffiliations(this.affiliationData.affiliations, dateWindow.start, dateWindow.end, dateWindow.method)
+                : this.affiliationData.affiliations[parseInt(this.dateSlider.value, 10)];
+            dominant = vector ? MarkovAnalytics.dominantClusters([vector])[0] : null;
+        }
+
+        nodes.forEach((node, index) => {
+            node.classList.toggle(CSS_CLASSES.PLAYBACK_FOLLOWED, dominant !== null && index === dominant.cluster);
+        });
+        controls.value.textContent = dominant
+            ? `Cluster ${dominant.cluster + 1} (${dominant.probability.toFixed(2)})`
+            : '\u2014';
+    }
+
+    /**
+     * Follow mode on the DAG: outline the most probable cluster of every level.
+     */
+    markDAGDominantNodes() {
+        const controls = this.dagPlaybackControls;
+        if (!controls || !this.currentDagSvgElement) return;
+
+        const follow = controls.followToggle.checked && !this.dagDateSlider.disabled;
+        const dateIndex = parseInt(this.dagDateSlider.value, 10);
+        const dominantByLevel = {};
+        const dominantOf = level => {
+            if (!(level in dominantByLevel)) {
+                const vector = this.dagHighlightWindow
+                    ? this.dagHighlightWindow.vectors[level]
+                    : this.dagAffiliationData[level]?.affiliations?.[dateIndex];
+                dominantByLevel[level] = vector ? MarkovAnalytics.dominantClusters([vector])[0] : null;
+            }
+            return dominantByLevel[level];
+        };
+
+        const nodes = this.currentDagSvgElement.querySelectorAll('path[fill-rule="nonzero"][stroke-linejoin="miter"]');
+        nodes.forEach((node, svgIndex) => {
+            const globalId = this.dagInteractionManager.svgIndexToGlobalId[svgIndex];
+            const nodeData = globalId !== undefined ? this.dagParser.getNodeData(globalId) : null;
+            const dominant = follow && nodeData ? dominantOf(nodeData.level) : null;
+            node.classList.toggle(CSS_CLASSES.PLAYBACK_FOLLOWED, !!dominant && dominant.cluster === nodeData.localIdx - 1);
+        });
+    }
+
+    // =========================================================================
+    // DOMINANT CLUSTER TIMELINE
+    // =========================================================================
+
+    /**
+     * Build the strip of one affiliation series, each month coloured by its
+     * most probable cluster.
+     * @param {Object} affiliationData - {dates, affiliations}
+     * @param {Function} clusterName - Display name of a 0-based cluster index
+     * @param {number} markerIndex - Date index marked by the cursor
+     * @param {string} label - Accessible label of the strip
+     * @returns {string} - SVG markup
+     */
+    buildDominantTimelineStrip(affiliationData, clusterName, markerIndex, label) {
+        const { dates, affiliations } = affiliationData;
+        const dominant = MarkovAnalytics.dominantClusters(affiliations);
+
+        return ChartUtils.categoryStrip(dominant.map(entry => entry ? entry.cluster : null), {
+            markerIndex,
+            label,
+            title: (cluster, start, end) => {
+                const from = Utils.formatDateToMonthYear(dates[start]);
+                const to = Utils.formatDateToMonthYear(dates[end]);
+                const span = start === end ? from : `${from} \u2013 ${to}`;
+                return `${span}: ${clusterName(cluster)}`;
+            }
+        });
+    }
+
+    /**
+     * Jump a date slider to the month clicked on a timeline strip.
+     * @param {HTMLElement} container - Element holding the strips
+     * @param {HTMLInputElement} slider - Date slider to move
+     * @param {Function} onChange - Slider change handler, called with the date index
+     */
+    attachDominantTimelineHandler(container, slider, onChange) {
+        container.addEventListener('click', event => {
+            const strip = event.target.closest('.category-strip');
+            if (!strip || slider.disabled) return;
+
+            const bounds = strip.getBoundingClientRect();
+            const count = parseInt(slider.max, 10) + 1;
+            if (bounds.width <= 0 || count <= 0) return;
+
+            const fraction = (event.clientX - bounds.left) / bounds.width;
+            const dateIndex = Math.min(Math.max(Math.floor(fraction * count), 0), count - 1);
+
+            slider.value = dateIndex;
+            onChange(dateIndex);
+        });
+    }
+
+    /**
+     * Move the cursor of every strip in a timeline to a date.
+     * @param {HTMLElement|null} container - Element holding the strips
+     * @param {number} dateIndex - Index into the dates
+     */
+    updateDominantTimelineMarker(container, dateIndex) {
+        if (!container) return;
+        container.querySelectorAll('.category-strip-marker').forEach(marker => {
+            marker.setAttribute('x', dateIndex);
+            marker.removeAttribute('hidden');
+        });
+    }
+
+    /**
+     * Set up the dominant cluster timeline under the Markov chain date slider.
+     */
+    initializeDominantTimeline() {
+        this.dominantTimelineRow = document.querySelector(SELECTORS.DOMINANT_TIMELINE_ROW);
+        this.dominantTimeline = document.querySelector(SELECTORS.DOMINANT_TIMELINE);
+        if (!this.dominantTimelineRow || !this.dominantTimeline || !this.dateSlider) return;
+
+        this.clearDominantTimeline();
+        this.attachDominantTimelineHandler(this.dominantTimeline, this.dateSlider, dateIndex => this.onDateSliderChange(dateIndex));
+    }
+
+    /**
+     * Draw the dominant cluster timeline of the loaded affiliation series.
+     */
+    renderDominantTimeline() {
+        if (!this.dominantTimeline || !this.affiliationData) return;
+
+        this.dominantTimeline.innerHTML = this.buildDominantTimelineStrip(
+            this.affiliationData,
+            cluster => `Cluster ${cluster + 1}`,
+            parseInt(this.dateSlider.value, 10),
+            'Most probable cluster per month'
+        );
+        this.dominantTimelineRow.classList.remove('is-disabled');
+    }
+
+    /**
+     * Remove the Markov chain timeline.
+     */
+    clearDominantTimeline() {
+        if (!this.dominantTimeline) return;
+        this.dominantTimeline.innerHTML = '';
+        this.dominantTimelineRow.classList.add('is-disabled');
+    }
+
+    /**
+     * Set up the per-level dominant cluster timelines under the DAG date slider.
+     */
+    initializeDAGDominantTimeline() {
+        this.dagDominantTimelineRow = document.querySelector(SELECTORS.DAG_DOMINANT_TIMELINE_ROW);
+        this.dagDominantTimeline = document.querySelector(SELECTORS.DAG_DOMINANT_TIMELINE);
+        if (!this.dagDominantTimelineRow || !this.dagDominantTimeline || !this.dagDateSlider) return;
+
+        this.clearDAGDominantTimeline();
+        this.attachDominantTimelineHandler(this.dagDominantTimeline, this.dagDateSlider, dateIndex => this.onDAGDateSliderChange(dateIndex));
+    }
+
+    /**
+     * Draw one timeline per DAG level that has affiliation data, against the
+     * level 0 dates used by the DAG slider.
+     */
+    renderDAGDominantTimeline() {
+        if (!this.dagDominantTimeline) return;
+
+        const dateCount = this.dagAffiliationData[0]?.dates.length || 0;
+        const markerIndex = parseInt(this.dagDateSlider.value, 10);
+        const levels = Object.keys(this.dagAffiliationData)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .filter(level => this.dagAffiliationData[level].dates.length === dateCount);
+
+        this.dagDominantTimeline.innerHTML = levels.map(level => `
+            <div class="dominant-timeline-level">
+                <span class="dominant-timeline-label">${level}</span>
+                ${this.buildDominantTimelineStrip(
+                    this.dagAffiliationData[level],
+                    cluster => `Cluster ${level}:${cluster + 1}`,
+                    markerIndex,
+                    `Most probable cluster per month at level ${level}`
+                )}
+            </div>
+        `).join('');
+        this.dagDominantTimelineRow.classList.toggle('is-disabled', levels.length === 0);
+    }
+
+    /**
+     * Remove the DAG timelines.
+     */
+    clearDAGDominantTimeline() {
+        if (!this.dagDominantTimeline) return;
+        this.dagDominantTimeline.innerHTML = '';
+        this.dagDominantTimelineRow.classList.add('is-disabled');
+    }
+
+    // =========================================================================
+    // AFFILIATION HEATMAP (MARKOV CHAIN)
+    // =========================================================================
+
+    /**
+     * Initialize the affiliation heatmap controls: a toggle that shows the
+     * clusters x months heatmap and a button that clears the brushed window.
+     */
+    initializeHeatmapControls() {
+        this.heatmapRow = document.querySelector(SELECTORS.HEATMAP_ROW);
+        this.heatmapToggle = document.querySelector(SELECTORS.HEATMAP_TOGGLE);
+        this.heatmapClearButton = document.querySelector(SELECTORS.HEATMAP_CLEAR_BUTTON);
+        this.heatmapValue = document.querySelector(SELECTORS.HEATMAP_VALUE);
+        this.heatmapPanel = document.querySelector(SELECTORS.HEATMAP_PANEL);
+
+        if (!this.heatmapRow || !this.heatmapToggle || !this.heatmapClearButton ||
+            !this.heatmapValue || !this.heatmapPanel) {
+            return;
+        }
+
+        this.resetHeatmapControls();
+        this.setHeatmapControlsEnabled(false);
+
+        this.heatmapToggle.addEventListener('change', () => {
+            this.heatmapPanel.hidden = !this.heatmapToggle.checked;
+            if (this.heatmapToggle.checked) {
+                this.renderAffiliationHeatmap();
+            }
+        });
+
+        this.heatmapClearButton.addEventListener('click', () => {
+            this.clearAffiliationWindow();
+        });
+
+        this.heatmapPanel.addEventListener('pointerdown', event => this.onHeatmapPointerDown(event));
+        this.heatmapPanel.addEventListener('pointermove', event => this.onHeatmapPointerMove(event));
+        this.heatmapPanel.addEventListener('pointerup', event => this.onHeatmapPointerUp(event));
+        this.heatmapPanel.addEventListener('pointercancel', event => this.onHeatmapPointerCancel(event));
+        this.heatmapPanel.addEventListener('lostpointercapture', event => this.onHeatmapPointerCancel(event));
+    }
+
+    /**
+     * Enable or disable the heatmap controls
+     * @param {boolean} enabled - Whether the controls are usable
+     */
+    setHeatmapControlsEnabled(enabled) {
+        if (!this.heatmapRow || !this.heatmapToggle) return;
+
+        this.heatmapRow.classList.toggle('is-disabled', !enabled);
+        this.heatmapToggle.disabled = !enabled;
+        this.heatmapClearButton.disabled = !enabled || !this.heatmapWindow;
+    }
+
+    /**
+     * Hide the heatmap and forget the brushed window
+     */
+    resetHeatmapControls() {
+        this.heatmapWindow = null;
+        this.heatmapBrush = null;
+        if (this.heatmapToggle) {
+            this.heatmapToggle.checked = false;
+        }
+        if (this.heatmapPanel) {
+            this.heatmapPanel.hidden = true;
+            this.heatmapPanel.innerHTML = '';
+        }
+        if (this.heatmapValue) {
+            this.heatmapValue.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Enable the heatmap once the affiliation matrix has loaded
+     */
+    setupHeatmapControls() {
+        if (!this.heatmapRow) return;
+        this.setHeatmapControlsEnabled(!!this.affiliationData);
+    }
+
+    /**
+     * Draw the heatmap of the loaded affiliation matrix, clusters down and
+     * months across, with the brushed window and the slider date on top.
+     */
+    renderAffiliationHeatmap() {
+        if (!this.heatmapPanel || !this.affiliationData) return;
+
+        const { dates, affiliations } = this.affiliationData;
+        const nodeCount = affiliations[0]?.length || 0;
+
+        this.heatmapPanel.innerHTML = `
+            <div class="affiliation-heatmap-body">
+                <div class="affiliation-heatmap-rows">
+                    <span>1</span>
+                    <span>Cluster</span>
+                    <span>${nodeCount}</span>
+                </div>
+                <div class="affiliation-heatmap-plot">
+                    <canvas class="affiliation-heatmap-canvas" role="img"
+                            aria-label="Affiliation probability of ${nodeCount} clusters over ${dates.length} months"></canvas>
+                    <div class="affiliation-heatmap-brush" hidden></div>
+                    <div class="affiliation-heatmap-cursor"></div>
+                </div>
+            </div>
+            <div class="affiliation-heatmap-axis">
+                <span>${Utils.escapeHTML(Utils.formatDateToMonthYear(dates[0]))}</span>
+                <span>Drag across the months to highlight nodes by their mean affiliation; click to jump to a month</span>
+                <span>${Utils.escapeHTML(Utils.formatDateToMonthYear(dates[dates.length - 1]))}</span>
+            </div>
+        `;
+
+        ChartUtils.drawRasterHeatmap(
+            this.heatmapPanel.querySelector('canvas'),
+            nodeCount,
+            dates.length,
+            (cluster, t) => affiliations[t]?.[cluster]
+        );
+
+        this.updateHeatmapCursor(parseInt(this.dateSlider.value, 10));
+        this.updateHeatmapBrush();
+    }
+
+    /**
+     * Map a pointer position over the heatmap to its cell
+     * @param {PointerEvent} event - Pointer event over the heatmap panel
+     * @returns {{dateIndex: number, cluster: number}|null} - Cell, or null outside the plot
+     */
+    getHeatmapCellAt(event) {
+        const canvas = this.heatmapPanel.querySelector('canvas');
+        if (!canvas || !this.affiliationData) return null;
+
+        const bounds = canvas.getBoundingClientRect();
+        if (bounds.width <= 0 || bounds.height <= 0) return null;
+
+        const x = (event.clientX - bounds.left) / bounds.width;
+        const y = (event.clientY - bounds.top) / bounds.height;
+        if (y < 0 || y > 1) return null;
+
+        const dateCount = this.affiliationData.dates.length;
+        return {
+            dateIndex: Math.min(Math.max(Math.floor(x * dateCount), 0), dateCount - 1),
+            cluster: Math.min(Math.floor(y * canvas.height), canvas.height - 1)
+        };
+    }
+
+    /**
+     * Start brushing a window of months
+     * @param {PointerEvent} event - Pointer down event
+     */
+    onHeatmapPointerDown(event) {
+        const cell = this.getHeatmapCellAt(event);
+        if (!cell) return;
+
+        event.preventDefault();
+        this.heatmapPanel.setPointerCapture(event.pointerId);
+        this.heatmapBrush = { anchor: cell.dateIndex, current: cell.dateIndex };
+        this.updateHeatmapBrush();
+    }
+
+    /**
+     * Extend the brush while dragging, or describe the hovered cell
+     * @param {PointerEvent} event - Pointer move event
+     */
+    onHeatmapPointerMove(event) {
+        const cell = this.getHeatmapCellAt(event);
+        if (!cell) return;
+
+        if (this.heatmapBrush) {
+            this.heatmapBrush.current = cell.dateIndex;
+            this.updateHeatmapBrush();
+            return;
+        }
+
+        const { dates, affiliations } = this.affiliationData;
+        const p = affiliations[cell.dateIndex]?.[cell.cluster];
+        const canvas = this.heatmapPanel.querySelector('canvas');
+        canvas.title = `Cluster ${cell.cluster + 1}, ${Utils.formatDateToMonthYear(dates[cell.dateIndex])}: ` +
+            (Number.isFinite(p) ? p.toFixed(3) : 'not defined');
+    }
+
+    /**
+     * Finish brushing: a drag highlights the window, a click jumps the slider
+     * @param {PointerEvent} event - Pointer up event
+     */
+    onHeatmapPointerUp(event) {
+        if (!this.heatmapBrush) return;
+
+        const { anchor, current } = this.heatmapBrush;
+        this.heatmapBrush = null;
+        if (this.heatmapPanel.hasPointerCapture(event.pointerId)) {
+            this.heatmapPanel.releasePointerCapture(event.pointerId);
+        }
+
+        if (anchor === current) {
+            this.clearAffiliationWindow();
+            if (!this.dateSlider.disabled) {
+                this.dateSlider.value = anchor;
+                this.onDateSliderChange(anchor);
+            }
+            return;
+        }
+
+        this.applyAffiliationWindow(Math.min(anchor, current), Math.max(anchor, current));
+    }
+
+    /**
+     * Drop an unfinished brush when the pointer is cancelled (e.g. the browser
+     * takes over a touch to scroll) or loses capture; no window is applied
+     * @param {PointerEvent} event - Pointer cancel or lost capture event
+     */
+    onHeatmapPointerCancel(event) {
+        if (!this.heatmapBrush) return;
+
+        this.heatmapBrush = null;
+        if (this.heatmapPanel.hasPointerCapture(event.pointerId)) {
+            this.heatmapPanel.releasePointerCapture(event.pointerId);
+        }
+        this.updateHeatmapBrush();
+    }
+
+    /**
+     * Highlight the nodes by their mean affiliation over a window of months
+     * @param {number} start - First date index
+     * @param {number} end - Last date index (inclusive)
+     */
+    applyAffiliationWindow(start, end) {
+        const vector = MarkovAnalytics.aggregateAffiliations(this.affiliationData.affiliations, start, end);
+        if (!vector) return;
+
+        this.heatmapWindow = { start, end };
+        this.setNodeOverlay('window', vector, () => {
+            this.heatmapWindow = null;
+            this.updateHeatmapBrush();
+        }, { start, end, method: 'mean' });
+        this.updateHeatmapBrush();
+    }
+
+    /**
+     * Return the nodes to the slider date's highlighting
+     */
+    clearAffiliationWindow() {
+        this.heatmapWindow = null;
+        this.clearNodeOverlay('window');
+        this.updateHeatmapBrush();
+    }
+
+    /**
+     * Draw the brush (while dragging) or the applied window over the heatmap,
+     * and report the window beside the controls
+     */
+    updateHeatmapBrush() {
+        if (this.heatmapClearButton) {
+            this.heatmapClearButton.disabled = !this.heatmapWindow || this.heatmapToggle.disabled;
+        }
+        if (this.heatmapValue) {
+            this.heatmapValue.textContent = this.heatmapWindow
+                ? `Mean over ${this.formatDateWindow(this.heatmapWindow.start, this.heatmapWindow.end)}`
+                : '\u2014';
+        }
+
+        const brush = this.heatmapPanel?.querySelector('.affiliation-heatmap-brush');
+        if (!brush || !this.affiliationData) return;
+
+        const range = this.heatmapBrush
+            ? [Math.min(this.heatmapBrush.anchor, this.heatmapBrush.current), Math.max(this.heatmapBrush.anchor, this.heatmapBrush.current)]
+            : this.heatmapWindow ? [this.heatmapWindow.start, this.heatmapWindow.end] : null;
+
+        brush.hidden = !range;
+        if (!range) return;
+
+        const dateCount = this.affiliationData.dates.length;
+        brush.style.left = `${(range[0] / dateCount) * 100}%`;
+        brush.style.width = `${((range[1] - range[0] + 1) / dateCount) * 100}%`;
+    }
+
+    /**
+     * Move the heatmap's slider cursor to a date
+     * @param {number} dateIndex - Index into affiliationData.dates
+     */
+    updateHeatmapCursor(dateIndex) {
+        const cursor = this.heatmapPanel?.querySelector('.affiliation-heatmap-cursor');
+        if (!cursor || !this.affiliationData) return;
+
+        const dateCount = this.affiliationData.dates.length;
+        cursor.style.left = `${(dateIndex / dateCount) * 100}%`;
+        cursor.style.width = `${100 / dateCount}%`;
+    }
+
+    /**
+     * Describe a window of months, e.g. "Jan 1997 - Dec 1998 (24 months)"
+     * @param {number} start - First date index
+     * @param {number} end - Last date index (inclusive)
+     * @param {Array<string>} dates - Dates the indices refer to (default: the Markov chain affiliation dates)
+     * @returns {string}
+     */
+    formatDateWindow(start, end, dates = this.affiliationData?.dates || []) {
+        const months = end - start + 1;
+        return `${Utils.formatDateToMonthYear(dates[start])} \u2013 ${Utils.formatDateToMonthYear(dates[end])} ` +
+            `(${months} month${months === 1 ? '' : 's'})`;
+    }
+
+    // =========================================================================
+    // MFPT CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeMFPTControls() {
+        this.mfptRow = document.querySelector(SELECTORS.MFPT_ROW);
+        this.mfptNodeISelect = document.querySelector(SELECTORS.MFPT_NODE_I);
+        this.mfptNodeJSelect = document.querySelector(SELECTORS.MFPT_NODE_J);
+        this.mfptValue = document.querySelector(SELECTORS.MFPT_VALUE);
+        this.mfptMatrixButton = document.querySelector(SELECTORS.MFPT_MATRIX_BUTTON);
+
+        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect || !this.mfptValue) {
+            return;
+        }
+
+        this.resetMfptControls();
+        this.setMfptControlsEnabled(false);
+
+        this.mfptNodeISelect.addEventListener('change', () => {
+            this.handleMfptNodeIChange();
+        });
+
+        this.mfptNodeJSelect.addEventListener('change', () => {
+            this.updateMfptValue();
+        });
+
+        if (this.mfptMatrixButton) {
+            this.mfptMatrixButton.addEventListener('click', () => {
+                this.showMfptMatrix();
+            });
+        }
+    }
+
+    setMfptControlsEnabled(enabled) {
+        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+
+        this.mfptRow.classList.toggle('is-disabled', !enabled);
+        this.mfptNodeISelect.disabled = !enabled;
+        this.mfptNodeJSelect.disabled = !enabled;
+        if (this.mfptMatrixButton) {
+            this.mfptMatrixButton.disabled = !enabled;
+        }
+    }
+
+    resetMfptControls() {
+        if (!this.mfptNodeISelect || !this.mfptNodeJSelect || !this.mfptValue) return;
+
+        this.mfptNodeCount = null;
+        this.populateMfptSelect(this.mfptNodeISelect, 0, 'Select Cluster i');
+        this.populateMfptSelect(this.mfptNodeJSelect, 0, 'Select Cluster j');
+        this.mfptValue.textContent = '\u2014';
+    }
+
+    async loadKMaxDataIfNeeded() {
+        if (this.kMaxData) return;
+        try {
+            this.kMaxData = await this.dagDataLoader.loadKMaxData();
+        } catch (error) {
+            Logger.warn('Failed to load K_max data for MFPT controls:', error.message);
+            this.kMaxData = null;
+        }
+    }
+
+    async setupMfptForLeadTime(leadTime) {
+        if (!this.mfptRow || !this.mfptNodeISelect || !this.mfptNodeJSelect || !leadTime) return;
+
+        await this.loadKMaxDataIfNeeded();
+        const nodeCount = this.kMaxData?.[leadTime] || 0;
+
+        if (!nodeCount) {
+            this.resetMfptControls();
+            this.setMfptControlsEnabled(false);
+            return;
+        }
+
+        this.mfptNodeCount = nodeCount;
+        this.populateMfptSelect(this.mfptNodeISelect, nodeCount, 'Select Cluster i');
+        this.populateMfptSelect(this.mfptNodeJSelect, nodeCount, 'Select Cluster j');
+        this.setMfptControlsEnabled(true);
+    }
+
+    populateMfptSelect(selectElement, nodeCount, placeholderText, excludedId = null) {
+        selectElement.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = placeholderText;
+        selectElement.appendChild(placeholder);
+
+        for (let i = 1; i <= nodeCount; i++) {
+            if (excludedId && i === excludedId) continue;
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = `Cluster ${i}`;
+            selectElement.appendChild(option);
+        }
+
+        selectElement.value = '';
+    }
+
+    handleMfptNodeIChange() {
+        if (!this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+
+        const selectedI = parseInt(this.mfptNodeISelect.value, 10);
+        const excludeId = Number.isInteger(selectedI) ? selectedI : null;
+        const currentJ = this.mfptNodeJSelect.value;
+
+        this.populateMfptSelect(
+            this.mfptNodeJSelect,
+            this.mfptNodeCount || 0,
+            'Select Cluster j',
+            excludeId
+        );
+
+        if (currentJ && currentJ !== String(excludeId)) {
+            this.mfptNodeJSelect.value = currentJ;
+        }
+
+        this.updateMfptValue();
+    }
+
+    updateMfptValue() {
+        if (!this.mfptValue || !this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+        this.writeMarkovUrlState();
+
+        const nodeI = parseInt(this.mfptNodeISelect.value, 10);
+        const nodeJ = parseInt(this.mfptNodeJSelect.value, 10);
+
+        if (!Number.isInteger(nodeI) || !Number.isInteger(nodeJ)) {
+            this.mfptValue.textContent = '\u2014';
+            return;
+        }
+
+        const { value, computed } = this.getMfptEntry(nodeI, nodeJ);
+        this.mfptValue.title = '';
+
+        if (Number.isFinite(value)) {
+            const interval = this.calculateMfptInterval(nodeI, nodeJ);
+            this.setValueWithInterval(
+                this.mfptValue,
+                `${value.toFixed(2)} months${computed ? ' (computed)' : ''}`,
+                interval,
+                2
+            );
+
+            // The interval is sampled around the transition matrix rebuilt
+            // from the links, which need not reproduce the exported MFPT
+            if (interval && (value < interval.lower || value > interval.upper)) {
+                this.mfptValue.title = `The ${computed ? 'computed' : 'exported'} MFPT lies outside the interval, ` +
+                    'which is sampled around the transition matrix rebuilt from the published links';
+            }
+        } else {
+            this.mfptValue.textContent = 'N/A';
+        }
+    }
+
+    /**
+     * Interval of the MFPT from cluster i to cluster j (1-based) over transition
+     * matrices sampled from the link confidence intervals.
+     * @param {number} nodeI - Source cluster
+     * @param {number} nodeJ - Target cluster
+     * @returns {{lower: number, upper: number, count: number}|null}
+     */
+    calculateMfptInterval(nodeI, nodeJ) {
+        if (nodeI === nodeJ) return null;
+
+        const samples = this.getMarkovMatrixSamples();
+        if (!samples) return null;
+
+        const values = samples.map(P => {
+            const times = MarkovAnalytics.meanFirstPassageTimesTo(P, nodeJ - 1);
+            return times ? times[nodeI - 1] : null;
+        });
+        return UncertaintyEngine.percentileInterval(values, CONFIG.UNCERTAINTY_COVERAGE);
+    }
+
+    /**
+     * Transition matrices sampled from the link confidence intervals of the
+     * current chain; drawn on first use and kept with the chain.
+     * @returns {Array<Array<Array<number>>>|null}
+     */
+    getMarkovMatrixSamples() {
+        const chain = this.markovChain;
+        if (!chain || chain.links.length === 0) return null;
+
+        if (!chain.matrixSamples) {
+            const linkSamples = UncertaintyEngine.sampleLinkValues(chain.links, {
+                valueKey: 'probability',
+                sampleCount: CONFIG.UNCERTAINTY_SAMPLES,
+                z: CONFIG.UNCERTAINTY_CI_Z,
+                seed: CONFIG.UNCERTAINTY_SEED
+            });
+            chain.matrixSamples = linkSamples.map(values => MarkovAnalytics.buildTransitionMatrix(
+                chain.links.map((link, index) => ({ source: link.source, target: link.target, probability: values[index] })),
+                chain.nodeCount
+            ));
+        }
+
+        return chain.matrixSamples;
+    }
+
+    /**
+     * Show a point estimate followed by its sampled interval.
+     * @param {HTMLElement} element - Value element of a controls row
+     * @param {string} text - Formatted point estimate
+     * @param {{lower: number, upper: number, count: number}|null} interval - Sampled interval
+     * @param {number} digits - Decimal places of the interval bounds
+     */
+    setValueWithInterval(element, text, interval, digits) {
+        element.textContent = text;
+        if (!interval) return;
+
+        const intervalSpan = document.createElement('span');
+        intervalSpan.className = 'value-interval';
+        intervalSpan.textContent = ` [${interval.lower.toFixed(digits)}, ${interval.upper.toFixed(digits)}]`;
+        intervalSpan.title = `${Math.round(CONFIG.UNCERTAINTY_COVERAGE * 100)}% interval from ${interval.count} ` +
+            'transition samples drawn from the link confidence intervals';
+        element.appendChild(intervalSpan);
+    }
+
+    /**
+     * Mean first passage time from cluster i to cluster j (1-based), as held in
+     * the parsed node data (exported, or derived when the export lacks it).
+     * @param {number} nodeI - Source cluster
+     * @param {number} nodeJ - Target cluster
+     * @returns {{value: number|null, computed: boolean}}
+     */
+    getMfptEntry(nodeI, nodeJ) {
+        const nodeData = this.svgParser?.getNodeData(`node-${nodeI - 1}`);
+        const value = Array.isArray(nodeData?.mfpt_to) ? nodeData.mfpt_to[nodeJ - 1] : null;
+
+        return Number.isFinite(value)
+            ? { value, computed: !!nodeData.computed?.mfpt_to.includes(nodeJ - 1) }
+            : { value: null, computed: false };
+    }
+
+    /**
+     * Show the full MFPT matrix as a heatmap. Row/column headers sort the
+     * matrix by that row or column; clicking a cell fills the MFPT selects.
+     */
+    showMfptMatrix() {
+        const nodeCount = this.mfptNodeCount || this.markovChain?.nodeCount || 0;
+        if (!nodeCount) return;
+
+        const matrix = [];
+        const computedCells = new Set();
+        for (let i = 1; i <= nodeCount; i++) {
+            const row = [];
+            for (let j = 1; j <= nodeCount; j++) {
+                if (i === j) {
+                    row.push(null);
+                    continue;
+                }
+                const entry = this.getMfptEntry(i, j);
+                row.push(entry.value);
+                if (entry.computed) computedCells.add(`${i - 1},${j - 1}`);
+            }
+            matrix.push(row);
+        }
+
+        const labels = Array.from({ length: nodeCount }, (_, i) => String(i + 1));
+        const state = { rowOrder: null, colOrder: null, sortKey: null };
+        const describe = (value, i, j) => {
+            if (i === j) return `Cluster ${i + 1}`;
+            const suffix = computedCells.has(`${i},${j}`) ? ' (computed)' : '';
+            return Number.isFinite(value)
+                ? `Cluster ${i + 1} \u2192 Cluster ${j + 1}: ${value.toFixed(2)} months${suffix}`
+                : `Cluster ${i + 1} \u2192 Cluster ${j + 1}: N/A`;
+        };
+
+        const render = () => ChartUtils.heatmapTable(matrix, {
+            rowLabels: labels,
+            colLabels: labels,
+            rowOrder: state.rowOrder || undefined,
+            colOrder: state.colOrder || undefined,
+            format: value => value.toFixed(1),
+            title: describe,
+            cellClass: (value, i, j) => (computedCells.has(`${i},${j}`) ? 'heatmap-computed' : ''),
+            logScale: true,
+            corner: 'from \\ to'
+        });
+
+        const leadTime = this.markovChain?.leadTime;
+        const computedNote = computedCells.size > 0
+            ? '<p>Cells marked with an asterisk were computed from the transition matrix because the exported data has no value for them.</p>'
+            : '';
+        const content = `
+            <p>Mean first passage time in months from row cluster <i>i</i> to column cluster <i>j</i> (colour on a log scale).
+            Click a row or column header to sort by it; click a cell to select that pair in the MFPT dropdowns.</p>
+            ${computedNote}
+            <div class="modal-controls">
+                <button type="button" class="analysis-btn heatmap-reset-btn">Reset order</button>
+                <span class="analysis-value heatmap-readout">&mdash;</span>
+            </div>
+            <div class="heatmap-container">${render()}</div>
+        `;
+
+        this.interactionManager.showModal(content, {
+            title: `Mean First Passage Times${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+
+        const modalBody = this.interactionManager.modalBody;
+        const container = modalBody.querySelector('.heatmap-container');
+        const readout = modalBody.querySelector('.heatmap-readout');
+        const ascending = values => values
+            .map((value, index) => ({ value, index }))
+            .sort((a, b) => (Number.isFinite(a.value) ? a.value : Infinity) - (Number.isFinite(b.value) ? b.value : Infinity))
+            .map(entry => entry.index);
+
+        modalBody.querySelector('.heatmap-reset-btn').addEventListener('click', () => {
+            state.rowOrder = null;
+            state.colOrder = null;
+            state.sortKey = null;
+            container.innerHTML = render();
+        });
+
+        container.addEventListener('mouseover', (event) => {
+            const cell = event.target.closest('.heatmap-cell');
+            if (!cell) return;
+            const i = parseInt(cell.dataset.row, 10);
+            const j = parseInt(cell.dataset.col, 10);
+            readout.textContent = describe(matrix[i][j], i, j);
+        });
+
+        container.addEventListener('click', (event) => {
+            const rowHeader = event.target.closest('.heatmap-row-header');
+            const colHeader = event.target.closest('.heatmap-col-header');
+            const cell = event.target.closest('.heatmap-cell');
+
+            if (rowHeader) {
+                // Sort columns by this row; a second click reverses the order
+                const i = parseInt(rowHeader.dataset.row, 10);
+                const order = ascending(matrix[i]);
+                state.colOrder = state.sortKey === `row-${i}` ? order.reverse() : order;
+                state.sortKey = state.sortKey === `row-${i}` ? null : `row-${i}`;
+                container.innerHTML = render();
+            } else if (colHeader) {
+                const j = parseInt(colHeader.dataset.col, 10);
+                const order = ascending(matrix.map(row => row[j]));
+                state.rowOrder = state.sortKey === `col-${j}` ? order.reverse() : order;
+                state.sortKey = state.sortKey === `col-${j}` ? null : `col-${j}`;
+                container.innerHTML = render();
+            } else if (cell) {
+                const i = parseInt(cell.dataset.row, 10);
+                const j = parseInt(cell.dataset.col, 10);
+                if (i === j) return;
+                this.selectMfptPair(i + 1, j + 1);
+                this.interactionManager.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Fill the MFPT selects with a cluster pair and show its value.
+     * @param {number} nodeI - Source cluster (1-based)
+     * @param {number} nodeJ - Target cluster (1-based)
+     */
+    selectMfptPair(nodeI, nodeJ) {
+        if (!this.mfptNodeISelect || !this.mfptNodeJSelect || this.mfptNodeISelect.disabled) return;
+
+        this.mfptNodeISelect.value = String(nodeI);
+        this.handleMfptNodeIChange();
+        this.mfptNodeJSelect.value = String(nodeJ);
+        this.updateMfptValue();
+    }
+
+    // =========================================================================
+    // TRANSITION MATRIX MODEL (MARKOV CHAIN)
+    // =========================================================================
+
+    /**
+     * Build the transition matrix for the loaded lead time from the JSON links.
+     * @param {JSONParser} jsonParser - Parser holding the loaded transition graph
+     * @param {number|null} leadTime - Lead time in months
+     */
+    buildMarkovChainModel(jsonParser, leadTime) {
+        const nodes = jsonParser?.getAllNodes() || [];
+        if (!jsonParser?.parsedData || nodes.length === 0) {
+            this.markovChain = null;
+            return;
+        }
+
+        const nodeCount = nodes.length;
+        const matrix = MarkovAnalytics.buildTransitionMatrix(jsonParser.getAllLinks(), nodeCount);
+        const lambdas = Array.from({ length: nodeCount }, (_, i) => jsonParser.getNodeData(i + 1)?.lambda || null);
+        this.markovChain = { leadTime, nodeCount, matrix, lambdas, links: jsonParser.getAllLinks(), matrixSamples: null };
+
+        Logger.debug(`Built ${nodeCount}x${nodeCount} transition matrix for lead time ${leadTime}`);
+    }
+
+    // =========================================================================
+    // COMMITTOR CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeCommittorControls() {
+        this.committorRow = document.querySelector(SELECTORS.COMMITTOR_ROW);
+        this.committorSetASelect = document.querySelector(SELECTORS.COMMITTOR_SET_A);
+        this.committorSetBSelect = document.querySelector(SELECTORS.COMMITTOR_SET_B);
+        this.committorAutoButton = document.querySelector(SELECTORS.COMMITTOR_AUTO_BUTTON);
+        this.committorShadeToggle = document.querySelector(SELECTORS.COMMITTOR_SHADE_TOGGLE);
+        this.committorValue = document.querySelector(SELECTORS.COMMITTOR_VALUE);
+
+        if (!this.committorRow || !this.committorSetASelect || !this.committorSetBSelect ||
+            !this.committorAutoButton || !this.committorShadeToggle || !this.committorValue) {
+            return;
+        }
+
+        this.resetCommittorControls();
+        this.setCommittorControlsEnabled(false);
+
+        this.committorSetASelect.addEventListener('change', () => this.updateCommittor());
+        this.committorSetBSelect.addEventListener('change', () => this.updateCommittor());
+        this.committorShadeToggle.addEventListener('change', () => this.updateCommittorShading());
+
+        this.committorAutoButton.addEventListener('click', () => {
+            this.autoSelectCommittorSets();
+        });
+    }
+
+    setCommittorControlsEnabled(enabled) {
+        if (!this.committorRow || !this.committorSetASelect || !this.committorSetBSelect ||
+            !this.committorAutoButton || !this.committorShadeToggle) {
+            return;
+        }
+
+        this.committorRow.classList.toggle('is-disabled', !enabled);
+        this.committorSetASelect.disabled = !enabled;
+        this.committorSetBSelect.disabled = !enabled;
+        this.committorAutoButton.disabled = !enabled;
+        this.committorShadeToggle.disabled = !enabled;
+    }
+
+    resetCommittorControls() {
+        this.committorValues = null;
+        if (!this.committorSetASelect || !this.committorSetBSelect ||
+            !this.committorShadeToggle || !this.committorValue) {
+            return;
+        }
+
+        this.committorSetASelect.innerHTML = '';
+        this.committorSetBSelect.innerHTML = '';
+        this.committorShadeToggle.checked = false;
+        this.committorValue.textContent = '\u2014';
+    }
+
+    setupCommittorControls() {
+        if (!this.committorRow || !this.markovChain) return;
+
+        [this.committorSetASelect, this.committorSetBSelect].forEach(select => {
+            select.innerHTML = '';
+            for (let i = 1; i <= this.markovChain.nodeCount; i++) {
+                const option = document.createElement('option');
+                option.value = String(i);
+                option.textContent = `Cluster ${i}`;
+                select.appendChild(option);
+            }
+        });
+
+        this.setCommittorControlsEnabled(true);
+    }
+
+    /**
+     * Select the La Niña-dominated clusters as set A and the El Niño-dominated
+     * clusters as set B, using each cluster's most probable lambda class.
+     */
+    autoSelectCommittorSets() {
+        if (!this.markovChain) return;
+
+        const dominant = MarkovAnalytics.dominantClasses(this.markovChain.lambdas);
+        Array.from(this.committorSetASelect.options).forEach((option, i) => {
+            option.selected = dominant[i] === 0;
+        });
+        Array.from(this.committorSetBSelect.options).forEach((option, i) => {
+            option.selected = dominant[i] === 2;
+        });
+
+        this.updateCommittor();
+    }
+
+    getSelectedClusterIndices(selectElement) {
+        return Array.from(selectElement.selectedOptions).map(option => parseInt(option.value, 10) - 1);
+    }
+
+    /**
+     * Solve the committor for the selected sets and refresh the readout and shading.
+     */
+    updateCommittor() {
+        if (!this.markovChain || !this.committorValue) return;
+
+        const setA = this.getSelectedClusterIndices(this.committorSetASelect);
+        const setB = this.getSelectedClusterIndices(this.committorSetBSelect);
+        this.committorValues = null;
+
+        if (setA.length === 0 || setB.length === 0) {
+            this.committorValue.textContent = '\u2014';
+        } else if (setA.some(i => setB.includes(i))) {
+            this.committorValue.textContent = 'Sets A and B must not overlap';
+        } else {
+            this.committorValues = MarkovAnalytics.committor(this.markovChain.matrix, setA, setB);
+
+            if (this.committorValues) {
+                const intermediate = this.committorValues.filter((_, i) => !setA.includes(i) && !setB.includes(i));
+                this.committorValue.textContent = intermediate.length > 0
+                    ? `q from ${Math.min(...intermediate).toFixed(2)} to ${Math.max(...intermediate).toFixed(2)} outside A and B`
+                    : 'Every cluster is in A or B';
+            } else {
+                this.committorValue.textContent = 'N/A';
+            }
+        }
+
+        this.updateCommittorShading();
+    }
+
+    /**
+     * Shade nodes by their committor value, or restore the date highlighting.
+     */
+    updateCommittorShading() {
+        if (!this.committorShadeToggle) return;
+
+        if (this.committorShadeToggle.checked && this.committorValues) {
+            this.setNodeOverlay('committor', this.committorValues, () => {
+                this.committorShadeToggle.checked = false;
+            });
+        } else {
+            this.clearNodeOverlay('committor');
+        }
+    }
+
+    // =========================================================================
+    // STATIONARY DISTRIBUTION CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeStationaryControls() {
+        this.stationaryRow = document.querySelector(SELECTORS.STATIONARY_ROW);
+        this.stationaryTableButton = document.querySelector(SELECTORS.STATIONARY_TABLE_BUTTON);
+        this.stationaryShadeToggle = document.querySelector(SELECTORS.STATIONARY_SHADE_TOGGLE);
+        this.stationaryValue = document.querySelector(SELECTORS.STATIONARY_VALUE);
+
+        if (!this.stationaryRow || !this.stationaryTableButton ||
+            !this.stationaryShadeToggle || !this.stationaryValue) {
+            return;
+        }
+
+        this.resetStationaryControls();
+        this.setStationaryControlsEnabled(false);
+
+        this.stationaryTableButton.addEventListener('click', () => {
+            this.showStationaryTable();
+        });
+
+        this.stationaryShadeToggle.addEventListener('change', () => {
+            this.updateStationaryShading();
+        });
+    }
+
+    setStationaryControlsEnabled(enabled) {
+        if (!this.stationaryRow || !this.stationaryTableButton || !this.stationaryShadeToggle) return;
+
+        this.stationaryRow.classList.toggle('is-disabled', !enabled);
+        this.stationaryTableButton.disabled = !enabled;
+        this.stationaryShadeToggle.disabled = !enabled;
+    }
+
+    resetStationaryControls() {
+        this.stationaryDistribution = null;
+        if (this.stationaryShadeToggle) {
+            this.stationaryShadeToggle.checked = false;
+        }
+        if (this.stationaryValue) {
+            this.stationaryValue.textContent = '\u2014';
+        }
+    }
+
+    setupStationaryControls() {
+        if (!this.stationaryRow || !this.markovChain) return;
+
+        this.stationaryDistribution = MarkovAnalytics.stationaryDistribution(this.markovChain.matrix);
+
+        if (!this.stationaryDistribution) {
+            this.stationaryValue.textContent = 'N/A';
+            this.setStationaryControlsEnabled(false);
+            return;
+        }
+
+        const pi = this.stationaryDistribution;
+        const topIndex = pi.indexOf(Math.max(...pi));
+        this.stationaryValue.textContent = `max \u03c0: Cluster ${topIndex + 1} (${pi[topIndex].toFixed(3)})`;
+        this.setStationaryControlsEnabled(true);
+    }
+
+    /**
+     * Shade nodes by their stationary probability (scaled so the most
+     * probable cluster reaches the top of the highlight scale), or restore date highlighting.
+     */
+    updateStationaryShading() {
+        if (!this.stationaryShadeToggle) return;
+
+        if (this.stationaryShadeToggle.checked && this.stationaryDistribution) {
+            const maxPi = Math.max(...this.stationaryDistribution);
+            const scaled = this.stationaryDistribution.map(p => (maxPi > 0 ? p / maxPi : 0));
+            this.setNodeOverlay('stationary', scaled, () => {
+                this.stationaryShadeToggle.checked = false;
+            });
+        } else {
+            this.clearNodeOverlay('stationary');
+        }
+    }
+
+    /**
+     * Show the stationary distribution as a ranked table in the modal,
+     * alongside 1/pi and the exported mean return time for cross-checking.
+     */
+    showStationaryTable() {
+        if (!this.stationaryDistribution || !this.markovChain) return;
+
+        const jsonParser = this.svgParser?.jsonParser;
+        const ranked = this.stationaryDistribution
+            .map((pi, index) => ({ clusterId: index + 1, pi }))
+            .sort((a, b) => b.pi - a.pi);
+
+        const rows = ranked.map((entry, rank) => {
+            const nodeData = jsonParser?.getNodeData(entry.clusterId);
+            const inversePi = entry.pi > 0 ? 1 / entry.pi : null;
+            const meanReturn = Number.isFinite(nodeData?.mean_return) ? nodeData.mean_return : null;
+            const difference = (inversePi !== null && meanReturn !== null) ? meanReturn - inversePi : null;
+
+            return `
+                <tr>
+                    <td>${rank + 1}</td>
+                    <td class="cell-label">Cluster ${entry.clusterId}</td>
+                    <td>${entry.pi.toFixed(4)}</td>
+                    <td>${inversePi !== null ? inversePi.toFixed(2) : 'N/A'}</td>
+                    <td>${meanReturn !== null ? meanReturn.toFixed(2) : 'N/A'}</td>
+                    <td>${difference !== null ? difference.toFixed(2) : 'N/A'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const content = `
+            <p>Stationary probabilities \u03c0 computed from the transition matrix, ranked from most to least probable.
+            For an irreducible chain the mean return time equals 1/\u03c0 (in months).</p>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>Rank</th>
+                        <th class="cell-label">Cluster</th>
+                        <th>\u03c0</th>
+                        <th>1/\u03c0 (months)</th>
+                        <th>Mean return (JSON)</th>
+                        <th>Difference</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        const leadTime = this.markovChain.leadTime;
+        this.interactionManager.showModal(content, {
+            title: `Stationary Distribution${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+    }
+
+    // =========================================================================
+    // SPECTRAL ANALYSIS CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeSpectralControls() {
+        this.spectralRow = document.querySelector(SELECTORS.SPECTRAL_ROW);
+        this.spectralSpectrumButton = document.querySelector(SELECTORS.SPECTRAL_SPECTRUM_BUTTON);
+        this.spectralShadeSelect = document.querySelector(SELECTORS.SPECTRAL_SHADE);
+        this.spectralSetsSelect = document.querySelector(SELECTORS.SPECTRAL_SETS);
+        this.spectralValue = document.querySelector(SELECTORS.SPECTRAL_VALUE);
+
+        if (!this.spectralRow || !this.spectralSpectrumButton || !this.spectralShadeSelect ||
+            !this.spectralSetsSelect || !this.spectralValue) {
+            return;
+        }
+
+        this.resetSpectralControls();
+        this.setSpectralControlsEnabled(false);
+
+        this.spectralSpectrumButton.addEventListener('click', () => {
+            this.showSpectrum();
+        });
+
+        this.spectralShadeSelect.addEventListener('change', () => {
+            this.updateSpectralShading();
+        });
+
+        this.spectralSetsSelect.addEventListener('change', () => {
+            this.updateMetastableSets();
+        });
+    }
+
+    setSpectralControlsEnabled(enabled) {
+        if (!this.spectralRow || !this.spectralSpectrumButton || !this.spectralShadeSelect || !this.spectralSetsSelect) return;
+
+        this.spectralRow.classList.toggle('is-disabled', !enabled);
+        this.spectralSpectrumButton.disabled = !enabled;
+        this.spectralShadeSelect.disabled = !enabled;
+        this.spectralSetsSelect.disabled = !enabled || this.spectralSetsSelect.options.length === 0;
+    }
+
+    resetSpectralControls() {
+        this.spectralModes = null;
+        this.metastableSets = null;
+        if (this.spectralShadeSelect) {
+            this.spectralShadeSelect.innerHTML = '<option value="none">No shading</option>';
+        }
+        if (this.spectralSetsSelect) {
+            this.spectralSetsSelect.innerHTML = '';
+        }
+        if (this.spectralValue) {
+            this.spectralValue.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Decompose the transition matrix of the loaded chain and fill the
+     * shading and metastable-set selects.
+     */
+    setupSpectralControls() {
+        if (!this.spectralRow || !this.markovChain) return;
+
+        this.spectralModes = MarkovAnalytics.spectralDecomposition(this.markovChain.matrix);
+        if (!this.spectralModes || this.spectralModes.length < 2) {
+            this.spectralModes = null;
+            this.spectralValue.textContent = 'N/A';
+            this.setSpectralControlsEnabled(false);
+            return;
+        }
+
+        // PCCA needs one real eigenvector per metastable set
+        const realCount = this.spectralModes.filter(mode => mode.right).length;
+        const maxSets = Math.min(realCount, CONFIG.SPECTRAL_MAX_SETS);
+        this.spectralSetsSelect.innerHTML = '';
+        for (let count = 2; count <= maxSets; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = `${count} sets`;
+            this.spectralSetsSelect.appendChild(option);
+        }
+        if (maxSets >= 2) {
+            this.spectralSetsSelect.value = String(Math.min(CONFIG.SPECTRAL_DEFAULT_SETS, maxSets));
+        }
+
+        const slowest = this.spectralModes[1];
+        this.spectralValue.textContent = Number.isFinite(slowest.timescale)
+            ? `Slowest relaxation: ${slowest.timescale.toFixed(2)} months`
+            : 'Slowest relaxation: \u221e (chain is reducible or periodic)';
+
+        this.setSpectralControlsEnabled(true);
+        this.updateMetastableSets();
+    }
+
+    /**
+     * Group the clusters into the selected number of metastable sets and
+     * refresh the shading options that depend on them.
+     */
+    updateMetastableSets() {
+        if (!this.spectralModes) return;
+
+        const count = parseInt(this.spectralSetsSelect.value, 10);
+        const vectors = this.spectralModes.filter(mode => mode.right).slice(0, count).map(mode => mode.right);
+        this.metastableSets = Number.isInteger(count) ? MarkovAnalytics.metastableSets(vectors) : null;
+
+        if (Number.isInteger(count) && !this.metastableSets) {
+            Logger.warn(`Could not group clusters into ${count} metastable sets`);
+        }
+
+        this.populateSpectralShadeOptions();
+        this.updateSpectralShading();
+    }
+
+    /**
+     * List the leading eigenvectors and metastable-set memberships that can
+     * shade the nodes, keeping the current choice when it is still offered.
+     */
+    populateSpectralShadeOptions() {
+        const previous = this.spectralShadeSelect.value;
+        const options = [{ value: 'none', label: 'No shading' }];
+
+        this.spectralModes.slice(0, CONFIG.SPECTRAL_MAX_MODES).forEach((mode, k) => {
+            if (!mode.left) return;
+            if (k === 0) {
+                options.push({ value: 'left-0', label: 'Left eigenvector 1 (\u03c0)' });
+                return;
+            }
+            const timescale = Number.isFinite(mode.timescale) ? `, ${mode.timescale.toFixed(1)} months` : '';
+            options.push({ value: `right-${k}`, label: `Right eigenvector ${k + 1} (\u03bb = ${mode.re.toFixed(3)}${timescale})` });
+            options.push({ value: `left-${k}`, label: `Left eigenvector ${k + 1} (\u03bb = ${mode.re.toFixed(3)}${timescale})` });
+        });
+
+        (this.metastableSets?.memberships[0] || []).forEach((_, s) => {
+            options.push({ value: `set-${s}`, label: `Membership of set ${s + 1}` });
+        });
+
+        this.spectralShadeSelect.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.spectralShadeSelect.appendChild(option);
+        });
+        this.spectralShadeSelect.value = options.some(option => option.value === previous) ? previous : 'none';
+    }
+
+    /**
+     * Shade the nodes by the selected eigenvector or set membership. Eigenvector
+     * components are rescaled from their most negative (dark) to most positive
+     * (bright) value; pi and memberships are scaled by their maximum.
+     */
+    updateSpectralShading() {
+        if (!this.spectralShadeSelect) return;
+
+        const [kind, indexText] = this.spectralShadeSelect.value.split('-');
+        const index = parseInt(indexText, 10);
+        let scaled = null;
+
+        if (kind === 'set' && this.metastableSets) {
+            const membership = this.metastableSets.memberships.map(chi => Math.min(1, Math.max(0, chi[index])));
+            const max = Math.max(...membership);
+            scaled = membership.map(value => (max > 0 ? value / max : 0));
+        } else if ((kind === 'left' || kind === 'right') && this.spectralModes?.[index]?.[kind]) {
+            const vector = this.spectralModes[index][kind];
+            const min = index === 0 ? 0 : Math.min(...vector);
+            const max = Math.max(...vector);
+            scaled = vector.map(value => (max > min ? (value - min) / (max - min) : 0));
+        }
+
+        if (scaled) {
+            this.setNodeOverlay('spectral', scaled, () => {
+                this.spectralShadeSelect.value = 'none';
+            });
+        } else {
+            this.clearNodeOverlay('spectral');
+        }
+    }
+
+    /**
+     * Show the eigenvalue spectrum, implied timescales and the metastable sets
+     * with their stationary weight and ENSO class composition in the modal.
+     */
+    showSpectrum() {
+        if (!this.spectralModes || !this.markovChain) return;
+
+        const circle = Array.from({ length: 121 }, (_, i) => (2 * Math.PI * i) / 120);
+        const chart = ChartUtils.lineChart([
+            {
+                label: 'Unit circle',
+                className: 'series-2',
+                xValues: circle.map(Math.cos),
+                values: circle.map(Math.sin),
+                points: false
+            },
+            {
+                label: 'Eigenvalues',
+                className: 'series-0',
+                xValues: this.spectralModes.map(mode => mode.re),
+                values: this.spectralModes.map(mode => mode.im),
+                line: false,
+                points: true
+            }
+        ], {
+            xMin: -1.05,
+            xMax: 1.05,
+            yMin: -1.05,
+            yMax: 1.05,
+            xTicks: [-1, -0.5, 0, 0.5, 1],
+            xLabel: 'Re \u03bb',
+            yLabel: 'Im \u03bb',
+            referenceY: 0,
+            width: 360,
+            height: 340
+        });
+
+        const formatEigenvalue = mode => {
+            if (mode.im === 0) return mode.re.toFixed(4);
+            return `${mode.re.toFixed(4)} ${mode.im < 0 ? '\u2212' : '+'} ${Math.abs(mode.im).toFixed(4)}i`;
+        };
+        const formatTimescale = value => {
+            if (value === null) return 'N/A';
+            return Number.isFinite(value) ? value.toFixed(2) : '\u221e';
+        };
+
+        const eigenRows = this.spectralModes.map((mode, k) => `
+            <tr>
+                <td>${k + 1}</td>
+                <td>${formatEigenvalue(mode)}</td>
+                <td>${mode.modulus.toFixed(4)}</td>
+                <td>${formatTimescale(mode.timescale)}</td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>Eigenvalues \u03bb of the transition matrix, ordered by modulus. Each mode relaxes over the implied
+            timescale t = &minus;1 / ln|\u03bb| (one transition step is one month); complex pairs indicate oscillating modes.</p>
+            <div class="chart-container">${chart}</div>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>k</th>
+                        <th>\u03bb<sub>k</sub></th>
+                        <th>|\u03bb<sub>k</sub>|</th>
+                        <th>t<sub>k</sub> (months)</th>
+                    </tr>
+                </thead>
+                <tbody>${eigenRows}</tbody>
+            </table>
+            ${this.renderMetastableSetTable()}
+        `;
+
+        const leadTime = this.markovChain.leadTime;
+        this.interactionManager.showModal(content, {
+            title: `Spectral Analysis${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+    }
+
+    /**
+     * Summarise each metastable set: its clusters, stationary weight and the
+     * pi-weighted mean ENSO class probabilities of its clusters.
+     * @returns {string} - HTML markup
+     */
+    renderMetastableSetTable() {
+        if (!this.metastableSets) return '';
+
+        const pi = this.stationaryDistribution || this.spectralModes[0].left;
+        const { lambdas } = this.markovChain;
+        const sets = this.metastableSets.memberships[0].map(() => ({ clusters: [], weight: 0, classes: [0, 0, 0], classWeight: 0 }));
+
+        this.metastableSets.assignment.forEach((s, i) => {
+            const set = sets[s];
+            const weight = pi ? Math.max(0, pi[i]) : 0;
+            set.clusters.push(i + 1);
+            set.weight += weight;
+            if (lambdas[i]) {
+                lambdas[i].forEach((value, c) => {
+                    set.classes[c] += weight * value;
+                });
+                set.classWeight += weight;
+            }
+        });
+
+        const rows = sets.map((set, s) => {
+            const composition = set.classWeight > 0 ? set.classes.map(value => value / set.classWeight) : null;
+            const dominant = composition ? composition.indexOf(Math.max(...composition)) : null;
+            const classCells = CONFIG.ENSO_CLASSES.map((_, c) =>
+                `<td>${composition ? composition[c].toFixed(3) : 'N/A'}</td>`
+            ).join('');
+
+            return `
+                <tr>
+                    <td>${s + 1}</td>
+                    <td class="cell-label">${set.clusters.join(', ') || '\u2014'}</td>
+                    <td>${set.weight.toFixed(3)}</td>
+                    ${classCells}
+                    <td class="cell-label">${dominant !== null ? CONFIG.ENSO_CLASSES[dominant] : 'N/A'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <h4>Metastable sets</h4>
+            <p>Clusters grouped by PCCA+ on the ${sets.length} leading real eigenvectors; each cluster is assigned to
+            the set with its largest membership. Class columns are the \u03c0-weighted mean class probabilities.</p>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>Set</th>
+                        <th class="cell-label">Clusters</th>
+                        <th>\u03c0 mass</th>
+                        ${CONFIG.ENSO_CLASSES.map(label => `<th>${label}</th>`).join('')}
+                        <th class="cell-label">Dominant</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // =========================================================================
+    // DETAILED BALANCE CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeReversibilityControls() {
+        this.reversibilityRow = document.querySelector(SELECTORS.REVERSIBILITY_ROW);
+        this.reversibilityReportButton = document.querySelector(SELECTORS.REVERSIBILITY_REPORT_BUTTON);
+        this.reversibilityFluxToggle = document.querySelector(SELECTORS.REVERSIBILITY_FLUX_TOGGLE);
+        this.reversibilityValue = document.querySelector(SELECTORS.REVERSIBILITY_VALUE);
+
+        if (!this.reversibilityRow || !this.reversibilityReportButton ||
+            !this.reversibilityFluxToggle || !this.reversibilityValue) {
+            return;
+        }
+
+        this.resetReversibilityControls();
+        this.setReversibilityControlsEnabled(false);
+
+        this.reversibilityReportButton.addEventListener('click', () => {
+            this.showReversibilityReport();
+        });
+
+        this.reversibilityFluxToggle.addEventListener('change', () => {
+            this.updateFluxOverlay();
+        });
+    }
+
+    setReversibilityControlsEnabled(enabled) {
+        if (!this.reversibilityRow || !this.reversibilityReportButton || !this.reversibilityFluxToggle) return;
+
+        this.reversibilityRow.classList.toggle('is-disabled', !enabled);
+        this.reversibilityReportButton.disabled = !enabled;
+        this.reversibilityFluxToggle.disabled = !enabled;
+    }
+
+    resetReversibilityControls() {
+        this.reversibilityDiagnostics = null;
+        if (this.reversibilityFluxToggle) {
+            this.reversibilityFluxToggle.checked = false;
+        }
+        this.clearFluxOverlay();
+        if (this.reversibilityValue) {
+            this.reversibilityValue.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Compute the detailed-balance diagnostics of the loaded chain from its
+     * transition matrix and stationary distribution.
+     */
+    setupReversibilityControls() {
+        if (!this.reversibilityRow || !this.markovChain) return;
+
+        if (!this.stationaryDistribution) {
+            this.reversibilityValue.textContent = 'N/A';
+            this.setReversibilityControlsEnabled(false);
+            return;
+        }
+
+        this.reversibilityDiagnostics = MarkovAnalytics.reversibilityDiagnostics(
+            this.markovChain.matrix,
+            this.stationaryDistribution,
+            CONFIG.REVERSIBILITY_CYCLE_COUNT
+        );
+        this.reversibilityValue.textContent =
+            `Irreversibility: ${this.reversibilityDiagnostics.irreversibility.toFixed(3)}`;
+        this.setReversibilityControlsEnabled(true);
+    }
+
+    /**
+     * Colour every edge tagged with data-edge-id by the net flux along its
+     * direction: edges carrying net flux are drawn in the flux colour with
+     * opacity scaled by its size, edges against the net flux are faded.
+     */
+    updateFluxOverlay() {
+        this.clearFluxOverlay();
+        if (!this.reversibilityFluxToggle?.checked || !this.currentSvgElement || !this.markovChain) return;
+
+        const P = this.markovChain.matrix;
+        const pi = this.stationaryDistribution;
+        if (!pi) return;
+
+        const maxFlux = Math.max(...this.reversibilityDiagnostics.pairs.map(pair => Math.abs(pair.net)), 0);
+
+        this.currentSvgElement.querySelectorAll('[data-edge-id]').forEach(element => {
+            const edgeData = this.svgParser.getEdgeData(element.getAttribute('data-edge-id'));
+            const i = edgeData?.sourceId - 1;
+            const j = edgeData?.targetId - 1;
+            if (!Number.isInteger(i) || !Number.isInteger(j) || !P[i] || !P[j]) return;
+
+            const net = i === j ? 0 : pi[i] * P[i][j] - pi[j] * P[j][i];
+            const strength = maxFlux > 0 ? Math.abs(net) / maxFlux : 0;
+
+            // Round-off leaves tiny fluxes on balanced pairs
+            if (Math.abs(net) <= 1e-12) {
+                element.classList.add(CSS_CLASSES.FLUX_BALANCED);
+            } else if (net > 0) {
+                element.classList.add(CSS_CLASSES.FLUX_FORWARD);
+                element.style.setProperty('--flux-strength', strength.toFixed(3));
+            } else {
+                element.classList.add(CSS_CLASSES.FLUX_AGAINST);
+            }
+        });
+    }
+
+    clearFluxOverlay() {
+        if (!this.currentSvgElement) return;
+
+        this.currentSvgElement.querySelectorAll('[data-edge-id]').forEach(element => {
+            element.classList.remove(CSS_CLASSES.FLUX_FORWARD, CSS_CLASSES.FLUX_AGAINST, CSS_CLASSES.FLUX_BALANCED);
+            element.style.removeProperty('--flux-strength');
+        });
+    }
+
+    /**
+     * Show the net fluxes of the largest pairs and the strongest cyclic
+     * currents in the modal, with a CSV export of all pairs.
+     */
+    showReversibilityReport() {
+        if (!this.reversibilityDiagnostics || !this.markovChain) return;
+
+        const { pairs, cycles, irreversibility } = this.reversibilityDiagnostics;
+        const leadTime = this.markovChain.leadTime;
+
+        const pairRows = pairs.slice(0, CONFIG.REVERSIBILITY_TABLE_ROWS).map(pair => {
+            const [from, to] = pair.net >= 0 ? [pair.i, pair.j] : [pair.j, pair.i];
+            return `
+                <tr>
+                    <td class="cell-label">${pair.i + 1} &harr; ${pair.j + 1}</td>
+                    <td>${pair.forward.toFixed(5)}</td>
+                    <td>${pair.backward.toFixed(5)}</td>
+                    <td>${pair.net.toFixed(5)}</td>
+                    <td class="cell-label">${from + 1} &rarr; ${to + 1}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const cycleRows = cycles.map(cycle => `
+            <tr>
+                <td class="cell-label">${cycle.nodes.map(index => index + 1).join(' &rarr; ')} &rarr; ${cycle.nodes[0] + 1}</td>
+                <td>${cycle.current.toFixed(5)}</td>
+                <td>${cycle.affinity !== null ? cycle.affinity.toFixed(3) : '\u221e'}</td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>A reversible chain satisfies detailed balance, \u03c0<sub>i</sub>P<sub>ij</sub> = \u03c0<sub>j</sub>P<sub>ji</sub>,
+            so every net flux vanishes. Irreversibility (sum of |net flux| over the total flow between clusters):
+            <strong>${irreversibility.toFixed(3)}</strong>. Flux is probability per month in the stationary state.</p>
+            <div class="modal-controls">
+                <button type="button" class="analysis-btn" id="reversibility-csv-btn">Export CSV</button>
+            </div>
+            <h4>Largest net fluxes${pairs.length > CONFIG.REVERSIBILITY_TABLE_ROWS ? ` (top ${CONFIG.REVERSIBILITY_TABLE_ROWS} of ${pairs.length} pairs)` : ''}</h4>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th class="cell-label">Pair i &harr; j</th>
+                        <th>\u03c0<sub>i</sub>P<sub>ij</sub></th>
+                        <th>\u03c0<sub>j</sub>P<sub>ji</sub></th>
+                        <th>Net flux</th>
+                        <th class="cell-label">Net direction</th>
+                    </tr>
+                </thead>
+                <tbody>${pairRows}</tbody>
+            </table>
+            <h4>Strongest cyclic currents</h4>
+            ${cycles.length > 0 ? `
+            <p>Three-cluster cycles ranked by the net flux they can carry (the smallest net flux along the cycle).
+            The affinity is the log-ratio of the cycle's transition probabilities forwards and backwards
+            (zero for every cycle of a reversible chain, by Kolmogorov's criterion).</p>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th class="cell-label">Cycle</th>
+                        <th>Current</th>
+                        <th>Affinity</th>
+                    </tr>
+                </thead>
+                <tbody>${cycleRows}</tbody>
+            </table>` : '<p>No three-cluster cycle carries a net current.</p>'}
+        `;
+
+        this.interactionManager.showModal(content, {
+            title: `Detailed Balance${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+
+        const csvButton = this.interactionManager.modalBody.querySelector('#reversibility-csv-btn');
+        csvButton?.addEventListener('click', () => {
+            Utils.downloadCSV(
+                `net_flux_${leadTime || 'chain'}months.csv`,
+                ['cluster_i', 'cluster_j', 'flux_i_to_j', 'flux_j_to_i', 'net_flux'],
+                pairs.map(pair => [pair.i + 1, pair.j + 1, pair.forward, pair.backward, pair.net])
+            );
+        });
+    }
+
+    // =========================================================================
+    // TRANSITION CONSISTENCY CHECK (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeConsistencyControls() {
+        this.consistencyRow = document.querySelector(SELECTORS.CONSISTENCY_ROW);
+        this.consistencyReportButton = document.querySelector(SELECTORS.CONSISTENCY_REPORT_BUTTON);
+        this.consistencyHighlightToggle = document.querySelector(SELECTORS.CONSISTENCY_HIGHLIGHT_TOGGLE);
+        this.consistencyValue = document.querySelector(SELECTORS.CONSISTENCY_VALUE);
+
+        if (!this.consistencyRow || !this.consistencyReportButton ||
+            !this.consistencyHighlightToggle || !this.consistencyValue) {
+            return;
+        }
+
+        this.resetConsistencyControls();
+        this.setConsistencyControlsEnabled(false);
+
+        this.consistencyReportButton.addEventListener('click', () => {
+            this.showConsistencyReport();
+        });
+
+        this.consistencyHighlightToggle.addEventListener('change', () => {
+            this.updateConsistencyHighlight();
+        });
+    }
+
+    setConsistencyControlsEnabled(enabled) {
+        if (!this.consistencyRow || !this.consistencyReportButton || !this.consistencyHighlightToggle) return;
+
+        this.consistencyRow.classList.toggle('is-disabled', !enabled);
+        this.consistencyReportButton.disabled = !enabled;
+        this.consistencyHighlightToggle.disabled = !enabled;
+    }
+
+    resetConsistencyControls() {
+        this.consistencyResult = null;
+        if (this.consistencyHighlightToggle) {
+            this.consistencyHighlightToggle.checked = false;
+        }
+        this.clearConsistencyHighlight();
+        if (this.consistencyValue) {
+            this.consistencyValue.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Compare the published links with the transitions counted in the
+     * affiliation series once both are loaded.
+     */
+    setupConsistencyControls() {
+        if (!this.consistencyRow) return;
+
+        if (!this.markovChain || !this.affiliationData) {
+            this.resetConsistencyControls();
+            this.setConsistencyControlsEnabled(false);
+            return;
+        }
+
+        this.consistencyResult = TransitionConsistency.compare({
+            links: this.markovChain.links,
+            affiliationData: this.affiliationData,
+            nodeCount: this.markovChain.nodeCount,
+            z: CONFIG.UNCERTAINTY_CI_Z,
+            minUnpublished: CONFIG.CONSISTENCY_MIN_UNPUBLISHED
+        });
+
+        const { rows, pairCount, flaggedCount } = this.consistencyResult;
+        if (pairCount === 0) {
+            this.consistencyValue.textContent = 'N/A';
+            this.setConsistencyControlsEnabled(false);
+            return;
+        }
+
+        const publishedCount = rows.filter(row => row.status !== 'unpublished').length;
+        this.consistencyValue.textContent = `${flaggedCount} of ${publishedCount} links outside`;
+        if (flaggedCount > 0) {
+            Logger.warn(`${flaggedCount} published link probabilities lie outside the empirical interval`);
+        }
+        this.setConsistencyControlsEnabled(true);
+        this.updateConsistencyHighlight();
+    }
+
+    /**
+     * Mark the edges whose published probability lies outside the empirical interval.
+     */
+    updateConsistencyHighlight() {
+        this.clearConsistencyHighlight();
+        if (!this.consistencyHighlightToggle?.checked || !this.consistencyResult || !this.currentSvgElement) return;
+
+        const flagged = new Set(this.consistencyResult.rows
+            .filter(row => row.status === 'outside')
+            .map(row => `${row.source}-${row.target}`));
+
+        this.currentSvgElement.querySelectorAll('[data-edge-id]').forEach(element => {
+            const edgeData = this.svgParser.getEdgeData(element.getAttribute('data-edge-id'));
+            if (edgeData && flagged.has(`${edgeData.sourceId}-${edgeData.targetId}`)) {
+                element.classList.add(CSS_CLASSES.CONSISTENCY_FLAGGED);
+            }
+        });
+    }
+
+    clearConsistencyHighlight() {
+        if (!this.currentSvgElement) return;
+
+        this.currentSvgElement.querySelectorAll(`.${CSS_CLASSES.CONSISTENCY_FLAGGED}`).forEach(element => {
+            element.classList.remove(CSS_CLASSES.CONSISTENCY_FLAGGED);
+        });
+    }
+
+    /**
+     * Show the link-by-link comparison in the modal (flagged links first),
+     * with a CSV export of every row.
+     */
+    showConsistencyReport() {
+        if (!this.consistencyResult || !this.markovChain) return;
+
+        const { rows, pairCount, flaggedCount, unpublishedCount } = this.consistencyResult;
+        const leadTime = this.markovChain.leadTime;
+        const statusOrder = { outside: 0, unpublished: 1, ok: 2 };
+        const statusLabel = { outside: 'Outside', unpublished: 'Not published', ok: 'OK' };
+        const format = value => (value === null || value === undefined ? 'N/A' : value.toFixed(3));
+        const formatInterval = (lower, upper) => (lower === null ? 'N/A' : `[${lower.toFixed(3)}, ${upper.toFixed(3)}]`);
+
+        const sorted = [...rows].sort((a, b) =>
+            statusOrder[a.status] - statusOrder[b.status] || a.source - b.source || a.target - b.target
+        );
+
+        const tableRows = sorted.map(row => `
+            <tr class="consistency-${row.status}">
+                <td class="cell-label">${row.source} &rarr; ${row.target}</td>
+                <td>${format(row.published)}</td>
+                <td>${row.publishedCi ? formatInterval(row.publishedCi[0], row.publishedCi[1]) : 'N/A'}</td>
+                <td>${format(row.empirical)}</td>
+                <td>${formatInterval(row.lower, row.upper)}</td>
+                <td>${row.effectiveCount.toFixed(1)}</td>
+                <td class="cell-label">${statusLabel[row.status]}</td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>Transition probabilities re-estimated from ${pairCount} pairs of consecutive months in the affiliation
+            series (soft counts a<sub>t</sub>(i)&middot;a<sub>t+1</sub>(j)), with ${Math.round(CONFIG.UNCERTAINTY_COVERAGE * 100)}%
+            Wilson intervals on the effective number of months spent in each source cluster.
+            <strong>${flaggedCount}</strong> published probabilities lie outside the empirical interval;
+            ${unpublishedCount} empirical transitions of at least ${CONFIG.CONSISTENCY_MIN_UNPUBLISHED} have no published link.</p>
+            <div class="modal-controls">
+                <button type="button" class="analysis-btn" id="consistency-csv-btn">Export CSV</button>
+            </div>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th class="cell-label">Link</th>
+                        <th>Published</th>
+                        <th>Published CI</th>
+                        <th>Empirical</th>
+                        <th>Empirical interval</th>
+                        <th>Months from source</th>
+                        <th class="cell-label">Status</th>
+                    </tr>
+                </thead>
+                <tbody>${tableRows}</tbody>
+            </table>
+        `;
+
+        this.interactionManager.showModal(content, {
+            title: `Transition Consistency${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+
+        const csvButton = this.interactionManager.modalBody.querySelector('#consistency-csv-btn');
+        csvButton?.addEventListener('click', () => {
+            Utils.downloadCSV(
+                `transition_consistency_${leadTime || 'chain'}months.csv`,
+                ['source', 'target', 'published', 'published_ci_lower', 'published_ci_upper',
+                    'empirical', 'empirical_lower', 'empirical_upper', 'effective_count', 'status'],
+                sorted.map(row => [
+                    row.source, row.target, row.published,
+                    row.publishedCi?.[0] ?? null, row.publishedCi?.[1] ?? null,
+                    row.empirical, row.lower, row.upper, row.effectiveCount, row.status
+                ])
+            );
+        });
+    }
+
+    // =========================================================================
+    // LUMPED CHAIN CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeLumpedControls() {
+        this.lumpedRow = document.querySelector(SELECTORS.LUMPED_ROW);
+        this.lumpedGroupingSelect = document.querySelector(SELECTORS.LUMPED_GROUPING);
+        this.lumpedEditButton = document.querySelector(SELECTORS.LUMPED_EDIT_BUTTON);
+        this.lumpedDiagramToggle = document.querySelector(SELECTORS.LUMPED_DIAGRAM_TOGGLE);
+        this.lumpedValue = document.querySelector(SELECTORS.LUMPED_VALUE);
+        this.lumpedPanel = document.querySelector(SELECTORS.LUMPED_PANEL);
+
+        if (!this.lumpedRow || !this.lumpedGroupingSelect || !this.lumpedEditButton ||
+            !this.lumpedDiagramToggle || !this.lumpedValue || !this.lumpedPanel) {
+            return;
+        }
+
+        this.resetLumpedControls();
+        this.setLumpedControlsEnabled(false);
+
+        this.lumpedGroupingSelect.addEventListener('change', () => {
+            this.updateLumpedChain();
+        });
+
+        this.lumpedEditButton.addEventListener('click', () => {
+            this.showLumpedGroupEditor();
+        });
+
+        this.lumpedDiagramToggle.addEventListener('change', () => {
+            this.renderLumpedDiagram();
+        });
+    }
+
+    setLumpedControlsEnabled(enabled) {
+        if (!this.lumpedRow || !this.lumpedGroupingSelect || !this.lumpedEditButton || !this.lumpedDiagramToggle) return;
+
+        this.lumpedRow.classList.toggle('is-disabled', !enabled);
+        this.lumpedGroupingSelect.disabled = !enabled;
+        this.lumpedEditButton.disabled = !enabled;
+        this.lumpedDiagramToggle.disabled = !enabled;
+    }
+
+    resetLumpedControls() {
+        this.lumpedChain = null;
+        this.lumpedCustomGroups = null;
+        if (this.lumpedGroupingSelect) {
+            this.lumpedGroupingSelect.value = 'class';
+        }
+        if (this.lumpedValue) {
+            this.lumpedValue.textContent = '\u2014';
+        }
+        this.renderLumpedDiagram();
+    }
+
+    /**
+     * Start the custom groups from the dominant classes and lump the loaded chain.
+     */
+    setupLumpedControls() {
+        if (!this.lumpedRow || !this.markovChain) return;
+
+        if (!this.stationaryDistribution) {
+            this.lumpedValue.textContent = 'N/A';
+            this.setLumpedControlsEnabled(false);
+            return;
+        }
+
+        this.lumpedCustomGroups = this.getDominantClassGroups();
+        this.setLumpedControlsEnabled(true);
+        this.updateLumpedChain();
+    }
+
+    /**
+     * Group index of each cluster by its dominant ENSO class; clusters
+     * without class probabilities join the Neutral group.
+     * @returns {Array<number>}
+     */
+    getDominantClassGroups() {
+        return MarkovAnalytics.dominantClasses(this.markovChain.lambdas).map((classIndex, i) => {
+            if (classIndex === null) {
+                Logger.warn(`Cluster ${i + 1} has no class probabilities; lumping it with Neutral`);
+                return 1;
+            }
+            return classIndex;
+        });
+    }
+
+    /**
+     * Current grouping with its display names, labels and node classes.
+     * @returns {{groups: Array<number>, groupCount: number, names: Array<string>, labels: Array<string>, classNames: Array<string>}}
+     */
+    getLumpedGrouping() {
+        if (this.lumpedGroupingSelect.value === 'custom' && this.lumpedCustomGroups) {
+            const groupCount = CONFIG.LUMPED_MAX_GROUPS;
+            return {
+                groups: this.lumpedCustomGroups,
+                groupCount,
+                names: Array.from({ length: groupCount }, (_, g) => `Group ${g + 1}`),
+                labels: Array.from({ length: groupCount }, (_, g) => `G${g + 1}`),
+                classNames: Array.from({ length: groupCount }, (_, g) => `series-${g % 4}`)
+            };
+        }
+
+        return {
+            groups: this.getDominantClassGroups(),
+            groupCount: CONFIG.ENSO_CLASSES.length,
+            names: CONFIG.ENSO_CLASSES,
+            labels: CONFIG.ENSO_CLASS_SHORT_LABELS,
+            classNames: CONFIG.ENSO_CLASS_CSS
+        };
+    }
+
+    /**
+     * Lump the chain with the selected grouping and refresh the row and diagram.
+     */
+    updateLumpedChain() {
+        if (!this.markovChain || !this.stationaryDistribution) return;
+
+        const grouping = this.getLumpedGrouping();
+        this.lumpedChain = {
+            ...grouping,
+            ...MarkovAnalytics.lumpedChain(this.markovChain.matrix, this.stationaryDistribution, grouping.groups, grouping.groupCount)
+        };
+
+        this.lumpedValue.textContent = `Lumpability error: ${this.lumpedChain.maxError.toFixed(3)}`;
+        this.renderLumpedDiagram();
+    }
+
+    /**
+     * Draw the lumped chain beside the full graph while the diagram toggle is on.
+     */
+    renderLumpedDiagram() {
+        if (!this.lumpedPanel) return;
+
+        const visible = !!(this.lumpedDiagramToggle?.checked && this.lumpedChain);
+        this.lumpedPanel.hidden = !visible;
+        this.lumpedPanel.parentElement?.classList.toggle('has-side-panel', visible);
+        if (!visible) {
+            this.lumpedPanel.innerHTML = '';
+            return;
+        }
+
+        const { matrix, weights, errors, maxError, groups, names, labels, classNames } = this.lumpedChain;
+        const members = names.map((_, g) => groups.map((group, i) => (group === g ? i + 1 : null)).filter(id => id !== null));
+
+        const diagram = ChartUtils.chainDiagram(matrix, {
+            labels,
+            weights,
+            classNames,
+            nodeTitle: g => `${names[g]}: clusters ${members[g].join(', ')}\nStationary mass: ${weights[g].toFixed(3)}`,
+            edgeTitle: (a, b) => `${names[a]} \u2192 ${names[b]}: ${matrix[a][b].toFixed(3)}\n` +
+                `Lumpability error: \u00b1${errors[a][b].toFixed(3)} (largest deviation of a member cluster)`
+        });
+
+        const leadTime = this.markovChain?.leadTime;
+        this.lumpedPanel.innerHTML = `
+            <h3 class="lumped-panel-title">Lumped chain${leadTime ? ` (${leadTime} months)` : ''}</h3>
+            ${diagram}
+            <p class="lumped-panel-caption">Clusters merged by ${this.lumpedGroupingSelect.value === 'custom' ? 'custom groups' : 'dominant ENSO class'};
+            node size shows stationary mass and arrows the monthly transition probabilities. Largest lumpability error: ${maxError.toFixed(3)}.</p>
+        `;
+    }
+
+    /**
+     * Let the user assign each cluster to a custom group in the modal.
+     */
+    showLumpedGroupEditor() {
+        if (!this.markovChain || !this.lumpedCustomGroups) return;
+
+        const dominant = MarkovAnalytics.dominantClasses(this.markovChain.lambdas);
+        const groupOptions = selected => Array.from({ length: CONFIG.LUMPED_MAX_GROUPS }, (_, g) =>
+            `<option value="${g}"${g === selected ? ' selected' : ''}>Group ${g + 1}</option>`
+        ).join('');
+
+        const rows = this.lumpedCustomGroups.map((group, i) => `
+            <tr>
+                <td class="cell-label">Cluster ${i + 1}</td>
+                <td class="cell-label">${dominant[i] !== null ? CONFIG.ENSO_CLASSES[dominant[i]] : 'N/A'}</td>
+                <td>
+                    <div class="analysis-select-container">
+                        <select class="lumped-group-select" data-cluster="${i}">${groupOptions(group)}</select>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>Assign each cluster to one of ${CONFIG.LUMPED_MAX_GROUPS} groups. The groups start from the dominant
+            ENSO classes (La Ni&ntilde;a, Neutral, El Ni&ntilde;o as groups 1&ndash;3); empty groups are left out.</p>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th class="cell-label">Cluster</th>
+                        <th class="cell-label">Dominant class</th>
+                        <th>Group</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="modal-controls">
+                <button type="button" class="analysis-btn" id="lumped-apply-btn">Apply groups</button>
+            </div>
+        `;
+
+        this.interactionManager.showModal(content, { title: 'Custom Cluster Groups' });
+
+        const modalBody = this.interactionManager.modalBody;
+        modalBody.querySelector('#lumped-apply-btn').addEventListener('click', () => {
+            modalBody.querySelectorAll('.lumped-group-select').forEach(select => {
+                this.lumpedCustomGroups[parseInt(select.dataset.cluster, 10)] = parseInt(select.value, 10);
+            });
+            this.lumpedGroupingSelect.value = 'custom';
+            this.updateLumpedChain();
+            this.interactionManager.closeModal();
+        });
+    }
+
+    // =========================================================================
+    // CHAIN SUMMARY ACROSS LEAD TIMES (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeChainSummaryControls() {
+        this.chainSummaryRow = document.querySelector(SELECTORS.CHAIN_SUMMARY_ROW);
+        this.chainSummaryButton = document.querySelector(SELECTORS.CHAIN_SUMMARY_BUTTON);
+        this.chainSummaryValue = document.querySelector(SELECTORS.CHAIN_SUMMARY_VALUE);
+
+        if (!this.chainSummaryRow || !this.chainSummaryButton || !this.chainSummaryValue) {
+            return;
+        }
+
+        // The summary reads every lead time's JSON itself, so it does not wait for a loaded graph
+        this.chainSummaryRow.classList.remove('is-disabled');
+        this.chainSummaryButton.disabled = false;
+
+        this.chainSummaryButton.addEventListener('click', () => {
+            this.showChainSummary();
+        });
+    }
+
+    /**
+     * Load the transition graph of every lead time and compute its
+     * chain-level statistics.
+     * @returns {Promise<Array<Object>>} - One entry per loaded lead time as
+     *     {leadTime, clusters, kemeny, entropyRate, mixingTime, meanSelfLoop}
+     */
+    async computeChainSummary() {
+        const leadTimes = [];
+        for (let leadTime = CONFIG.MIN_LEAD_TIME; leadTime <= CONFIG.MAX_LEAD_TIME; leadTime++) {
+            leadTimes.push(leadTime);
+        }
+
+        const data = await this.svgLoader.loadMultiple(
+            leadTimes.map(leadTime => ({ url: Utils.generateJSONFilename(leadTime), dataType: 'json', options: { useCache: true } })),
+            { failFast: false }
+        );
+
+        const summary = [];
+        data.forEach((jsonData, k) => {
+            if (!jsonData) return;
+
+            try {
+                const parser = new JSONParser();
+                parser.parseAndValidate(jsonData);
+                const nodeCount = parser.getAllNodes().length;
+                const P = MarkovAnalytics.buildTransitionMatrix(parser.getAllLinks(), nodeCount);
+                const pi = MarkovAnalytics.stationaryDistribution(P);
+                const eigenvalues = MarkovAnalytics.eigenvalues(P);
+
+                summary.push({
+                    leadTime: leadTimes[k],
+                    clusters: nodeCount,
+                    kemeny: eigenvalues ? MarkovAnalytics.kemenyConstant(eigenvalues) : null,
+                    entropyRate: pi ? MarkovAnalytics.entropyRate(P, pi) : null,
+                    mixingTime: pi ? MarkovAnalytics.mixingTime(P, pi, CONFIG.MIXING_EPSILON, CONFIG.MIXING_MAX_STEPS) : null,
+                    meanSelfLoop: P.reduce((sum, row, i) => sum + row[i], 0) / nodeCount
+                });
+            } catch (error) {
+                Logger.warn(`Skipping lead time ${leadTimes[k]} in chain summary:`, error.message);
+            }
+        });
+
+        Logger.debug(`Computed chain summary for ${summary.length} lead times`);
+        return summary;
+    }
+
+    /**
+     * Show the chain-level statistics against lead time in the modal; the
+     * statistics are computed on first use and kept for the session.
+     */
+    async showChainSummary() {
+        if (!this.chainSummary) {
+            this.chainSummaryButton.disabled = true;
+            this.chainSummaryValue.textContent = 'Loading\u2026';
+            try {
+                this.chainSummary = await this.computeChainSummary();
+            } catch (error) {
+                Logger.error('Failed to compute chain summary:', error);
+            } finally {
+                this.chainSummaryButton.disabled = false;
+            }
+
+            if (!this.chainSummary || this.chainSummary.length === 0) {
+                this.chainSummary = null;
+                this.chainSummaryValue.textContent = 'N/A';
+                return;
+            }
+            this.chainSummaryValue.textContent = `${this.chainSummary.length} lead times`;
+        }
+
+        const summary = this.chainSummary;
+        const leads = summary.map(entry => entry.leadTime);
+        const markerIndex = leads.indexOf(this.markovChain?.leadTime);
+        const statistics = [
+            { key: 'clusters', label: 'Number of clusters', format: value => String(value) },
+            { key: 'kemeny', label: 'Kemeny constant (months)', format: value => value.toFixed(2) },
+            { key: 'entropyRate', label: 'Entropy rate (bits/month)', format: value => value.toFixed(3) },
+            { key: 'mixingTime', label: `Mixing time, \u03b5 = ${CONFIG.MIXING_EPSILON} (months)`, format: value => String(value) },
+            { key: 'meanSelfLoop', label: 'Mean self-loop probability', format: value => value.toFixed(3) }
+        ];
+
+        const charts = statistics.map(({ key, label }, s) => `
+            <h4>${label}</h4>
+            <div class="chart-container">${ChartUtils.lineChart(
+                [{ label, className: `series-${s % 4}`, values: summary.map(entry => entry[key]) }],
+                {
+                    xValues: leads,
+                    xLabels: leads.map(String),
+                    xLabel: 'Lead time (months)',
+                    markerIndex: markerIndex >= 0 ? markerIndex : null,
+                    showPoints: true,
+                    height: 200
+                }
+            )}</div>
+        `).join('');
+
+        const rows = summary.map(entry => `
+            <tr>
+                <td>${entry.leadTime}</td>
+                ${statistics.map(({ key, format }) => `<td>${entry[key] !== null ? format(entry[key]) : 'N/A'}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>Chain-level statistics of the transition graph at every lead time (one transition step is one month).
+            The Kemeny constant is the expected time to reach a cluster drawn from the stationary distribution;
+            the mixing time is the first step at which every starting cluster is within total variation distance
+            ${CONFIG.MIXING_EPSILON} of it (N/A if not reached within ${CONFIG.MIXING_MAX_STEPS} months).
+            ${markerIndex >= 0 ? 'The vertical line marks the loaded lead time.' : ''}</p>
+            ${charts}
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>Lead (months)</th>
+                        <th>Clusters</th>
+                        <th>Kemeny</th>
+                        <th>Entropy rate</th>
+                        <th>Mixing time</th>
+                        <th>Mean self-loop</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        this.interactionManager.showModal(content, { title: 'Chain Summary Across Lead Times' });
+    }
+
+    // =========================================================================
+    // ENSO CLASS FORECAST (MARKOV CHAIN)
+    // =========================================================================
+
+    /**
+     * Draw the class forecast for a date as a three-bar chart beside the slider.
+     * @param {number} dateIndex - Index into the affiliations/dates arrays
+     */
+    updateClassForecast(dateIndex) {
+        if (!this.classForecastBars) return;
+
+        const forecast = (this.affiliationData && this.markovChain)
+            ? MarkovAnalytics.classForecast(this.affiliationData.affiliations[dateIndex], this.markovChain.lambdas)
+            : null;
+
+        if (!forecast) {
+            this.clearClassForecast();
+            return;
+        }
+
+        const titles = forecast.map((p, c) => `${CONFIG.ENSO_CLASSES[c]}: ${Utils.formatProbabilityAsPercentage(p)}`);
+        this.classForecastBars.innerHTML = ChartUtils.barChart(forecast, {
+            labels: CONFIG.ENSO_CLASS_SHORT_LABELS,
+            titles,
+            classNames: CONFIG.ENSO_CLASS_CSS
+        });
+        this.classForecastBars.setAttribute('aria-label', `Class forecast: ${titles.join(', ')}`);
+
+        if (this.classForecastSeriesButton) {
+            this.classForecastSeriesButton.disabled = false;
+        }
+    }
+
+    clearClassForecast() {
+        if (this.classForecastBars) {
+            this.classForecastBars.innerHTML = '';
+            this.classForecastBars.removeAttribute('aria-label');
+        }
+        if (this.classForecastSeriesButton) {
+            this.classForecastSeriesButton.disabled = true;
+        }
+    }
+
+    /**
+     * Show the class forecast for every date of the loaded lead time as a
+     * time series in the modal, with the slider's date marked.
+     */
+    showClassForecastSeries() {
+        if (!this.affiliationData || !this.markovChain) return;
+
+        if (!this.classForecastSeries) {
+            this.classForecastSeries = this.affiliationData.affiliations.map(vector =>
+                MarkovAnalytics.classForecast(vector, this.markovChain.lambdas)
+            );
+        }
+
+        const series = CONFIG.ENSO_CLASSES.map((label, c) => ({
+            label,
+            className: CONFIG.ENSO_CLASS_CSS[c],
+            values: this.classForecastSeries.map(forecast => (forecast ? forecast[c] : null))
+        }));
+
+        const chart = ChartUtils.lineChart(series, {
+            xLabels: this.affiliationData.dates.map(date => this.formatSliderDate(date)),
+            yMin: 0,
+            yMax: 1,
+            yLabel: 'Probability',
+            xLabel: 'Target date',
+            markerIndex: this.dateSlider ? parseInt(this.dateSlider.value, 10) : null
+        });
+
+        const leadTime = this.markovChain.leadTime;
+        const content = `
+            <p>ENSO class probabilities obtained by weighting each cluster's class probabilities (\u03bb) by the
+            date's cluster affiliations. The vertical line marks the date selected on the slider.</p>
+            <div class="chart-container">${chart}</div>
+        `;
+
+        this.interactionManager.showModal(content, {
+            title: `Class Forecast${leadTime ? ` (${leadTime} months)` : ''}`
+        });
+    }
+
+    // =========================================================================
+    // AFFILIATION FORECAST CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeForecastControls() {
+        this.forecastRow = document.querySelector(SELECTORS.FORECAST_ROW);
+        this.forecastStepsSelect = document.querySelector(SELECTORS.FORECAST_STEPS);
+        this.forecastPlayButton = document.querySelector(SELECTORS.FORECAST_PLAY_BUTTON);
+        this.forecastResetButton = document.querySelector(SELECTORS.FORECAST_RESET_BUTTON);
+        this.forecastValue = document.querySelector(SELECTORS.FORECAST_VALUE);
+
+        if (!this.forecastRow || !this.forecastStepsSelect || !this.forecastPlayButton ||
+            !this.forecastResetButton || !this.forecastValue) {
+            return;
+        }
+
+        this.forecastStepsSelect.innerHTML = '';
+        for (let k = 1; k <= CONFIG.FORECAST_MAX_STEPS; k++) {
+            const option = document.createElement('option');
+            option.value = String(k);
+            option.textContent = `${k} step${k === 1 ? '' : 's'}`;
+            this.forecastStepsSelect.appendChild(option);
+        }
+        this.forecastStepsSelect.value = String(CONFIG.FORECAST_DEFAULT_STEPS);
+
+        this.cancelForecast();
+        this.setForecastControlsEnabled(false);
+
+        this.forecastPlayButton.addEventListener('click', () => {
+            this.toggleForecastPlayback();
+        });
+
+        this.forecastResetButton.addEventListener('click', () => {
+            this.cancelForecast();
+            this.refreshDateHighlighting();
+        });
+
+        this.forecastStepsSelect.addEventListener('change', () => {
+            if (this.forecast) {
+                this.cancelForecast();
+                this.refreshDateHighlighting();
+            }
+        });
+    }
+
+    setForecastControlsEnabled(enabled) {
+        if (!this.forecastRow || !this.forecastStepsSelect || !this.forecastPlayButton || !this.forecastResetButton) return;
+
+        this.forecastRow.classList.toggle('is-disabled', !enabled);
+        this.forecastStepsSelect.disabled = !enabled;
+        this.forecastPlayButton.disabled = !enabled;
+        this.forecastResetButton.disabled = !enabled;
+    }
+
+    /**
+     * Start, pause or resume the forecast animation for the slider's current date.
+     */
+    toggleForecastPlayback() {
+        if (!this.markovChain || !this.affiliationData || !this.dateSlider) return;
+
+        // Pause a running animation
+        if (this.forecast?.timer) {
+            clearTimeout(this.forecast.timer);
+            this.forecast.timer = null;
+            this.updateForecastPlayButton();
+            return;
+        }
+
+        const dateIndex = parseInt(this.dateSlider.value, 10);
+        const steps = parseInt(this.forecastStepsSelect.value, 10) || CONFIG.FORECAST_DEFAULT_STEPS;
+
+        // Start a new forecast unless a paused one for this date can be resumed
+        const canResume = this.forecast && this.forecast.dateIndex === dateIndex &&
+            this.forecast.step < this.forecast.history.length - 1;
+
+        if (!canResume) {
+            const probVector = this.affiliationData.affiliations[dateIndex];
+            if (!probVector || !Array.isArray(probVector)) {
+                this.forecastValue.textContent = 'N/A';
+                return;
+            }
+
+            this.forecast = {
+                dateIndex,
+                history: MarkovAnalytics.propagateDistribution(probVector, this.markovChain.matrix, steps),
+                step: 0,
+                timer: null
+            };
+            this.showForecastStep(0);
+        }
+
+        this.scheduleForecastStep();
+    }
+
+    scheduleForecastStep() {
+        if (!this.forecast) return;
+
+        this.forecast.timer = setTimeout(() => {
+            if (!this.forecast) return;
+
+            this.forecast.timer = null;
+            this.showForecastStep(this.forecast.step + 1);
+
+            if (this.forecast.step < this.forecast.history.length - 1) {
+                this.scheduleForecastStep();
+            } else {
+                this.updateForecastPlayButton();
+            }
+        }, CONFIG.FORECAST_STEP_INTERVAL_MS);
+
+        this.updateForecastPlayButton();
+    }
+
+    /**
+     * Shade the nodes with the propagated distribution after `step` transitions
+     * and update the step counter.
+     * @param {number} step - Number of transitions applied to the date's affiliation vector
+     */
+    showForecastStep(step) {
+        if (!this.forecast) return;
+
+        const distribution = this.forecast.history[step];
+        this.forecast.step = step;
+
+        this.setNodeOverlay('forecast', distribution, () => {
+            this.cancelForecast();
+        });
+
+        // The chain steps one month per transition, like the date slider
+        const totalSteps = this.forecast.history.length - 1;
+        const topIndex = distribution.indexOf(Math.max(...distribution));
+
+        this.forecastValue.textContent =
+            `Step ${step}/${totalSteps} (+${step} month${step === 1 ? '' : 's'}): Cluster ${topIndex + 1} (${distribution[topIndex].toFixed(3)})`;
+    }
+
+    updateForecastPlayButton() {
+        if (!this.forecastPlayButton) return;
+
+        const playing = !!this.forecast?.timer;
+        this.forecastPlayButton.textContent = playing ? 'Pause' : 'Play';
+        this.forecastPlayButton.setAttribute('aria-pressed', playing ? 'true' : 'false');
+    }
+
+    /**
+     * Stop the forecast animation and drop its overlay without repainting;
+     * callers decide whether to restore the date highlighting.
+     */
+    cancelForecast() {
+        if (this.forecast?.timer) {
+            clearTimeout(this.forecast.timer);
+        }
+        this.forecast = null;
+
+        if (this.nodeOverlay?.source === 'forecast') {
+            this.nodeOverlay = null;
+        }
+        if (this.forecastValue) {
+            this.forecastValue.textContent = '\u2014';
+        }
+        this.updateForecastPlayButton();
+    }
+
+    // =========================================================================
+    // MONTE CARLO SIMULATION CONTROLS (MARKOV CHAIN)
+    // =========================================================================
+
+    initializeSimulationControls() {
+        this.simulationRow = document.querySelector(SELECTORS.SIMULATION_ROW);
+        this.simulationStartSelect = document.querySelector(SELECTORS.SIMULATION_START);
+        this.simulationRunsSelect = document.querySelector(SELECTORS.SIMULATION_RUNS);
+        this.simulationRunButton = document.querySelector(SELECTORS.SIMULATION_RUN_BUTTON);
+        this.simulationHistogramButton = document.querySelector(SELECTORS.SIMULATION_HISTOGRAM_BUTTON);
+        this.simulationValue = document.querySelector(SELECTORS.SIMULATION_VALUE);
+
+        if (!this.simulationRow || !this.simulationStartSelect || !this.simulationRunsSelect ||
+            !this.simulationRunButton || !this.simulationHistogramButton || !this.simulationValue) {
+            return;
+        }
+
+        this.simulationRunsSelect.innerHTML = '';
+        CONFIG.SIMULATION_RUN_OPTIONS.forEach(runs => {
+            const option = document.createElement('option');
+            option.value = String(runs);
+            option.textContent = `${runs.toLocaleString('en-GB')} runs`;
+            this.simulationRunsSelect.appendChild(option);
+        });
+
+        this.resetSimulationControls();
+        this.setSimulationControlsEnabled(false);
+
+        this.simulationRunButton.addEventListener('click', () => {
+            if (this.simulation?.timer) {
+                this.stopSimulation();
+            } else {
+                this.runSimulation();
+            }
+        });
+
+        this.simulationHistogramButton.addEventListener('click', () => {
+            this.showSimulationHistograms();
+        });
+    }
+
+    setSimulationControlsEnabled(enabled) {
+        if (!this.simulationRow || !this.simulationStartSelect || !this.simulationRunsSelect ||
+            !this.simulationRunButton || !this.simulationHistogramButton) {
+            return;
+        }
+
+        this.simulationRow.classList.toggle('is-disabled', !enabled);
+        this.simulationStartSelect.disabled = !enabled;
+        this.simulationRunsSelect.disabled = !enabled;
+        this.simulationRunButton.disabled = !enabled;
+        this.simulationHistogramButton.disabled = !enabled || !this.simulation;
+    }
+
+    resetSimulationControls() {
+        this.stopSimulation();
+        this.simulation = null;
+
+        if (this.simulationStartSelect) {
+            this.simulationStartSelect.innerHTML = '<option value="date">Current date\'s affiliations</option>';
+        }
+        if (this.simulationHistogramButton) {
+            this.simulationHistogramButton.disabled = true;
+        }
+        if (this.simulationValue) {
+            this.simulationValue.textContent = '\u2014';
+        }
+    }
+
+    setupSimulationControls() {
+        if (!this.simulationRow || !this.markovChain) return;
+
+        for (let i = 1; i <= this.markovChain.nodeCount; i++) {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = `Cluster ${i}`;
+            this.simulationStartSelect.appendChild(option);
+        }
+
+        this.setSimulationControlsEnabled(true);
+    }
+
+    /**
+     * Draw the starting cluster of a run: either the selected cluster or a
+     * sample from the slider date's affiliation vector.
+     * @returns {number|null} - 0-based cluster index
+     */
+    drawSimulationStart() {
+        const choice = this.simulationStartSelect.value;
+        if (choice !== 'date') {
+            return parseInt(choice, 10) - 1;
+        }
+
+        if (!this.affiliationData || !this.dateSlider) return null;
+        const vector = this.affiliationData.affiliations[parseInt(this.dateSlider.value, 10)];
+        return Array.isArray(vector) ? MarkovAnalytics.sampleIndex(vector) : null;
+    }
+
+    /**
+     * Simulate the selected number of runs, tally visit and class frequencies,
+     * and animate the first trajectory on the SVG.
+     */
+    runSimulation() {
+        if (!this.markovChain) return;
+
+        this.stopSimulation();
+
+        const runs = parseInt(this.simulationRunsSelect.value, 10) || CONFIG.SIMULATION_RUN_OPTIONS[0];
+        const steps = CONFIG.SIMULATION_STEPS;
+        const { matrix, nodeCount, lambdas } = this.markovChain;
+        const visitCounts = new Array(nodeCount).fill(0);
+        const classTotals = [0, 0, 0];
+        let firstPath = null;
+
+        for (let run = 0; run < runs; run++) {
+            const start = this.drawSimulationStart();
+            if (start === null) {
+                this.simulationValue.textContent = 'No affiliation data for this date';
+                return;
+            }
+
+            const path = MarkovAnalytics.simulatePath(matrix, start, steps);
+            if (!firstPath) firstPath = path;
+
+            // Tally the states reached after the start
+            path.slice(1).forEach(state => {
+                visitCounts[state]++;
+                const lambda = lambdas[state];
+                if (lambda) {
+                    for (let c = 0; c < 3; c++) classTotals[c] += lambda[c];
+                }
+            });
+        }
+
+        const startLabel = this.simulationStartSelect.value === 'date'
+            ? `affiliations on ${this.dateSliderLabel?.textContent || 'the selected date'}`
+            : `Cluster ${this.simulationStartSelect.value}`;
+
+        this.simulation = { path: firstPath, step: 0, timer: null, visitCounts, classTotals, runs, steps, startLabel };
+        this.simulationHistogramButton.disabled = false;
+
+        this.showSimulationStep(0);
+        this.scheduleSimulationStep();
+    }
+
+    scheduleSimulationStep() {
+        if (!this.simulation) return;
+
+        this.simulation.timer = setTimeout(() => {
+            if (!this.simulation) return;
+
+            this.simulation.timer = null;
+
+            // The walker stays on its last cluster for one interval, then the
+            // date slider highlighting comes back
+            if (this.simulation.step >= this.simulation.path.length - 1) {
+                this.stopSimulation();
+                return;
+            }
+
+            this.showSimulationStep(this.simulation.step + 1);
+            this.scheduleSimulationStep();
+        }, CONFIG.SIMULATION_STEP_INTERVAL_MS);
+
+        this.updateSimulationRunButton();
     }
 
-    populateMfptSelect(selectElement, nodeCount, placeholderText, excludedId = null) {
-        selectElement.innerHTML = '';
+    /**
+     * Move the walker to the cluster visited at the given step.
+     * @param {number} step - Step along the animated trajectory
+     */
+    showSimulationStep(step) {
+        if (!this.simulation || !this.currentSvgElement) return;
 
-        const placeholder = document.createElement('option');
-        placeholder.value = '';
-        placeholder.textContent = placeholderText;
-        selectElement.appendChild(placeholder);
+        const { path } = this.simulation;
+        const cluster = path[step];
+        this.simulation.step = step;
 
-        for (let i = 1; i <= nodeCount; i++) {
-            if (excludedId && i === excludedId) continue;
-            const option = document.createElement('option');
-            option.value = String(i);
-            option.textContent = `Cluster ${i}`;
-            selectElement.appendChild(option);
-        }
+        const vector = new Array(this.markovChain.nodeCount).fill(0);
+        vector[cluster] = 1;
+        this.setNodeOverlay('simulation', vector, () => {
+            this.stopSimulation();
+        });
 
-        selectElement.value = '';
-    }
+        const nodes = this.currentSvgElement.querySelectorAll(SELECTORS.SVG_NODES);
+        nodes.forEach((node, index) => {
+            node.classList.toggle(CSS_CLASSES.SIMULATION_WALKER, index === cluster);
+        });
 
-    handleMfptNodeIChange() {
-        if (!this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+        this.simulationValue.textContent = `Step ${step}/${path.length - 1}: Cluster ${cluster + 1}`;
+    }
 
-        const selectedI = parseInt(this.mfptNodeISelect.value, 10);
-        const excludeId = Number.isInteger(selectedI) ? selectedI : null;
-        const currentJ = this.mfptNodeJSelect.value;
+    updateSimulationRunButton() {
+        if (!this.simulationRunButton) return;
+        this.simulationRunButton.textContent = this.simulation?.timer ? 'Stop' : 'Run';
+    }
 
-        this.populateMfptSelect(
-            this.mfptNodeJSelect,
-            this.mfptNodeCount || 0,
-            'Select Cluster j',
-            excludeId
-        );
+    /**
+     * Stop the walker animation and remove its highlighting. The tallied
+     * histograms are kept for display.
+     */
+    stopSimulation() {
+        if (this.simulation?.timer) {
+            clearTimeout(this.simulation.timer);
+            this.simulation.timer = null;
+        }
 
-        if (currentJ && currentJ !== String(excludeId)) {
-            this.mfptNodeJSelect.value = currentJ;
+        if (this.currentSvgElement) {
+            this.currentSvgElement.querySelectorAll(`.${CSS_CLASSES.SIMULATION_WALKER}`).forEach(node => {
+                node.classList.remove(CSS_CLASSES.SIMULATION_WALKER);
+            });
         }
 
-        this.updateMfptValue();
+        if (this.nodeOverlay?.source === 'simulation') {
+            this.clearNodeOverlay('simulation');
+        }
+        this.updateSimulationRunButton();
     }
 
-    updateMfptValue() {
-        if (!this.mfptValue || !this.mfptNodeISelect || !this.mfptNodeJSelect) return;
+    /**
+     * Show the visit-frequency and class-frequency histograms of the last run set.
+     */
+    showSimulationHistograms() {
+        if (!this.simulation) return;
 
-        const nodeI = parseInt(this.mfptNodeISelect.value, 10);
-        const nodeJ = parseInt(this.mfptNodeJSelect.value, 10);
+        const { visitCounts, classTotals, runs, steps, startLabel } = this.simulation;
+        const totalVisits = visitCounts.reduce((sum, count) => sum + count, 0) || 1;
+        const totalClass = classTotals.reduce((sum, value) => sum + value, 0) || 1;
 
-        if (!Number.isInteger(nodeI) || !Number.isInteger(nodeJ)) {
-            this.mfptValue.textContent = '\u2014';
-            return;
-        }
+        const visitChart = ChartUtils.groupedBarChart(
+            visitCounts.map((_, i) => String(i + 1)),
+            [{ label: 'Visit frequency', className: 'series-0', values: visitCounts.map(count => count / totalVisits) }],
+            { xLabel: 'Cluster', yLabel: 'Fraction of visits' }
+        );
+
+        const classChart = ChartUtils.groupedBarChart(
+            ['Class frequency'],
+            CONFIG.ENSO_CLASSES.map((label, c) => ({
+                label,
+                className: CONFIG.ENSO_CLASS_CSS[c],
+                values: [classTotals[c] / totalClass]
+            })),
+            { yLabel: 'Fraction of time', height: 200, width: 360 }
+        );
 
-        const nodeData = this.svgParser?.jsonParser?.getNodeData(nodeI);
-        const mfptTo = Array.isArray(nodeData?.mfpt_to) ? nodeData.mfpt_to[nodeJ - 1] : null;
+        const content = `
+            <p>${runs.toLocaleString('en-GB')} trajectories of ${steps} monthly transitions starting from ${Utils.escapeHTML(startLabel)}.
+            Class frequencies weight each visited cluster by its class probabilities.</p>
+            <h4>Visit frequency</h4>
+            <div class="chart-container">${visitChart}</div>
+            <h4>Class frequency</h4>
+            <div class="chart-container chart-container-narrow">${classChart}</div>
+        `;
 
-        if (Number.isFinite(mfptTo)) {
-            this.mfptValue.textContent = `${mfptTo.toFixed(2)} months`;
-        } else {
-            this.mfptValue.textContent = 'N/A';
-        }
+        this.interactionManager.showModal(content, { title: 'Monte Carlo Simulation' });
     }
 
     // =========================================================================
@@ -582,6 +4418,8 @@ export class InteractiveSVGApp {
         Logger.debug('Loading all DAG affiliation matrices (levels 0-24)...');
         
         this.dagAffiliationData = {};
+        this.stopPlayback(this.dagPlaybackControls);
+        this.clearDAGDominantTimeline();
         const loadPromises = [];
         
         // Load matrices for levels 0-24 in parallel
@@ -602,12 +4440,15 @@ export class InteractiveSVGApp {
                     this.dagDateSlider.value = 0;
                     this.dagDateSlider.disabled = false;
                 }
+                this.setDateRangeControlsEnabled(this.dagDateRangeControls, true);
+                this.setPlaybackControlsEnabled(this.dagPlaybackControls, true);
                 
                 const loadedLevels = Object.keys(this.dagAffiliationData).length;
                 Logger.info(`DAG affiliation matrices loaded: ${loadedLevels}/25 levels, ${level0Data.dates.length} dates`);
                 
                 // Apply initial highlighting for the first date
                 this.onDAGDateSliderChange(0);
+                this.renderDAGDominantTimeline();
             } else {
                 Logger.warn('No valid affiliation data found for level 0');
                 this.disableDAGDateSlider();
@@ -665,6 +4506,7 @@ export class InteractiveSVGApp {
         const max = parseInt(this.dagDateSlider.max, 10);
 
         if (next < min || next > max) return;
+        if (!this.shiftDateRangeEnd(this.dagDateRangeControls, direction)) return;
 
         this.dagDateSlider.value = next;
         this.onDAGDateSliderChange(next);
@@ -687,45 +4529,65 @@ export class InteractiveSVGApp {
             return;
         }
 
-        // Update label with formatted date
-        const dateString = dates[dateIndex];
-        if (this.dagDateSliderLabel) {
-            this.dagDateSliderLabel.textContent = this.formatSliderDate(dateString);
-        }
+        // Update label with the formatted date, or the window in range mode
+        const dateWindow = this.labelDateSelection(this.dagDateRangeControls, this.dagDateSliderLabel, dates, dateIndex);
 
         // Update step button disabled states
-        this.updateDAGStepButtons(dateIndex, dates.length);
+        this.updateDAGStepButtons(dateIndex, dates.length, dateWindow);
+        this.updateDominantTimelineMarker(this.dagDominantTimeline, dateIndex);
+        this.writeDAGUrlState();
 
         // Apply highlighting to all DAG nodes
-        this.applyDAGDateHighlighting(dateIndex);
+        this.applyDAGDateHighlighting(dateIndex, dateWindow);
+        this.markDAGDominantNodes();
     }
 
     /**
      * Enable/disable the DAG prev/next step buttons based on current position.
      * @param {number} index - Current date index
      * @param {number} total - Total number of dates
+     * @param {Object|null} dateWindow - {start, end} in range mode, where the arrows shift the whole window
      */
-    updateDAGStepButtons(index, total) {
+    updateDAGStepButtons(index, total, dateWindow = null) {
+        const first = dateWindow ? dateWindow.start : index;
+        const last = dateWindow ? dateWindow.end : index;
+
         if (this.dagDateSliderPrev) {
-            this.dagDateSliderPrev.disabled = (index <= 0);
+            this.dagDateSliderPrev.disabled = (first <= 0);
         }
         if (this.dagDateSliderNext) {
-            this.dagDateSliderNext.disabled = (index >= total - 1);
+            this.dagDateSliderNext.disabled = (last >= total - 1);
         }
     }
 
     /**
-     * Apply brightness-based highlighting to DAG SVG nodes proportional to
-     * their affiliation probabilities. Each node uses its level's affiliation matrix.
+     * Highlight DAG SVG nodes by their affiliation probabilities, using the
+     * selected encoding. Each node uses its level's affiliation matrix.
      * @param {number} dateIndex - Index into the affiliations arrays
+     * @param {Object|null} dateWindow - {start, end, method} in range mode; the
+     *     per-level aggregates are kept in dagHighlightWindow for node tooltips
      */
-    applyDAGDateHighlighting(dateIndex) {
+    applyDAGDateHighlighting(dateIndex, dateWindow = null) {
         if (!this.currentDagSvgElement) return;
 
         // Get all DAG nodes using the DAG-specific selector
         const nodeSelector = 'path[fill-rule="nonzero"][stroke-linejoin="miter"]';
         const nodes = this.currentDagSvgElement.querySelectorAll(nodeSelector);
-        const scale = CONFIG.BRIGHTNESS_SCALE;
+
+        // Aggregates are computed once per level, on first use
+        const windowVectors = dateWindow ? {} : null;
+        const levelVector = level => {
+            const levelData = this.dagAffiliationData[level];
+            if (!levelData || !levelData.affiliations) return null;
+            if (!windowVectors) return levelData.affiliations[dateIndex] || null;
+
+            if (!(level in windowVectors)) {
+                windowVectors[level] = MarkovAnalytics.aggregateAffiliations(
+                    levelData.affiliations, dateWindow.start, dateWindow.end, dateWindow.method
+                );
+            }
+            return windowVectors[level];
+        };
 
         nodes.forEach((node, svgIndex) => {
             // Get the global ID for this SVG index from DAGInteractionManager's mapping
@@ -740,40 +4602,42 @@ export class InteractiveSVGApp {
                 return;
             }
 
-            const level = nodeData.level;
-            const localIdx = nodeData.localIdx;
-
-            // Get the affiliation data for this level
-            const levelData = this.dagAffiliationData[level];
-            if (!levelData || !levelData.affiliations || !levelData.affiliations[dateIndex]) {
-                node.style.filter = '';
+            const vector = levelVector(nodeData.level);
+            if (!vector) {
+                HighlightRenderer.clear(node);
                 return;
             }
 
             // Get the probability for this node (localIdx is 1-based, convert to 0-based array index)
-            const probability = levelData.affiliations[dateIndex][localIdx - 1];
+            const probability = vector[nodeData.localIdx - 1];
             if (typeof probability !== 'number' || isNaN(probability)) {
-                node.style.filter = '';
+                HighlightRenderer.clear(node);
                 return;
             }
 
-            const brightness = 1.0 + scale * probability;
-            node.style.filter = `brightness(${brightness.toFixed(3)})`;
+            HighlightRenderer.apply(node, probability, this.highlightEncoding);
         });
 
-        Logger.debug(`Applied DAG date highlighting for date index ${dateIndex}`);
+        this.dagHighlightWindow = dateWindow ? { ...dateWindow, vectors: windowVectors } : null;
+        this.showHighlightLegend(this.dagHighlightLegend,
+            dateWindow ? CONFIG.DATE_RANGE_AGGREGATES[dateWindow.method] : 'Affiliation probability');
+        Logger.debug(dateWindow
+            ? `Applied DAG ${dateWindow.method} highlighting for dates ${dateWindow.start}-${dateWindow.end}`
+            : `Applied DAG date highlighting for date index ${dateIndex}`);
     }
 
     /**
-     * Remove all brightness modifications from DAG SVG nodes.
+     * Remove all highlighting from DAG SVG nodes.
      */
     clearDAGDateHighlighting() {
+        this.dagHighlightWindow = null;
+        this.showHighlightLegend(this.dagHighlightLegend, null);
         if (!this.currentDagSvgElement) return;
 
         const nodeSelector = 'path[fill-rule="nonzero"][stroke-linejoin="miter"]';
         const nodes = this.currentDagSvgElement.querySelectorAll(nodeSelector);
         nodes.forEach(node => {
-            node.style.filter = '';
+            HighlightRenderer.clear(node);
         });
 
         Logger.debug('Cleared DAG date highlighting');
@@ -798,6 +4662,9 @@ export class InteractiveSVGApp {
         if (this.dagDateSliderNext) {
             this.dagDateSliderNext.disabled = true;
         }
+        this.clearDAGDominantTimeline();
+        this.setDateRangeControlsEnabled(this.dagDateRangeControls, false);
+        this.setPlaybackControlsEnabled(this.dagPlaybackControls, false);
     }
 
     // =========================================================================
@@ -966,6 +4833,18 @@ export class InteractiveSVGApp {
         this.updateDagProbabilityValue();
     }
 
+    selectDagProbabilityPair(levelN, nodeI, levelM, nodeJ) {
+        if (!this.dagProbLevelNSelect || this.dagProbLevelNSelect.disabled) return;
+
+        this.dagProbLevelNSelect.value = String(levelN);
+        this.handleDagProbabilityLevelNChange();
+        this.dagProbNodeISelect.value = String(nodeI);
+        this.dagProbLevelMSelect.value = String(levelM);
+        this.handleDagProbabilityLevelMChange();
+        this.dagProbNodeJSelect.value = String(nodeJ);
+        this.updateDagProbabilityValue();
+    }
+
     buildDagProbabilityCache(dagData) {
         if (!dagData?.graph?.nodes || !dagData?.graph?.links) {
             this.dagProbabilityCache = null;
@@ -976,12 +4855,12 @@ export class InteractiveSVGApp {
         const adjacency = Array.from({ length: totalNodes + 1 }, () => []);
         const indegree = new Array(totalNodes + 1).fill(0);
 
-        dagData.graph.links.forEach(link => {
+        dagData.graph.links.forEach((link, linkIndex) => {
             const source = link.source;
             const target = link.target;
             const weight = link.weight;
             const logWeight = (typeof weight === 'number' && weight > 0) ? Math.log(weight) : -Infinity;
-            adjacency[source].push({ target, logWeight });
+            adjacency[source].push({ target, logWeight, linkIndex });
             indegree[target] += 1;
         });
 
@@ -1012,7 +4891,7 @@ export class InteractiveSVGApp {
         };
     }
 
-    calculateDagCumulativeProbability(sourceId, targetId) {
+    calculateDagCumulativeProbability(sourceId, targetId, linkValues = null) {
         if (!this.dagProbabilityCache) return null;
 
         const { adjacency, topoOrder, totalNodes } = this.dagProbabilityCache;
@@ -1034,8 +4913,12 @@ export class InteractiveSVGApp {
             const currentLog = logp[node];
             if (currentLog === -Infinity) return;
             adjacency[node].forEach(edge => {
-                if (edge.logWeight === -Infinity) return;
-                const candidate = currentLog + edge.logWeight;
+                // Sampled link values replace the exported weights when given
+                const logWeight = linkValues && edge.logWeight !== -Infinity
+                    ? Math.log(linkValues[edge.linkIndex])
+                    : edge.logWeight;
+                if (logWeight === -Infinity) return;
+                const candidate = currentLog + logWeight;
                 logp[edge.target] = logsum2(logp[edge.target], candidate);
             });
         });
@@ -1044,8 +4927,45 @@ export class InteractiveSVGApp {
         return Number.isFinite(result) ? Math.exp(result) : 0;
     }
 
+    /**
+     * Index the DAG links for uncertainty sampling; samples are drawn on first use.
+     * @param {Object} dagData - DAG JSON data
+     */
+    buildDagUncertaintyModel(dagData) {
+        const links = dagData?.graph?.links;
+        if (!Array.isArray(links) || links.length === 0) {
+            this.dagUncertainty = null;
+            return;
+        }
+
+        const edgeIndex = new Map();
+        links.forEach((link, index) => edgeIndex.set(`${link.source}-${link.target}`, index));
+        this.dagUncertainty = { links, edgeIndex, samples: null };
+    }
+
+    /**
+     * Link weights sampled from the DAG link confidence intervals, one
+     * array per sample aligned with the DAG links.
+     * @returns {Array<Float64Array>|null}
+     */
+    getDagLinkSamples() {
+        if (!this.dagUncertainty) return null;
+
+        if (!this.dagUncertainty.samples) {
+            this.dagUncertainty.samples = UncertaintyEngine.sampleLinkValues(this.dagUncertainty.links, {
+                valueKey: 'weight',
+                sampleCount: CONFIG.UNCERTAINTY_SAMPLES,
+                z: CONFIG.UNCERTAINTY_CI_Z,
+                seed: CONFIG.UNCERTAINTY_SEED
+            });
+        }
+
+        return this.dagUncertainty.samples;
+    }
+
     updateDagProbabilityValue() {
         if (!this.dagProbValue) return;
+        this.writeDAGUrlState();
 
         const nodeI = parseInt(this.dagProbNodeISelect.value, 10);
         const levelN = parseInt(this.dagProbLevelNSelect.value, 10);
@@ -1064,7 +4984,14 @@ export class InteractiveSVGApp {
             const probability = this.calculateDagCumulativeProbability(sourceId, targetId);
 
             if (typeof probability === 'number') {
-                this.dagProbValue.textContent = probability.toFixed(2);
+                const samples = this.getDagLinkSamples();
+                const interval = samples && probability > 0
+                    ? UncertaintyEngine.percentileInterval(
+                        samples.map(values => this.calculateDagCumulativeProbability(sourceId, targetId, values)),
+                        CONFIG.UNCERTAINTY_COVERAGE
+                    )
+                    : null;
+                this.setValueWithInterval(this.dagProbValue, probability.toFixed(2), interval, 2);
             } else {
                 this.dagProbValue.textContent = 'N/A';
             }
@@ -1202,6 +5129,18 @@ export class InteractiveSVGApp {
         this.updateDagPathValue();
     }
 
+    selectDagPath(levelN, nodeI, levelM, nodeJ) {
+        if (!this.dagPathLevelNSelect || this.dagPathLevelNSelect.disabled) return;
+
+        this.dagPathLevelNSelect.value = String(levelN);
+        this.handleDagPathLevelNChange();
+        this.dagPathNodeISelect.value = String(nodeI);
+        this.dagPathLevelMSelect.value = String(levelM);
+        this.handleDagPathLevelMChange();
+        this.dagPathNodeJSelect.value = String(nodeJ);
+        this.updateDagPathValue();
+    }
+
     buildDagPathCache(dagData) {
         if (!dagData?.graph?.nodes || !dagData?.graph?.links) {
             this.dagPathCache = null;
@@ -1296,6 +5235,26 @@ export class InteractiveSVGApp {
         };
     }
 
+    /**
+     * Interval of the probability of a fixed path over the sampled link weights.
+     * @param {Array<number>} path - Global node ids from source to target
+     * @returns {{lower: number, upper: number, count: number}|null}
+     */
+    calculateDagPathInterval(path) {
+        const samples = this.getDagLinkSamples();
+        if (!samples || path.length < 2) return null;
+
+        const linkIndices = [];
+        for (let k = 1; k < path.length; k++) {
+            const index = this.dagUncertainty.edgeIndex.get(`${path[k - 1]}-${path[k]}`);
+            if (index === undefined) return null;
+            linkIndices.push(index);
+        }
+
+        const values = samples.map(sample => linkIndices.reduce((product, index) => product * sample[index], 1));
+        return UncertaintyEngine.percentileInterval(values, CONFIG.UNCERTAINTY_COVERAGE);
+    }
+
     buildDagPathHighlightMaps() {
         this.dagNodeElementMap = new Map();
         this.dagEdgeElementMap = new Map();
@@ -1346,11 +5305,11 @@ export class InteractiveSVGApp {
             }
 
             if (count === 0) return null;
-            return {
-                element,
+            const centre = this.dagInteractionManager.toRootUserSpace(element, {
                 x: (minX + maxX) / 2,
                 y: (minY + maxY) / 2
-            };
+            });
+            return { element, ...centre };
         }).filter(Boolean);
 
         const usedArrows = new Set();
@@ -1396,6 +5355,7 @@ export class InteractiveSVGApp {
         this.dagPathHighlightedNodes = [];
         this.dagPathHighlightedEdges = [];
         this.dagPathHighlightedArrows = [];
+        this.updateDagZoomPathButton();
     }
 
     applyDagPathHighlight(path) {
@@ -1426,10 +5386,13 @@ export class InteractiveSVGApp {
                 this.dagPathHighlightedArrows.push(arrowElement);
             }
         }
+
+        this.updateDagZoomPathButton();
     }
 
     updateDagPathValue() {
         if (!this.dagPathValue) return;
+        this.writeDAGUrlState();
 
         const nodeI = parseInt(this.dagPathNodeISelect.value, 10);
         const levelN = parseInt(this.dagPathLevelNSelect.value, 10);
@@ -1449,7 +5412,12 @@ export class InteractiveSVGApp {
             const result = this.calculateDagMostProbablePath(sourceId, targetId);
 
             if (result && Number.isFinite(result.totalProbability)) {
-                this.dagPathValue.textContent = result.totalProbability.toFixed(2);
+                this.setValueWithInterval(
+                    this.dagPathValue,
+                    result.totalProbability.toFixed(2),
+                    this.calculateDagPathInterval(result.path),
+                    2
+                );
                 this.applyDagPathHighlight(result.path);
             } else {
                 this.dagPathValue.textContent = 'none';
@@ -1462,10 +5430,328 @@ export class InteractiveSVGApp {
         }
     }
 
+    // =========================================================================
+    // DAG FORECAST VERIFICATION CONTROLS
+    // =========================================================================
+
+    initializeDagVerificationControls() {
+        this.dagVerificationRow = document.querySelector(SELECTORS.DAG_VERIFICATION_ROW);
+        this.dagVerificationButton = document.querySelector(SELECTORS.DAG_VERIFICATION_BUTTON);
+        this.dagVerificationValue = document.querySelector(SELECTORS.DAG_VERIFICATION_VALUE);
+        this.dagReliabilityButton = document.querySelector(SELECTORS.DAG_RELIABILITY_BUTTON);
+
+        if (!this.dagVerificationRow || !this.dagVerificationButton ||
+            !this.dagVerificationValue || !this.dagReliabilityButton) {
+            return;
+        }
+
+        this.resetDagVerificationControls();
+        this.setDagVerificationControlsEnabled(false);
+
+        this.dagVerificationButton.addEventListener('click', () => {
+            this.showDagVerificationChart();
+        });
+
+        this.dagReliabilityButton.addEventListener('click', () => {
+            this.showDagReliabilityDiagram();
+        });
+    }
+
+    setDagVerificationControlsEnabled(enabled) {
+        if (!this.dagVerificationRow || !this.dagVerificationButton || !this.dagReliabilityButton) return;
+
+        this.dagVerificationRow.classList.toggle('is-disabled', !enabled);
+        this.dagVerificationButton.disabled = !enabled;
+        this.dagReliabilityButton.disabled = !enabled;
+    }
+
+    resetDagVerificationControls() {
+        this.dagVerificationResults = null;
+        this.dagObservedClasses = null;
+        if (this.dagVerificationValue) {
+            this.dagVerificationValue.textContent = '\u2014';
+        }
+    }
+
+    /**
+     * Score the class forecasts of every lead-time level once the affiliation
+     * matrices are available, and summarise the best lead time in the row.
+     */
+    setupDagVerificationControls() {
+        if (!this.dagVerificationRow || !this.dagParser) return;
+
+        this.dagVerificationResults = this.computeDagVerification();
+        const scored = (this.dagVerificationResults || []).filter(result => result.count > 0);
+
+        if (scored.length === 0) {
+            this.dagVerificationValue.textContent = 'N/A';
+            this.setDagVerificationControlsEnabled(false);
+            return;
+        }
+
+        const best = scored.reduce((a, b) => ((b.rpsSkill ?? -Infinity) > (a.rpsSkill ?? -Infinity) ? b : a));
+        this.dagVerificationValue.textContent = best.rpsSkill !== null
+            ? `Best RPSS: ${best.rpsSkill.toFixed(3)} at ${best.leadTime} month${best.leadTime === 1 ? '' : 's'}`
+            : 'N/A';
+        this.setDagVerificationControlsEnabled(true);
+    }
+
+    /**
+     * Map each observed month to its level-0 class index and collect the
+     * climatological class probabilities.
+     * @returns {{observedByMonth: Map<string, number>, climatology: number[]}|null}
+     */
+    getDagObservedClasses() {
+        const observedByMonth = new Map();
+        const climatology = [0, 0, 0];
+
+        for (const globalIdKey of Object.keys(this.dagParser.getNodesAtLevel(0))) {
+            const globalId = parseInt(globalIdKey, 10);
+            const nodeData = this.dagParser.getNodeData(globalId);
+            if (!nodeData) continue;
+
+            // Observed class nodes are named after the ENSO classes; fall back to local order
+            const namedIndex = DAG_CONFIG.SPECIAL_CLASSES.indexOf(nodeData.clusterName);
+            const classIndex = namedIndex !== -1 ? namedIndex : nodeData.localIdx - 1;
+            if (classIndex < 0 || classIndex > 2) continue;
+
+            climatology[classIndex] = this.dagInteractionManager.calculateClimatologicalProbability(globalId);
+            (nodeData.dates || []).forEach(date => {
+                const key = ForecastVerification.monthKey(date);
+                if (key) observedByMonth.set(key, classIndex);
+            });
+        }
+
+        return observedByMonth.size > 0 ? { observedByMonth, climatology } : null;
+    }
+
+    /**
+     * Class probabilities of the clusters at a DAG level, indexed by local index - 1.
+     * @param {number} level - DAG level (lead time)
+     * @returns {Array<Array<number>>}
+     */
+    getDagLevelLambdas(level) {
+        const lambdas = [];
+        for (const globalIdKey of Object.keys(this.dagParser.getNodesAtLevel(level))) {
+            const nodeData = this.dagParser.getNodeData(parseInt(globalIdKey, 10));
+            if (!nodeData?.lambda) continue;
+            lambdas[nodeData.localIdx - 1] = [nodeData.lambda.laNina, nodeData.lambda.neutral, nodeData.lambda.elNino];
+        }
+        return lambdas;
+    }
+
+    /**
+     * Verify the class forecasts for every lead time with an affiliation matrix.
+     * @returns {Array<Object>|null} - One result per lead time (see ForecastVerification.verifyLeadTime)
+     */
+    computeDagVerification() {
+        const observed = this.getDagObservedClasses();
+        this.dagObservedClasses = observed;
+        if (!observed) {
+            Logger.warn('No observed classes at level 0; forecast verification unavailable');
+            return null;
+        }
+
+        const results = [];
+        for (let leadTime = CONFIG.MIN_LEAD_TIME; leadTime <= CONFIG.MAX_LEAD_TIME; leadTime++) {
+            const affiliationData = this.dagAffiliationData[leadTime];
+            if (!affiliationData) continue;
+
+            results.push(ForecastVerification.verifyLeadTime({
+                leadTime,
+                affiliationData,
+                lambdas: this.getDagLevelLambdas(leadTime),
+                observedByMonth: observed.observedByMonth,
+                climatology: observed.climatology
+            }));
+        }
+
+        Logger.debug(`Verified class forecasts for ${results.length} lead times`);
+        return results;
+    }
+
+    /**
+     * Show the skill-vs-lead-time chart and score table in the modal.
+     */
+    showDagVerificationChart() {
+        const results = (this.dagVerificationResults || []).filter(result => result.count > 0);
+        if (results.length === 0) return;
+
+        const leads = results.map(result => result.leadTime);
+        const chart = ChartUtils.lineChart([
+            { label: 'Brier skill score', className: 'series-0', values: results.map(r => r.brierSkill) },
+            { label: 'Ranked probability skill score', className: 'series-1', values: results.map(r => r.rpsSkill) }
+        ], {
+            xValues: leads,
+            xLabels: leads.map(String),
+            xLabel: 'Lead time (months)',
+            yLabel: 'Skill vs climatology',
+            referenceY: 0,
+            showPoints: true
+        });
+
+        const format = value => (value === null ? 'N/A' : value.toFixed(3));
+        const rows = results.map(r => `
+            <tr>
+                <td>${r.leadTime}</td>
+                <td>${r.count}</td>
+                <td>${format(r.brier)}</td>
+                <td>${format(r.brierClimatology)}</td>
+                <td>${format(r.brierSkill)}</td>
+                <td>${format(r.rps)}</td>
+                <td>${format(r.rpsClimatology)}</td>
+                <td>${format(r.rpsSkill)}</td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <p>For each lead time, the class forecast issued at date <i>t</i> (cluster affiliations at <i>t</i> weighted
+            by the clusters' class probabilities) is compared with the class observed at <i>t</i> + lead.
+            Skill is 1 &minus; score / climatological score, so values above zero beat climatology.</p>
+            <div class="chart-container">${chart}</div>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>Lead (months)</th>
+                        <th>Pairs</th>
+                        <th>Brier</th>
+                        <th>Brier (clim.)</th>
+                        <th>BSS</th>
+                        <th>RPS</th>
+                        <th>RPS (clim.)</th>
+                        <th>RPSS</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        this.dagInteractionManager.showModal(content, { title: 'Forecast Verification' });
+    }
+
+    /**
+     * Show reliability diagrams and sharpness histograms in the modal, with a
+     * lead-time selector to flip through the levels.
+     * @param {number|null} leadTime - Lead time to show first (default: first verified lead)
+     */
+    showDagReliabilityDiagram(leadTime = null) {
+        const leads = (this.dagVerificationResults || [])
+            .filter(result => result.count > 0)
+            .map(result => result.leadTime);
+        if (leads.length === 0 || !this.dagObservedClasses) return;
+
+        const selectedLead = leads.includes(leadTime) ? leadTime : leads[0];
+        const options = leads.map(lead =>
+            `<option value="${lead}"${lead === selectedLead ? ' selected' : ''}>${lead} month${lead === 1 ? '' : 's'}</option>`
+        ).join('');
+
+        const content = `
+            <div class="modal-controls">
+                <label for="reliability-lead-select"><strong>Lead time:</strong></label>
+                <div class="analysis-select-container">
+                    <select id="reliability-lead-select">${options}</select>
+                </div>
+            </div>
+            <div class="reliability-charts"></div>
+        `;
+
+        this.dagInteractionManager.showModal(content, { title: 'Reliability and Sharpness' });
+
+        const modalBody = this.dagInteractionManager.modalBody;
+        const leadSelect = modalBody.querySelector('#reliability-lead-select');
+        const chartsContainer = modalBody.querySelector('.reliability-charts');
+
+        leadSelect.addEventListener('change', () => {
+            chartsContainer.innerHTML = this.renderDagReliabilityCharts(parseInt(leadSelect.value, 10));
+        });
+        chartsContainer.innerHTML = this.renderDagReliabilityCharts(selectedLead);
+    }
+
+    /**
+     * Build the reliability diagram and sharpness histogram for one lead time.
+     * @param {number} leadTime - Lead time in months
+     * @returns {string} - HTML markup
+     */
+    renderDagReliabilityCharts(leadTime) {
+        const affiliationData = this.dagAffiliationData[leadTime];
+        if (!affiliationData || !this.dagObservedClasses) {
+            return '<p>No affiliation data available for this lead time.</p>';
+        }
+
+        const pairs = ForecastVerification.collectForecastPairs({
+            leadTime,
+            affiliationData,
+            lambdas: this.getDagLevelLambdas(leadTime),
+            observedByMonth: this.dagObservedClasses.observedByMonth
+        });
+
+        const binCount = CONFIG.RELIABILITY_BIN_COUNT;
+        const binsByClass = CONFIG.ENSO_CLASSES.map((_, c) => ForecastVerification.reliability(pairs, c, binCount));
+
+        const reliabilityChart = ChartUtils.lineChart(
+            CONFIG.ENSO_CLASSES.map((label, c) => ({
+                label,
+                className: CONFIG.ENSO_CLASS_CSS[c],
+                xValues: binsByClass[c].map(bin => bin.meanForecast),
+                values: binsByClass[c].map(bin => bin.observedFrequency)
+            })),
+            {
+                xMin: 0,
+                xMax: 1,
+                yMin: 0,
+                yMax: 1,
+                xTicks: [0, 0.2, 0.4, 0.6, 0.8, 1],
+                xLabel: 'Forecast probability',
+                yLabel: 'Observed frequency',
+                showDiagonal: true,
+                showPoints: true,
+                height: 320
+            }
+        );
+
+        const binLabels = binsByClass[0].map(bin => `${bin.lower.toFixed(1)}\u2013${bin.upper.toFixed(1)}`);
+        const sharpnessChart = ChartUtils.groupedBarChart(
+            binLabels,
+            CONFIG.ENSO_CLASSES.map((label, c) => ({
+                label,
+                className: CONFIG.ENSO_CLASS_CSS[c],
+                values: binsByClass[c].map(bin => bin.count)
+            })),
+            {
+                xLabel: 'Forecast probability',
+                yLabel: 'Forecasts'
+            }
+        );
+
+        return `
+            <p>${pairs.length} forecasts issued at date <i>t</i> verified against the class observed at <i>t</i> + ${leadTime}
+            month${leadTime === 1 ? '' : 's'}. Points on the diagonal are perfectly reliable; the histogram shows how
+            often each probability is forecast (sharpness).</p>
+            <h4>Reliability diagram</h4>
+            <div class="chart-container">${reliabilityChart}</div>
+            <h4>Sharpness histogram</h4>
+            <div class="chart-container">${sharpnessChart}</div>
+        `;
+    }
+
     // =========================================================================
     // DAG SECTION METHODS
     // =========================================================================
 
+    /**
+     * Load the DAG for a season selection. Only the combined ("All") DAG is
+     * published so far.
+     * @param {Object} finalSelection - Selection from UIController.buildSeasonOnlySelection
+     */
+    async loadDAGSelection(finalSelection) {
+        if (finalSelection.seasonValue !== 'all') {
+            this.showDAGError(`Season-specific DAG visualisations are not yet available. Please select "All" to view the combined DAG visualisation.`);
+            return;
+        }
+        this.hideDAGError();
+        await this.loadDAGSVG(finalSelection.finalFilename);
+    }
+
     async loadDAGSVG(filename) {
         if (!this.isInitialized) {
             Logger.error('App not initialized');
@@ -1482,6 +5768,12 @@ export class InteractiveSVGApp {
             this.setDagProbabilityControlsEnabled(false);
             this.resetDagPathControls();
             this.setDagPathControlsEnabled(false);
+            this.resetDagVerificationControls();
+            this.setDagVerificationControlsEnabled(false);
+            this.setNodeSearchEnabled(this.dagNodeSearchControls, false);
+            this.dagViewport = null;
+            this.setDAGViewControlsEnabled(false);
+            this.dagUncertainty = null;
             
             // Load and validate DAG data
             Logger.debug('Loading DAG data and validation...');
@@ -1530,18 +5822,23 @@ export class InteractiveSVGApp {
             // Setup DAG interactions
             Logger.debug('Setting up DAG interactions...');
             this.dagInteractionManager.setupDAGInteractions(svgElement);
+            this.setNodeSearchEnabled(this.dagNodeSearchControls, true);
 
+            this.buildDagUncertaintyModel(dagData);
             this.setupDagProbabilityControls(kMaxData, dagData);
             this.setupDagPathControls(kMaxData, dagData);
             
             // Hide loading and show content
             this.hideDAGLoading();
             dagContainer.style.display = 'block';
+            this.setupDAGViewport(svgElement, dagContainer);
             
             Logger.info('DAG visualization loaded successfully');
             
             // Load affiliation matrices for all levels (0-24)
             await this.loadAllDAGAffiliationMatrices();
+            this.setupDagVerificationControls();
+            this.writeDAGUrlState();
             
             // Log validation results
             if (validationResults.mp4Validation) {
@@ -1565,6 +5862,7 @@ export class InteractiveSVGApp {
             this.showDAGError('Failed to load DAG visualisation: ' + error.message);
             this.setDagProbabilityControlsEnabled(false);
             this.setDagPathControlsEnabled(false);
+            this.setDagVerificationControlsEnabled(false);
         }
     }
 
@@ -1924,6 +6222,179 @@ export class InteractiveSVGApp {
         }
     }
 
+    // =========================================================================
+    // SHAREABLE LINKS (URL STATE)
+    // =========================================================================
+    // Each page mirrors its view into the query string (see UrlState) and
+    // restores it when it is opened from a link. Node modals are recorded by
+    // the node's index in the figure (node-{index}).
+
+    /**
+     * Write the Markov chain view (lead time, date, MFPT pair and open node
+     * modal) into the address
+     */
+    writeMarkovUrlState() {
+        const nodeI = this.mfptNodeISelect?.value;
+        const nodeJ = this.mfptNodeJSelect?.value;
+        const openNodeKey = this.interactionManager.openNodeKey;
+
+        UrlState.write({
+            lead: this.currentSvgElement ? this.svgLoader.getCurrentLeadTime() : null,
+            date: this.dateSlider && !this.dateSlider.disabled ? this.dateSlider.value : null,
+            mfpt: nodeI && nodeJ ? `${nodeI}-${nodeJ}` : null,
+            node: openNodeKey ? openNodeKey.replace('node-', '') : null
+        });
+    }
+
+    /**
+     * Write the DAG view (season, date, cumulative probability and path
+     * selections and open node modal) into the address
+     */
+    writeDAGUrlState() {
+        const openNodeKey = this.dagInteractionManager.openNodeKey;
+
+        UrlState.write({
+            season: this.currentDagSvgElement ? this.dagUiController?.getSelectedSeason()?.value : null,
+            date: this.dagDateSlider && !this.dagDateSlider.disabled ? this.dagDateSlider.value : null,
+            prob: this.formatDagSelectionParam(
+                this.dagProbLevelNSelect, this.dagProbNodeISelect, this.dagProbLevelMSelect, this.dagProbNodeJSelect
+            ),
+            path: this.formatDagSelectionParam(
+                this.dagPathLevelNSelect, this.dagPathNodeISelect, this.dagPathLevelMSelect, this.dagPathNodeJSelect
+            ),
+            node: openNodeKey ? openNodeKey.replace('node-', '') : null
+        });
+    }
+
+    /**
+     * Address value of a DAG from/to selection, "n.i-m.j" for cluster i at
+     * n months to cluster j at m months
+     * @param {HTMLSelectElement} levelNSelect - Source level select
+     * @param {HTMLSelectElement} nodeISelect - Source cluster select
+     * @param {HTMLSelectElement} levelMSelect - Target level select
+     * @param {HTMLSelectElement} nodeJSelect - Target cluster select
+     * @returns {string|null} - null unless all four are selected
+     */
+    formatDagSelectionParam(levelNSelect, nodeISelect, levelMSelect, nodeJSelect) {
+        const values = [levelNSelect, nodeISelect, levelMSelect, nodeJSelect].map(select => select?.value);
+        if (!values.every(value => value)) return null;
+        return `${values[0]}.${values[1]}-${values[2]}.${values[3]}`;
+    }
+
+    /**
+     * Move a date slider to a restored index
+     * @param {HTMLInputElement} slider - Date slider
+     * @param {number|null} dateIndex - Restored index
+     * @param {Function} onChange - Slider change handler
+     */
+    restoreDateSlider(slider, dateIndex, onChange) {
+        if (!slider || slider.disabled || dateIndex === null) return;
+        if (dateIndex < parseInt(slider.min, 10) || dateIndex > parseInt(slider.max, 10)) return;
+
+        slider.value = dateIndex;
+        onChange(dateIndex);
+    }
+
+    /**
+     * Restore the Markov chain view from the address: load the lead time,
+     * then set the date, the MFPT pair and open the node modal
+     */
+    async restoreMarkovUrlState() {
+        const params = UrlState.read();
+        const option = this.uiController.getOptionByLeadTime(UrlState.getInt(params, 'lead'));
+        if (!option) return;
+
+        this.uiController.setSelectedSvg(option);
+        await this.loadSVG(this.uiController.buildFinalSelection().finalFilename);
+        if (!this.currentSvgElement) return;
+
+        this.restoreDateSlider(this.dateSlider, UrlState.getInt(params, 'date'),
+            dateIndex => this.onDateSliderChange(dateIndex));
+
+        const mfpt = UrlState.getInts(params, 'mfpt', 2);
+        if (mfpt) {
+            this.selectMfptPair(mfpt[0], mfpt[1]);
+        }
+
+        const node = UrlState.getInt(params, 'node');
+        if (node !== null && this.svgParser.getNodeData(`node-${node}`)) {
+            await this.interactionManager.showNodeModal(`node-${node}`);
+        }
+    }
+
+    /**
+     * Restore the DAG view from the address: load the season, then set the
+     * date, the probability and path selections and open the node modal
+     */
+    async restoreDAGUrlState() {
+        const params = UrlState.read();
+        const season = params.get('season');
+        const option = this.dagUiController.seasonOptions.find(opt => opt.value === season);
+        if (!option) return;
+
+        this.dagUiController.setSelectedSeason(option);
+        await this.loadDAGSelection(this.dagUiController.buildSeasonOnlySelection());
+        if (!this.currentDagSvgElement) return;
+
+        this.restoreDateSlider(this.dagDateSlider, UrlState.getInt(params, 'date'),
+            dateIndex => this.onDAGDateSliderChange(dateIndex));
+
+        const prob = UrlState.getInts(params, 'prob', 4);
+        if (prob) {
+            this.selectDagProbabilityPair(...prob);
+        }
+
+        const path = UrlState.getInts(params, 'path', 4);
+        if (path) {
+            this.selectDagPath(...path);
+        }
+
+        const node = UrlState.getInt(params, 'node');
+        if (node !== null && this.dagInteractionManager.svgIndexToGlobalId[node] !== undefined) {
+            await this.dagInteractionManager.showNodeModal(`node-${node}`);
+        }
+    }
+
+    /**
+     * Restore the case study target (year and month) from the address and load it
+     */
+    async restoreCaseStudyUrlState() {
+        const params = UrlState.read();
+        const controller = this.caseStudyController;
+        const year = controller.yearOptions.find(opt => opt.value === UrlState.getInt(params, 'year'));
+        const month = controller.monthOptions.find(opt => opt.value === UrlState.getInt(params, 'month'));
+        if (!year || !month) return;
+
+        controller.selectYearOption(year);
+        controller.selectMonthOption(month);
+        const caseStudyData = controller.buildCaseStudyData();
+        if (caseStudyData) {
+            await this.loadCaseStudy(caseStudyData);
+        }
+    }
+
+    /**
+     * Restore the precursor selection (season, class and plot type) from the
+     * address and load it
+     */
+    async restorePrecursorUrlState() {
+        const params = UrlState.read();
+        const controller = this.precursorPlotsController;
+        const season = controller.seasonOptions.find(opt => opt.value === params.get('season'));
+        const targetClass = controller.classOptions.find(opt => opt.value === params.get('class'));
+        if (!season || !targetClass) return;
+
+        controller.selectSeasonOption(season);
+        controller.selectClassOption(targetClass);
+        if (params.has('type')) {
+            controller.selectType(params.get('type'));
+        }
+        const selectionData = controller.buildSelectionData();
+        if (selectionData) {
+            await this.loadPrecursorPlots(selectionData);
+        }
+    }
+
     /**
      * Initialize only the Markov Chain section (for markov-chain.html page)
      */
@@ -1946,17 +6417,38 @@ export class InteractiveSVGApp {
             this.dateSliderLabel = document.querySelector(SELECTORS.DATE_SLIDER_LABEL);
             this.dateSliderPrev = document.querySelector(SELECTORS.DATE_SLIDER_PREV);
             this.dateSliderNext = document.querySelector(SELECTORS.DATE_SLIDER_NEXT);
+            this.classForecastBars = document.querySelector(SELECTORS.CLASS_FORECAST_BARS);
+            this.classForecastSeriesButton = document.querySelector(SELECTORS.CLASS_FORECAST_SERIES_BUTTON);
             this.setupDateSlider();
+            this.initializeNodeSearch();
+            this.initializeHighlightControls();
+            this.initializeDateRangeControls();
+            this.initializePlaybackControls();
+            this.initializeDominantTimeline();
+            this.initializeHeatmapControls();
             this.initializeMFPTControls();
+            this.initializeCommittorControls();
+            this.initializeStationaryControls();
+            this.initializeSpectralControls();
+            this.initializeReversibilityControls();
+            this.initializeLumpedControls();
+            this.initializeConsistencyControls();
+            this.initializeChainSummaryControls();
+            this.initializeForecastControls();
+            this.initializeSimulationControls();
 
             // Set up Markov Chain callbacks
             this.uiController.setOnSvgSelectedCallback((finalSelection) => {
                 this.loadSVG(finalSelection.finalFilename);
             });
+            this.interactionManager.onOpenNodeChange = () => this.writeMarkovUrlState();
 
             this.isInitialized = true;
             Logger.info('Markov Chain section initialized successfully');
 
+            // Reopen the view of a shared link
+            await this.restoreMarkovUrlState();
+
         } catch (error) {
             Logger.error('Failed to initialize Markov Chain section:', error);
             this.showError('Failed to initialise Markov Chain section: ' + error.message);
@@ -1994,23 +6486,28 @@ export class InteractiveSVGApp {
             this.dagDateSliderPrev = document.querySelector(SELECTORS.DAG_DATE_SLIDER_PREV);
             this.dagDateSliderNext = document.querySelector(SELECTORS.DAG_DATE_SLIDER_NEXT);
             this.setupDAGDateSlider();
+            this.initializeDAGNodeSearch();
+            this.initializeDAGViewControls();
+            this.initializeDAGHighlightControls();
+            this.initializeDAGDateRangeControls();
+            this.initializeDAGPlaybackControls();
+            this.initializeDAGDominantTimeline();
             this.initializeDagProbabilityControls();
             this.initializeDagPathControls();
+            this.initializeDagVerificationControls();
 
             // Set up DAG callbacks
             this.dagUiController.setOnSvgSelectedCallback((finalSelection) => {
-                // Check if season other than "All" is selected
-                if (finalSelection.seasonValue !== 'all') {
-                    this.showDAGError(`Season-specific DAG visualisations are not yet available. Please select "All" to view the combined DAG visualisation.`);
-                    return;
-                }
-                this.hideDAGError();
-                this.loadDAGSVG(finalSelection.finalFilename);
+                this.loadDAGSelection(finalSelection);
             });
+            this.dagInteractionManager.onOpenNodeChange = () => this.writeDAGUrlState();
 
             this.isInitialized = true;
             Logger.info('DAG section initialized successfully');
 
+            // Reopen the view of a shared link
+            await this.restoreDAGUrlState();
+
         } catch (error) {
             Logger.error('Failed to initialize DAG section:', error);
             this.showDAGError('Failed to initialise DAG section: ' + error.message);
@@ -2041,6 +6538,9 @@ export class InteractiveSVGApp {
             this.isInitialized = true;
             Logger.info('Case Study section initialized successfully');
 
+            // Reopen the case study of a shared link
+            await this.restoreCaseStudyUrlState();
+
         } catch (error) {
             Logger.error('Failed to initialize Case Study section:', error);
             this.showCaseStudyError('Failed to initialize Case Study section: ' + error.message);
@@ -2066,6 +6566,9 @@ export class InteractiveSVGApp {
 
             this.isInitialized = true;
             Logger.info('Precursor Plots section initialized successfully');
+
+            // Reopen the selection of a shared link
+            await this.restorePrecursorUrlState();
         } catch (error) {
             Logger.error('Failed to initialize Precursor Plots section:', error);
             this.showPrecursorError('Failed to initialize Precursor Plots section: ' + error.message);
@@ -2109,6 +6612,7 @@ export class InteractiveSVGApp {
             
             // Files exist, display the case study
             this.caseStudyController.displayCaseStudy(caseStudyData);
+            UrlState.write({ year: caseStudyData.target.year, month: caseStudyData.target.month });
             
             Logger.info('Case study loaded successfully:', {
                 target: caseStudyData.target.displayString
@@ -2151,6 +6655,11 @@ export class InteractiveSVGApp {
             }
 
             this.precursorPlotsController.displayPrecursorPlots(selectionData);
+            UrlState.write({
+                season: selectionData.target.season,
+                class: selectionData.target.class,
+                type: selectionData.target.type
+            });
             Logger.info('Precursor plots loaded successfully');
         } catch (error) {
             Logger.error('Failed to load precursor plots:', error);
@@ -2204,6 +6713,8 @@ export class InteractiveSVGApp {
             dagSvgContainer.style.display = 'none';
             dagSvgContainer.innerHTML = '';
         }
+        this.dagViewport = null;
+        this.setDAGViewControlsEnabled(false);
     }
 }
 
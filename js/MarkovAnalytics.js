@@ -0,0 +1,902 @@
+// Markov Analytics - Numerical routines for the Markov chain transition graphs
+// Builds transition matrices from JSON links and derives chain-level quantities
+
+import { Logger } from './Logger.js';
+
+export class MarkovAnalytics {
+
+    /**
+     * Build a row-stochastic transition matrix from JSON links
+     * @param {Array<Object>} links - Links with 1-based source/target ids and a probability
+     * @param {number} nodeCount - Number of clusters in the chain
+     * @returns {Array<Array<number>>} - nodeCount x nodeCount matrix (0-based indices)
+     */
+    static buildTransitionMatrix(links, nodeCount) {
+        const matrix = Array.from({ length: nodeCount }, () => new Array(nodeCount).fill(0));
+
+        for (const link of links || []) {
+            const i = link.source - 1;
+            const j = link.target - 1;
+            if (i < 0 || i >= nodeCount || j < 0 || j >= nodeCount) {
+                Logger.warn(`Skipping link ${link.source} -> ${link.target}: outside ${nodeCount} clusters`);
+                continue;
+            }
+            if (typeof link.probability === 'number') {
+                matrix[i][j] += link.probability;
+            }
+        }
+
+        // Renormalise rows so that rounding in the exported probabilities
+        // does not leak or create probability mass
+        matrix.forEach((row, i) => {
+            const sum = row.reduce((acc, value) => acc + value, 0);
+            if (sum > 0) {
+                for (let j = 0; j < nodeCount; j++) {
+                    row[j] /= sum;
+                }
+            } else {
+                Logger.warn(`Cluster ${i + 1} has no outgoing links; treating it as absorbing`);
+                row[i] = 1;
+            }
+        });
+
+        return matrix;
+    }
+
+    /**
+     * Propagate a distribution through the chain: v_k = v_{k-1} P
+     * @param {Array<number>} vector - Initial distribution over clusters
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {number} steps - Number of transitions to apply
+     * @returns {Array<Array<number>>} - Distributions for k = 0..steps
+     */
+    static propagateDistribution(vector, P, steps) {
+        const n = P.length;
+        const history = [Array.from({ length: n }, (_, i) => vector[i] || 0)];
+
+        for (let k = 1; k <= steps; k++) {
+            const previous = history[k - 1];
+            const next = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                if (previous[i] === 0) continue;
+                for (let j = 0; j < n; j++) {
+                    next[j] += previous[i] * P[i][j];
+                }
+            }
+            history.push(next);
+        }
+
+        return history;
+    }
+
+    /**
+     * Combine an affiliation vector with the per-cluster ENSO class
+     * probabilities: p(class) = sum_i affiliation_i * lambda_i(class)
+     * @param {Array<number>} affiliation - Affiliation probabilities, one per cluster
+     * @param {Array<Array<number>>} lambdas - [La Nina, Neutral, El Nino] per cluster
+     * @returns {Array<number>|null} - Class probabilities, or null if the vector is empty
+     */
+    static classForecast(affiliation, lambdas) {
+        if (!Array.isArray(affiliation)) return null;
+
+        const forecast = [0, 0, 0];
+        let total = 0;
+
+        affiliation.forEach((weight, i) => {
+            const lambda = lambdas[i];
+            if (!lambda || !Number.isFinite(weight) || weight <= 0) return;
+            for (let c = 0; c < 3; c++) {
+                forecast[c] += weight * lambda[c];
+            }
+            total += weight;
+        });
+
+        // Affiliations may not sum exactly to one after export rounding
+        return total > 0 ? forecast.map(value => value / total) : null;
+    }
+
+    /**
+     * Most probable cluster of each affiliation vector
+     * @param {Array<Array<number>>} affiliations - Affiliation vectors, one per date
+     * @returns {Array<{cluster: number, probability: number}|null>} - 0-based argmax per date
+     *     (null where the vector holds no positive probability)
+     */
+    static dominantClusters(affiliations) {
+        return affiliations.map(vector => {
+            if (!Array.isArray(vector)) return null;
+
+            let cluster = -1;
+            let probability = 0;
+            vector.forEach((p, i) => {
+                if (Number.isFinite(p) && p > probability) {
+                    cluster = i;
+                    probability = p;
+                }
+            });
+
+            return cluster >= 0 ? { cluster, probability } : null;
+        });
+    }
+
+    /**
+     * Combine the affiliation vectors of a window of dates into one vector
+     * @param {Array<Array<number>>} affiliations - Affiliation vectors, one per date
+     * @param {number} start - First date index of the window
+     * @param {number} end - Last date index of the window (inclusive)
+     * @param {string} method - 'mean' (mean affiliation), 'max' (largest affiliation) or
+     *     'dominant' (fraction of the window's months in which the cluster is the most probable)
+     * @returns {Array<number>|null} - Aggregate per cluster, or null if the window holds no vectors
+     */
+    static aggregateAffiliations(affiliations, start, end, method = 'mean') {
+        const first = Math.max(start, 0);
+        const window = affiliations.slice(first, Math.min(end, affiliations.length - 1) + 1)
+            .filter(vector => Array.isArray(vector));
+        if (window.length === 0) return null;
+
+        const result = new Array(window[0].length).fill(0);
+
+        if (method === 'dominant') {
+            MarkovAnalytics.dominantClusters(window).forEach(entry => {
+                if (entry && entry.cluster < result.length) result[entry.cluster]++;
+            });
+            return result.map(count => count / window.length);
+        }
+
+        window.forEach(vector => {
+            vector.forEach((p, i) => {
+                if (i >= result.length || !Number.isFinite(p)) return;
+                result[i] = method === 'max' ? Math.max(result[i], p) : result[i] + p;
+            });
+        });
+
+        return method === 'max' ? result : result.map(total => total / window.length);
+    }
+
+    /**
+     * Draw an index with probability proportional to its weight
+     * @param {Array<number>} weights - Non-negative weights
+     * @param {Function} random - Uniform [0, 1) generator
+     * @returns {number} - Sampled index
+     */
+    static sampleIndex(weights, random = Math.random) {
+        const total = weights.reduce((sum, w) => sum + (w > 0 ? w : 0), 0);
+        let threshold = random() * total;
+
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] <= 0) continue;
+            threshold -= weights[i];
+            if (threshold < 0) return i;
+        }
+
+        // Round-off: return the last index with positive weight
+        for (let i = weights.length - 1; i >= 0; i--) {
+            if (weights[i] > 0) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Simulate one trajectory of the chain
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {number} start - Initial cluster (0-based)
+     * @param {number} steps - Number of transitions
+     * @param {Function} random - Uniform [0, 1) generator
+     * @returns {Array<number>} - Visited clusters, length steps + 1
+     */
+    static simulatePath(P, start, steps, random = Math.random) {
+        const path = [start];
+        for (let k = 0; k < steps; k++) {
+            path.push(MarkovAnalytics.sampleIndex(P[path[k]], random));
+        }
+        return path;
+    }
+
+    /**
+     * Solve the dense linear system A x = b using Gaussian elimination
+     * with partial pivoting
+     * @param {Array<Array<number>>} A - Square coefficient matrix (not modified)
+     * @param {Array<number>} b - Right-hand side (not modified)
+     * @returns {Array<number>|null} - Solution vector, or null if A is singular
+     */
+    static solveLinearSystem(A, b) {
+        const n = A.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) {
+                    pivot = row;
+                }
+            }
+
+            if (Math.abs(M[pivot][col]) < 1e-12) {
+                return null;
+            }
+
+            if (pivot !== col) {
+                [M[pivot], M[col]] = [M[col], M[pivot]];
+            }
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                if (factor === 0) continue;
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+
+        return x;
+    }
+
+    /**
+     * Compute mean first passage times m_ij: the expected number of steps to
+     * first reach cluster j when starting from cluster i (see meanFirstPassageTimesTo).
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @returns {Array<Array<number|null>>} - n x n matrix with zero diagonal;
+     *     null where j cannot be reached from i with certainty
+     */
+    static meanFirstPassageTimes(P) {
+        const n = P.length;
+        const mfpt = Array.from({ length: n }, () => new Array(n).fill(null));
+
+        for (let j = 0; j < n; j++) {
+            const times = MarkovAnalytics.meanFirstPassageTimesTo(P, j);
+            if (!times) {
+                mfpt[j][j] = 0;
+                Logger.warn(`Cluster ${j + 1} is not reachable from every cluster; MFPTs to it are undefined`);
+                continue;
+            }
+            times.forEach((value, i) => {
+                mfpt[i][j] = value;
+            });
+        }
+
+        return mfpt;
+    }
+
+    /**
+     * Mean first passage times into a single target cluster j, solving
+     * (I - Q) m = 1 where Q is P without row and column j
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {number} j - Target cluster (0-based)
+     * @returns {Array<number|null>|null} - Time from every cluster (0 for j itself),
+     *     or null if the system is singular
+     */
+    static meanFirstPassageTimesTo(P, j) {
+        const n = P.length;
+        const others = [];
+        for (let i = 0; i < n; i++) {
+            if (i !== j) others.push(i);
+        }
+
+        const A = others.map(row => others.map(col => (row === col ? 1 : 0) - P[row][col]));
+        const b = new Array(others.length).fill(1);
+        const solution = MarkovAnalytics.solveLinearSystem(A, b);
+        if (!solution) return null;
+
+        const times = new Array(n).fill(null);
+        times[j] = 0;
+        others.forEach((i, k) => {
+            times[i] = solution[k] >= 0 ? solution[k] : null;
+        });
+        return times;
+    }
+
+    /**
+     * Mean exit (sojourn) times: expected number of steps spent in cluster i
+     * before leaving it, 1 / (1 - P_ii)
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @returns {Array<number|null>} - One value per cluster; null for absorbing clusters
+     */
+    static meanExitTimes(P) {
+        return P.map((row, i) => (row[i] < 1 ? 1 / (1 - row[i]) : null));
+    }
+
+    /**
+     * Derive the per-cluster passage times exported with newer transition graphs:
+     * mean return times (1 / pi_i, Kac's lemma), mean exit times and the MFPT matrix
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @returns {{meanReturn: Array<number|null>, meanExit: Array<number|null>, mfpt: Array<Array<number|null>>}}
+     */
+    static deriveNodeTimes(P) {
+        const pi = MarkovAnalytics.stationaryDistribution(P);
+
+        return {
+            meanReturn: P.map((_, i) => (pi && pi[i] > 0 ? 1 / pi[i] : null)),
+            meanExit: MarkovAnalytics.meanExitTimes(P),
+            mfpt: MarkovAnalytics.meanFirstPassageTimes(P)
+        };
+    }
+
+    /**
+     * Forward committor q_i: probability of reaching set B before set A when
+     * starting from cluster i (q = 0 on A, q = 1 on B). Solves
+     * (I - P_CC) q_C = P_CB 1 over the remaining clusters C.
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {Array<number>} setA - 0-based cluster indices of set A
+     * @param {Array<number>} setB - 0-based cluster indices of set B
+     * @returns {Array<number>|null} - Committor per cluster, or null if undefined
+     */
+    static committor(P, setA, setB) {
+        const n = P.length;
+        const inA = new Set(setA);
+        const inB = new Set(setB);
+        const others = [];
+        for (let i = 0; i < n; i++) {
+            if (!inA.has(i) && !inB.has(i)) others.push(i);
+        }
+
+        const q = new Array(n).fill(0);
+        setB.forEach(i => { q[i] = 1; });
+        if (others.length === 0) return q;
+
+        const A = others.map(row => others.map(col => (row === col ? 1 : 0) - P[row][col]));
+        const b = others.map(row => setB.reduce((sum, j) => sum + P[row][j], 0));
+        const solution = MarkovAnalytics.solveLinearSystem(A, b);
+
+        if (!solution) {
+            Logger.warn('Committor is undefined: some clusters cannot reach set A or set B');
+            return null;
+        }
+
+        others.forEach((i, k) => {
+            q[i] = Math.min(Math.max(solution[k], 0), 1);
+        });
+        return q;
+    }
+
+    /**
+     * Index of the most probable ENSO class of each cluster
+     * @param {Array<Array<number>|null>} lambdas - [La Nina, Neutral, El Nino] per cluster
+     * @returns {Array<number|null>} - 0 La Nina, 1 Neutral, 2 El Nino; null without lambda
+     */
+    static dominantClasses(lambdas) {
+        return lambdas.map(lambda => (lambda ? lambda.indexOf(Math.max(...lambda)) : null));
+    }
+
+    /**
+     * Compute the stationary distribution pi of a transition matrix, i.e.
+     * the solution of pi P = pi with sum(pi) = 1
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @returns {Array<number>|null} - Stationary distribution, or null if it is not unique
+     */
+    static stationaryDistribution(P) {
+        const n = P.length;
+        if (n === 0) return null;
+
+        // Transpose of (P - I), with the last equation replaced by the normalisation
+        const A = Array.from({ length: n }, (_, i) =>
+            Array.from({ length: n }, (_, j) => P[j][i] - (i === j ? 1 : 0))
+        );
+        const b = new Array(n).fill(0);
+        A[n - 1] = new Array(n).fill(1);
+        b[n - 1] = 1;
+
+        const pi = MarkovAnalytics.solveLinearSystem(A, b);
+        if (!pi) {
+            Logger.warn('Stationary distribution is not unique (chain is not irreducible)');
+            return null;
+        }
+
+        // Clip round-off negatives and renormalise
+        const clipped = pi.map(value => Math.max(0, value));
+        const total = clipped.reduce((acc, value) => acc + value, 0);
+        return total > 0 ? clipped.map(value => value / total) : null;
+    }
+
+    /**
+     * Eigenvalues of a general real matrix: reduction to upper Hessenberg form
+     * by stabilised elimination, then the shifted QR algorithm (after the
+     * EISPACK elmhes/hqr routines)
+     * @param {Array<Array<number>>} P - Square matrix
+     * @returns {Array<{re: number, im: number}>|null} - Eigenvalues, or null if QR fails to converge
+     */
+    static eigenvalues(P) {
+        const n = P.length;
+        // 1-based working copy, as in the reference routines
+        const a = Array.from({ length: n + 1 }, (_, i) =>
+            Array.from({ length: n + 1 }, (_, j) => (i > 0 && j > 0 ? P[i - 1][j - 1] : 0))
+        );
+
+        for (let m = 2; m < n; m++) {
+            let x = 0;
+            let pivot = m;
+            for (let j = m; j <= n; j++) {
+                if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                    x = a[j][m - 1];
+                    pivot = j;
+                }
+            }
+            if (pivot !== m) {
+                for (let j = m - 1; j <= n; j++) [a[pivot][j], a[m][j]] = [a[m][j], a[pivot][j]];
+                for (let j = 1; j <= n; j++) [a[j][pivot], a[j][m]] = [a[j][m], a[j][pivot]];
+            }
+            if (x !== 0) {
+                for (let i = m + 1; i <= n; i++) {
+                    let y = a[i][m - 1];
+                    if (y === 0) continue;
+                    y /= x;
+                    a[i][m - 1] = 0;
+                    for (let j = m; j <= n; j++) a[i][j] -= y * a[m][j];
+                    for (let j = 1; j <= n; j++) a[j][m] += y * a[j][i];
+                }
+            }
+        }
+
+        const wr = new Array(n + 1).fill(0);
+        const wi = new Array(n + 1).fill(0);
+        const sign = (value, reference) => (reference >= 0 ? Math.abs(value) : -Math.abs(value));
+
+        let anorm = 0;
+        for (let i = 1; i <= n; i++) {
+            for (let j = Math.max(i - 1, 1); j <= n; j++) anorm += Math.abs(a[i][j]);
+        }
+
+        let nn = n;
+        let t = 0;
+        let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+        while (nn >= 1) {
+            let its = 0;
+            let l;
+            do {
+                // Look for a single small subdiagonal element
+                for (l = nn; l >= 2; l--) {
+                    s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                    if (s === 0) s = anorm;
+                    if (Math.abs(a[l][l - 1]) + s === s) {
+                        a[l][l - 1] = 0;
+                        break;
+                    }
+                }
+                x = a[nn][nn];
+                if (l === nn) {
+                    // One root found
+                    wr[nn] = x + t;
+                    wi[nn--] = 0;
+                } else {
+                    y = a[nn - 1][nn - 1];
+                    w = a[nn][nn - 1] * a[nn - 1][nn];
+                    if (l === nn - 1) {
+                        // Two roots found
+                        p = 0.5 * (y - x);
+                        q = p * p + w;
+                        z = Math.sqrt(Math.abs(q));
+                        x += t;
+                        if (q >= 0) {
+                            z = p + sign(z, p);
+                            wr[nn - 1] = wr[nn] = x + z;
+                            if (z) wr[nn] = x - w / z;
+                            wi[nn - 1] = wi[nn] = 0;
+                        } else {
+                            wr[nn - 1] = wr[nn] = x + p;
+                            wi[nn - 1] = -(wi[nn] = z);
+                        }
+                        nn -= 2;
+                    } else {
+                        if (its === 60) {
+                            Logger.warn('Eigenvalue QR iteration did not converge');
+                            return null;
+                        }
+                        if (its === 10 || its === 20) {
+                            // Exceptional shift
+                            t += x;
+                            for (let i = 1; i <= nn; i++) a[i][i] -= x;
+                            s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                            y = x = 0.75 * s;
+                            w = -0.4375 * s * s;
+                        }
+                        ++its;
+
+                        // Form the shift and look for two consecutive small subdiagonal elements
+                        let m;
+                        for (m = nn - 2; m >= l; m--) {
+                            z = a[m][m];
+                            r = x - z;
+                            s = y - z;
+                            p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                            q = a[m + 1][m + 1] - z - r - s;
+                            r = a[m + 2][m + 1];
+                            s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            p /= s;
+                            q /= s;
+                            r /= s;
+                            if (m === l) break;
+                            const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                            const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                            if (u + v === v) break;
+                        }
+                        for (let i = m + 2; i <= nn; i++) {
+                            a[i][i - 2] = 0;
+                            if (i !== m + 2) a[i][i - 3] = 0;
+                        }
+
+                        // Double QR step on rows l..nn and columns m..nn
+                        for (let k = m; k <= nn - 1; k++) {
+                            if (k !== m) {
+                                p = a[k][k - 1];
+                                q = a[k + 1][k - 1];
+                                r = k !== nn - 1 ? a[k + 2][k - 1] : 0;
+                                x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                                if (x !== 0) {
+                                    p /= x;
+                                    q /= x;
+                                    r /= x;
+                                }
+                            }
+                            s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                            if (s === 0) continue;
+
+                            if (k === m) {
+                                if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                            } else {
+                                a[k][k - 1] = -s * x;
+                            }
+                            p += s;
+                            x = p / s;
+                            y = q / s;
+                            z = r / s;
+                            q /= p;
+                            r /= p;
+                            for (let j = k; j <= nn; j++) {
+                                p = a[k][j] + q * a[k + 1][j];
+                                if (k !== nn - 1) {
+                                    p += r * a[k + 2][j];
+                                    a[k + 2][j] -= p * z;
+                                }
+                                a[k + 1][j] -= p * y;
+                                a[k][j] -= p * x;
+                            }
+                            const mmin = nn < k + 3 ? nn : k + 3;
+                            for (let i = l; i <= mmin; i++) {
+                                p = x * a[i][k] + y * a[i][k + 1];
+                                if (k !== nn - 1) {
+                                    p += z * a[i][k + 2];
+                                    a[i][k + 2] -= p * r;
+                                }
+                                a[i][k + 1] -= p * q;
+                                a[i][k] -= p;
+                            }
+                        }
+                    }
+                }
+            } while (l < nn - 1);
+        }
+
+        return wr.slice(1).map((re, i) => ({ re, im: wi[i + 1] }));
+    }
+
+    /**
+     * Eigenvector of a real eigenvalue by inverse iteration on P (right
+     * eigenvector, P r = lambda r) or its transpose (left eigenvector, l P = lambda l)
+     * @param {Array<Array<number>>} P - Square matrix
+     * @param {number} lambda - Real eigenvalue
+     * @param {string} side - 'right' or 'left'
+     * @returns {Array<number>|null} - Vector scaled to unit maximum norm, or null on failure
+     */
+    static eigenvector(P, lambda, side) {
+        const n = P.length;
+        const entry = side === 'left' ? (i, j) => P[j][i] : (i, j) => P[i][j];
+
+        for (const offset of [1e-10, 1e-8, 1e-6]) {
+            const shift = lambda + offset * Math.max(1, Math.abs(lambda));
+            const A = Array.from({ length: n }, (_, i) =>
+                Array.from({ length: n }, (_, j) => entry(i, j) - (i === j ? shift : 0))
+            );
+
+            let vector = Array.from({ length: n }, (_, i) => 1 + i / n);
+            let failed = false;
+            for (let iteration = 0; iteration < 4; iteration++) {
+                const next = MarkovAnalytics.solveLinearSystem(A, vector);
+                if (!next || !next.every(Number.isFinite)) {
+                    failed = true;
+                    break;
+                }
+                const scale = next.reduce((max, value) => (Math.abs(value) > Math.abs(max) ? value : max), 0);
+                if (scale === 0) {
+                    failed = true;
+                    break;
+                }
+                vector = next.map(value => value / scale);
+            }
+            if (!failed) return vector;
+        }
+
+        Logger.warn(`Inverse iteration failed for eigenvalue ${lambda}`);
+        return null;
+    }
+
+    /**
+     * Spectral decomposition of a transition matrix. Eigenvalues are sorted by
+     * decreasing modulus; the real ones carry their implied timescale
+     * t = -1 / ln|lambda| (in transition steps) and left/right eigenvectors,
+     * normalised so that sum(l) = 1 for the stationary mode and l . r = 1 otherwise.
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @returns {Array<Object>|null} - Eigenpairs as {re, im, modulus, timescale, left, right}
+     */
+    static spectralDecomposition(P) {
+        const values = MarkovAnalytics.eigenvalues(P);
+        if (!values) return null;
+
+        const tolerance = 1e-9;
+        return values
+            .map(({ re, im }) => ({ re, im: Math.abs(im) < tolerance ? 0 : im, modulus: Math.hypot(re, im) }))
+            .sort((a, b) => b.modulus - a.modulus || b.re - a.re || b.im - a.im)
+            .map(eigen => {
+                let timescale = null;
+                if (eigen.modulus >= 1 - tolerance) {
+                    timescale = Infinity;
+                } else if (eigen.modulus > tolerance) {
+                    timescale = -1 / Math.log(eigen.modulus);
+                }
+
+                if (eigen.im !== 0) {
+                    return { ...eigen, timescale, left: null, right: null };
+                }
+
+                let left = MarkovAnalytics.eigenvector(P, eigen.re, 'left');
+                let right = MarkovAnalytics.eigenvector(P, eigen.re, 'right');
+                if (left && right) {
+                    const overlap = left.reduce((acc, value, i) => acc + value * right[i], 0);
+                    const leftSum = left.reduce((acc, value) => acc + value, 0);
+                    if (eigen.re >= 1 - tolerance && Math.abs(leftSum) > tolerance) {
+                        // Stationary mode: l = pi, r = 1
+                        left = left.map(value => value / leftSum);
+                        right = right.map(() => 1);
+                    } else if (Math.abs(overlap) > tolerance) {
+                        left = left.map(value => value / overlap);
+                    }
+                }
+                return { ...eigen, timescale, left, right };
+            });
+    }
+
+    /**
+     * PCCA+-style fuzzy grouping of clusters into metastable sets from the
+     * leading right eigenvectors. The inner simplex algorithm picks one
+     * representative cluster per set; memberships chi = X V^-1 where V holds the
+     * eigenvector rows of the representatives.
+     * @param {Array<Array<number>>} vectors - Leading right eigenvectors (the first constant)
+     * @returns {{memberships: Array<Array<number>>, assignment: Array<number>, representatives: Array<number>}|null}
+     */
+    static metastableSets(vectors) {
+        const k = vectors.length;
+        const n = vectors[0]?.length || 0;
+        if (k < 2 || n < k) return null;
+
+        // Rows of X are the clusters' coordinates in eigenvector space
+        const X = Array.from({ length: n }, (_, i) => vectors.map(vector => vector[i]));
+        const norm = row => Math.sqrt(row.reduce((acc, value) => acc + value * value, 0));
+
+        const representatives = [];
+        let best = 0;
+        X.forEach((row, i) => {
+            if (norm(row) > norm(X[best])) best = i;
+        });
+        representatives.push(best);
+
+        const ortho = X.map(row => row.map((value, c) => value - X[best][c]));
+        for (let j = 1; j < k; j++) {
+            const previous = [...ortho[representatives[j - 1]]];
+            let maxDistance = 0;
+            let next = -1;
+            ortho.forEach((row, i) => {
+                const product = row.reduce((acc, value, c) => acc + value * previous[c], 0);
+                row.forEach((value, c) => {
+                    row[c] = value - product * previous[c];
+                });
+                const distance = norm(row);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    next = i;
+                }
+            });
+            if (next === -1 || maxDistance < 1e-12) return null;
+            ortho.forEach(row => row.forEach((value, c) => {
+                row[c] = value / maxDistance;
+            }));
+            representatives.push(next);
+        }
+
+        // chi_i = X_i V^-1, i.e. V^T chi_i^T = X_i^T
+        const Vt = Array.from({ length: k }, (_, r) => representatives.map(index => X[index][r]));
+        const memberships = [];
+        for (const row of X) {
+            const chi = MarkovAnalytics.solveLinearSystem(Vt, row);
+            if (!chi) return null;
+            memberships.push(chi);
+        }
+
+        const assignment = memberships.map(chi => chi.indexOf(Math.max(...chi)));
+        return { memberships, assignment, representatives };
+    }
+
+    /**
+     * Detailed-balance diagnostics: the net probability flux
+     * F_ij = pi_i P_ij - pi_j P_ji of every pair of clusters, which vanishes
+     * for a reversible chain, and the strongest cyclic currents through
+     * three clusters
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {Array<number>} pi - Stationary distribution
+     * @param {number} cycleCount - Number of cycles to report
+     * @returns {{pairs: Array<Object>, cycles: Array<Object>, irreversibility: number}}
+     *     pairs as {i, j, forward, backward, net} (0-based, net flux from i to j, sorted by |net|);
+     *     cycles as {nodes, current, affinity}; irreversibility = sum|F_ij| / total off-diagonal flow
+     */
+    static reversibilityDiagnostics(P, pi, cycleCount) {
+        const n = P.length;
+        const flux = (i, j) => pi[i] * P[i][j];
+        const pairs = [];
+        let netTotal = 0;
+        let flowTotal = 0;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const forward = flux(i, j);
+                const backward = flux(j, i);
+                if (forward === 0 && backward === 0) continue;
+                pairs.push({ i, j, forward, backward, net: forward - backward });
+                netTotal += Math.abs(forward - backward);
+                flowTotal += forward + backward;
+            }
+        }
+        pairs.sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+
+        // A cycle i -> j -> k -> i carries the smallest net flux along it;
+        // the affinity is the log-ratio in Kolmogorov's criterion
+        const net = (i, j) => flux(i, j) - flux(j, i);
+        const cycles = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                for (let k = j + 1; k < n; k++) {
+                    const clockwise = Math.min(net(i, j), net(j, k), net(k, i));
+                    const anticlockwise = Math.min(net(i, k), net(k, j), net(j, i));
+                    const nodes = clockwise >= anticlockwise ? [i, j, k] : [i, k, j];
+                    const current = Math.max(clockwise, anticlockwise);
+                    if (current <= 1e-12) continue;
+
+                    const [a, b, c] = nodes;
+                    const along = P[a][b] * P[b][c] * P[c][a];
+                    const against = P[b][a] * P[c][b] * P[a][c];
+                    cycles.push({ nodes, current, affinity: against > 0 ? Math.log(along / against) : null });
+                }
+            }
+        }
+        cycles.sort((a, b) => b.current - a.current);
+
+        return {
+            pairs,
+            cycles: cycles.slice(0, cycleCount),
+            irreversibility: flowTotal > 0 ? netTotal / flowTotal : 0
+        };
+    }
+
+    /**
+     * Kemeny constant K = sum over k >= 2 of 1 / (1 - lambda_k): the expected
+     * number of steps to reach a cluster drawn from pi, whatever the start
+     * @param {Array<{re: number, im: number}>} eigenvalues - Spectrum including the unit eigenvalue
+     * @returns {number|null} - K, or null if 1 is a repeated eigenvalue (reducible chain)
+     */
+    static kemenyConstant(eigenvalues) {
+        // Drop the single eigenvalue closest to 1; complex pairs contribute their real parts
+        const sorted = [...eigenvalues].sort((a, b) => Math.hypot(1 - a.re, a.im) - Math.hypot(1 - b.re, b.im));
+        let kemeny = 0;
+        for (const { re, im } of sorted.slice(1)) {
+            const denominator = (1 - re) ** 2 + im ** 2;
+            if (denominator < 1e-18) return null;
+            kemeny += (1 - re) / denominator;
+        }
+        return kemeny;
+    }
+
+    /**
+     * Entropy rate of the stationary chain, -sum_i pi_i sum_j P_ij log2 P_ij
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {Array<number>} pi - Stationary distribution
+     * @returns {number} - Bits per transition
+     */
+    static entropyRate(P, pi) {
+        return P.reduce((total, row, i) => total - pi[i] * row.reduce(
+            (sum, p) => (p > 0 ? sum + p * Math.log2(p) : sum), 0
+        ), 0);
+    }
+
+    /**
+     * Mixing time: the first step t at which every row of P^t is within
+     * total variation distance epsilon of pi
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {Array<number>} pi - Stationary distribution
+     * @param {number} epsilon - Distance threshold (conventionally 1/4)
+     * @param {number} maxSteps - Number of steps to try
+     * @returns {number|null} - Steps, or null if not mixed within maxSteps
+     */
+    static mixingTime(P, pi, epsilon, maxSteps) {
+        const n = P.length;
+        let power = P.map(row => [...row]);
+
+        for (let t = 1; t <= maxSteps; t++) {
+            const distance = Math.max(...power.map(row =>
+                0.5 * row.reduce((sum, value, j) => sum + Math.abs(value - pi[j]), 0)
+            ));
+            if (distance <= epsilon) return t;
+
+            power = power.map(row => {
+                const next = new Array(n).fill(0);
+                row.forEach((value, k) => {
+                    if (value === 0) return;
+                    for (let j = 0; j < n; j++) next[j] += value * P[k][j];
+                });
+                return next;
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Lump the clusters into groups: Q_ab = sum_{i in a} pi_i sum_{j in b} P_ij / pi(a).
+     * The chain is (strongly) lumpable when every cluster of a group has the same
+     * probability of moving into each group; the lumpability error records the
+     * largest deviation of a member's row from the lumped row.
+     * @param {Array<Array<number>>} P - Row-stochastic transition matrix
+     * @param {Array<number>} pi - Stationary distribution
+     * @param {Array<number>} groups - Group index (0-based) of each cluster
+     * @param {number} groupCount - Number of groups
+     * @returns {{matrix: Array<Array<number|null>>, weights: Array<number>, errors: Array<Array<number|null>>, maxError: number}}
+     *     rows of empty groups are null
+     */
+    static lumpedChain(P, pi, groups, groupCount) {
+        const n = P.length;
+        const weights = new Array(groupCount).fill(0);
+        // Probability of each cluster moving into each group
+        const intoGroup = P.map(row => {
+            const sums = new Array(groupCount).fill(0);
+            row.forEach((p, j) => {
+                sums[groups[j]] += p;
+            });
+            return sums;
+        });
+
+        const matrix = Array.from({ length: groupCount }, () => new Array(groupCount).fill(0));
+        for (let i = 0; i < n; i++) {
+            weights[groups[i]] += pi[i];
+            intoGroup[i].forEach((p, b) => {
+                matrix[groups[i]][b] += pi[i] * p;
+            });
+        }
+
+        const errors = Array.from({ length: groupCount }, () => new Array(groupCount).fill(0));
+        let maxError = 0;
+        matrix.forEach((row, a) => {
+            if (weights[a] > 0) {
+                row.forEach((_, b) => {
+                    row[b] /= weights[a];
+                });
+            } else {
+                matrix[a] = null;
+                errors[a] = null;
+            }
+        });
+        for (let i = 0; i < n; i++) {
+            const row = matrix[groups[i]];
+            if (!row) continue;
+            intoGroup[i].forEach((p, b) => {
+                const deviation = Math.abs(p - row[b]);
+                errors[groups[i]][b] = Math.max(errors[groups[i]][b], deviation);
+                maxError = Math.max(maxError, deviation);
+            });
+        }
+
+        return { matrix, weights, errors, maxError };
+    }
+}
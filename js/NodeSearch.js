@@ -0,0 +1,156 @@
+// Node Search - Reads a search query (cluster number, level:local pair, ENSO
+// class name or month) and matches it against the node data of either figure
+
+import { CONFIG } from './constants.js';
+import { ForecastVerification } from './ForecastVerification.js';
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_FULL_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Accepted spellings of the ENSO classes, in lambda order (after normalisation)
+const CLASS_ALIASES = [
+    ['la nina', 'nina', 'ln'],
+    ['neutral', 'n'],
+    ['el nino', 'nino', 'en']
+];
+
+export class NodeSearch {
+
+    /**
+     * Lower-case a query, strip diacritics and collapse white space
+     * @param {string} text - Raw query
+     * @returns {string}
+     */
+    static normalise(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Read a query. Accepted forms: a cluster number ("12", "cluster 12"),
+     * a level:local pair ("3:5"), an ENSO class name ("El Nino", "LN") and a
+     * month ("Dec 1997", "December 1997", "1997-12", "12/1997").
+     * @param {string} text - Raw query
+     * @returns {Object|null} - {type, ...} or null if the query cannot be read
+     */
+    static parseQuery(text) {
+        const query = NodeSearch.normalise(text);
+        if (!query) return null;
+
+        let match = /^(\d+)\s*:\s*(\d+)$/.exec(query);
+        if (match) {
+            return { type: 'pair', level: parseInt(match[1], 10), localIdx: parseInt(match[2], 10) };
+        }
+
+        match = /^(?:cluster\s*|#)?(\d+)$/.exec(query);
+        if (match) {
+            return { type: 'cluster', cluster: parseInt(match[1], 10) };
+        }
+
+        const classIndex = CLASS_ALIASES.findIndex(aliases => aliases.includes(query));
+        if (classIndex !== -1) {
+            return { type: 'class', classIndex };
+        }
+
+        const month = NodeSearch.parseMonth(query);
+        if (month) {
+            return { type: 'month', monthKey: month };
+        }
+
+        return null;
+    }
+
+    /**
+     * Read a month in one of the accepted forms
+     * @param {string} query - Normalised query
+     * @returns {string|null} - Month key "YYYY-MM"
+     */
+    static parseMonth(query) {
+        let year = null;
+        let month = null;
+
+        let match = /^([a-z]{3,})\.?,? (\d{4})$/.exec(query);
+        if (match) {
+            const word = match[1];
+            month = MONTH_NAMES.findIndex((name, k) => word === name || word === MONTH_FULL_NAMES[k]) + 1;
+            year = parseInt(match[2], 10);
+        } else if ((match = /^(\d{4})-(\d{1,2})$/.exec(query))) {
+            year = parseInt(match[1], 10);
+            month = parseInt(match[2], 10);
+        } else if ((match = /^(\d{1,2})\/(\d{4})$/.exec(query))) {
+            month = parseInt(match[1], 10);
+            year = parseInt(match[2], 10);
+        }
+
+        if (!year || !(month >= 1 && month <= 12)) return null;
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    /**
+     * Describe a query for the result label
+     * @param {Object} query - Parsed query
+     * @returns {string}
+     */
+    static describe(query) {
+        switch (query.type) {
+            case 'pair':
+                return `level ${query.level}, cluster ${query.localIdx}`;
+            case 'cluster':
+                return `cluster ${query.cluster}`;
+            case 'class':
+                return `dominant class ${CONFIG.ENSO_CLASSES[query.classIndex]}`;
+            case 'month': {
+                const [year, month] = query.monthKey.split('-').map(Number);
+                const name = MONTH_NAMES[month - 1];
+                return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${year}`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Whether a node matches a query. Clusters are numbered from 1; on the DAG a
+     * bare cluster number matches that cluster at every level.
+     * @param {Object} query - Parsed query
+     * @param {Object} node - {cluster, level (null on the Markov chain), lambda {laNina, neutral, elNino}, dates}
+     * @returns {boolean}
+     */
+    static matches(query, node) {
+        switch (query.type) {
+            case 'pair':
+                return node.level === query.level && node.cluster === query.localIdx;
+            case 'cluster':
+                return node.cluster === query.cluster;
+            case 'class':
+                return NodeSearch.dominantClass(node.lambda) === query.classIndex;
+            case 'month':
+                return Array.isArray(node.dates) &&
+                    node.dates.some(date => ForecastVerification.monthKey(date) === query.monthKey);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Most probable ENSO class of a node
+     * @param {Object} lambda - {laNina, neutral, elNino}
+     * @returns {number|null} - Class index in lambda order
+     */
+    static dominantClass(lambda) {
+        if (!lambda) return null;
+        const values = [lambda.laNina, lambda.neutral, lambda.elNino];
+        let best = null;
+        values.forEach((value, c) => {
+            if (Number.isFinite(value) && (best === null || value > values[best])) best = c;
+        });
+        return best;
+    }
+}
@@ -234,6 +234,12 @@ export class PrecursorPlotsController {
         this.hideClassDropdown();
     }
 
+    selectType(type) {
+        this.selectedType = type === 'correlation' ? 'correlation' : 'importance';
+        this.typeToggle.checked = this.selectedType === 'correlation';
+        this.updateLoadButton();
+    }
+
     handleClassKeyNavigation(e) {
         this.handleKeyNavigation(e, this.classDropdown, this.hideClassDropdown.bind(this), this.classInput);
     }
@@ -107,6 +107,52 @@ export class SVGParser {
         });
     }
 
+    /**
+     * Fill passage times missing from the JSON export with values derived from
+     * the transition matrix, recording which values were computed.
+     * @param {Object} derived - Output of MarkovAnalytics.deriveNodeTimes
+     */
+    applyDerivedNodeTimes(derived) {
+        if (!derived) return;
+
+        let filled = 0;
+        Object.values(this.nodeData).forEach(nodeInfo => {
+            const index = nodeInfo.id - 1;
+            const computed = { mean_return: false, mean_exit: false, mfpt_to: [] };
+
+            if (!Number.isFinite(nodeInfo.mean_return) && Number.isFinite(derived.meanReturn[index])) {
+                nodeInfo.mean_return = derived.meanReturn[index];
+                computed.mean_return = true;
+            }
+
+            if (!Number.isFinite(nodeInfo.mean_exit) && Number.isFinite(derived.meanExit[index])) {
+                nodeInfo.mean_exit = derived.meanExit[index];
+                computed.mean_exit = true;
+            }
+
+            const derivedRow = derived.mfpt[index];
+            if (derivedRow) {
+                const mfptTo = Array.isArray(nodeInfo.mfpt_to) ? [...nodeInfo.mfpt_to] : [];
+                derivedRow.forEach((value, j) => {
+                    if (!Number.isFinite(mfptTo[j]) && Number.isFinite(value)) {
+                        mfptTo[j] = value;
+                        computed.mfpt_to.push(j);
+                    }
+                });
+                nodeInfo.mfpt_to = mfptTo;
+            }
+
+            if (computed.mean_return || computed.mean_exit || computed.mfpt_to.length > 0) {
+                nodeInfo.computed = computed;
+                filled++;
+            }
+        });
+
+        if (filled > 0) {
+            Logger.info(`Filled missing passage times for ${filled} nodes from the transition matrix`);
+        }
+    }
+
     generateEdgeData(edges, jsonParser) {
         edges.forEach((edge, index) => {
             const edgeKey = `edge-${index}`;
@@ -0,0 +1,418 @@
+// SVG Viewport - Wheel/pinch zoom, drag-pan and a minimap for an inline SVG
+// figure. Zooming only rewrites the root viewBox, so the node and edge
+// coordinates (and every mapping built from them) stay in the figure's own
+// user space; screen positions are converted through getScreenCTM().
+
+import { CONFIG } from './constants.js';
+import { Logger } from './Logger.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class SvgViewport {
+
+    /**
+     * @param {SVGSVGElement} svgElement - Figure to navigate
+     * @param {HTMLElement} container - Element holding the figure; receives the minimap
+     * @param {Object} options - Viewport options
+     * @param {Function|null} options.onChange - Called after every change of the view
+     */
+    constructor(svgElement, container, { onChange = null } = {}) {
+        this.svg = svgElement;
+        this.container = container;
+        this.onChange = onChange;
+
+        this.base = SvgViewport.readViewBox(svgElement);
+        this.view = { ...this.base };
+
+        this.pointers = new Map(); // pointerId -> {x, y} in client pixels
+        this.drag = null; // {x, y, startX, startY, moved} while one pointer is down
+        this.pinch = null; // {distance, x, y} while two pointers are down
+        this.suppressClick = false;
+
+        this.minimap = null;
+        this.minimapSvg = null;
+        this.minimapFrame = null;
+
+        this.svg.setAttribute('viewBox', SvgViewport.formatViewBox(this.view));
+        this.container.classList.add('is-zoomable');
+        this.attach();
+        this.createMinimap();
+        this.update();
+    }
+
+    /**
+     * Read the user-space box of a figure from its viewBox, falling back to
+     * its width and height attributes and finally to its content bounds
+     * @param {SVGSVGElement} svg - Figure
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    static readViewBox(svg) {
+        const viewBox = svg.viewBox?.baseVal;
+        if (viewBox && viewBox.width > 0 && viewBox.height > 0) {
+            return { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+        }
+
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        if (width > 0 && height > 0) {
+            return { x: 0, y: 0, width, height };
+        }
+
+        const box = svg.getBBox();
+        return { x: box.x, y: box.y, width: box.width || 1, height: box.height || 1 };
+    }
+
+    /**
+     * @param {Object} view - {x, y, width, height}
+     * @returns {string} - viewBox attribute value
+     */
+    static formatViewBox(view) {
+        return [view.x, view.y, view.width, view.height].map(v => +v.toFixed(3)).join(' ');
+    }
+
+    /**
+     * Current zoom factor relative to the whole figure
+     * @returns {number}
+     */
+    get scale() {
+        return this.base.width / this.view.width;
+    }
+
+    // =========================================================================
+    // VIEW CHANGES
+    // =========================================================================
+
+    /**
+     * Show a box of the figure, clamped to the zoom limits and to the figure,
+     * keeping the figure's aspect ratio
+     * @param {Object} view - {x, y, width, height} in user units (height is derived)
+     */
+    setView(view) {
+        const minWidth = this.base.width / CONFIG.DAG_ZOOM_MAX;
+        const width = Math.min(Math.max(view.width, minWidth), this.base.width);
+        const height = width * (this.base.height / this.base.width);
+        const x = Math.min(Math.max(view.x, this.base.x), this.base.x + this.base.width - width);
+        const y = Math.min(Math.max(view.y, this.base.y), this.base.y + this.base.height - height);
+
+        this.view = { x, y, width, height };
+        this.svg.setAttribute('viewBox', SvgViewport.formatViewBox(this.view));
+        this.update();
+    }
+
+    /**
+     * Show the whole figure
+     */
+    fit() {
+        this.setView({ ...this.base });
+    }
+
+    /**
+     * Zoom by a factor, keeping a screen point fixed
+     * @param {number} factor - Zoom factor (> 1 zooms in)
+     * @param {number|null} clientX - Anchor in client pixels (default: centre of the view)
+     * @param {number|null} clientY - Anchor in client pixels
+     */
+    zoomBy(factor, clientX = null, clientY = null) {
+        const anchor = clientX !== null
+            ? this.clientToSvg(clientX, clientY)
+            : { x: this.view.x + this.view.width / 2, y: this.view.y + this.view.height / 2 };
+        if (!anchor) return;
+
+        const minWidth = this.base.width / CONFIG.DAG_ZOOM_MAX;
+        const width = Math.min(Math.max(this.view.width / factor, minWidth), this.base.width);
+        const ratio = width / this.view.width;
+
+        this.setView({
+            x: anchor.x - (anchor.x - this.view.x) * ratio,
+            y: anchor.y - (anchor.y - this.view.y) * ratio,
+            width
+        });
+    }
+
+    /**
+     * Move the view by a distance in client pixels
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    panBy(dx, dy) {
+        const ctm = this.svg.getScreenCTM();
+        if (!ctm || !ctm.a) return;
+
+        this.setView({
+            x: this.view.x - dx / ctm.a,
+            y: this.view.y - dy / ctm.d,
+            width: this.view.width
+        });
+    }
+
+    /**
+     * Centre the view on a point of the figure
+     * @param {number} x - User-space x
+     * @param {number} y - User-space y
+     */
+    centreOn(x, y) {
+        this.setView({
+            x: x - this.view.width / 2,
+            y: y - this.view.height / 2,
+            width: this.view.width
+        });
+    }
+
+    /**
+     * Zoom to a set of elements: at least to CONFIG.DAG_ZOOM_TO_NODE_SCALE,
+     * further out if the elements need more room
+     * @param {Array<SVGGraphicsElement>} elements - Elements to show
+     */
+    zoomToElements(elements) {
+        const boxes = elements.map(element => this.elementBox(element)).filter(Boolean);
+        if (boxes.length === 0) return;
+
+        const left = Math.min(...boxes.map(b => b.x));
+        const top = Math.min(...boxes.map(b => b.y));
+        const right = Math.max(...boxes.map(b => b.x + b.width));
+        const bottom = Math.max(...boxes.map(b => b.y + b.height));
+
+        const aspect = this.base.height / this.base.width;
+        const padding = 1 + 2 * CONFIG.DAG_ZOOM_PADDING;
+        const width = Math.max(
+            (right - left) * padding,
+            ((bottom - top) * padding) / aspect,
+            this.base.width / CONFIG.DAG_ZOOM_TO_NODE_SCALE
+        );
+
+        this.setView({
+            x: (left + right) / 2 - width / 2,
+            y: (top + bottom) / 2 - (width * aspect) / 2,
+            width
+        });
+    }
+
+    /**
+     * Centre the view on an element if any of it lies outside the view
+     * @param {SVGGraphicsElement} element - Element inside the figure
+     */
+    ensureVisible(element) {
+        if (this.scale <= 1.001) return;
+
+        const box = this.elementBox(element);
+        if (!box) return;
+
+        const { x, y, width, height } = this.view;
+        const inside = box.x >= x && box.y >= y &&
+            box.x + box.width <= x + width && box.y + box.height <= y + height;
+        if (!inside) this.centreOn(box.x + box.width / 2, box.y + box.height / 2);
+    }
+
+    // =========================================================================
+    // COORDINATES
+    // =========================================================================
+
+    /**
+     * Convert a client position to the figure's user space
+     * @param {number} clientX - Client x in pixels
+     * @param {number} clientY - Client y in pixels
+     * @param {SVGSVGElement} svg - Figure to convert into (default: the main figure)
+     * @returns {{x: number, y: number}|null}
+     */
+    clientToSvg(clientX, clientY, svg = this.svg) {
+        const ctm = svg.getScreenCTM();
+        if (!ctm) return null;
+
+        const point = svg.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const { x, y } = point.matrixTransform(ctm.inverse());
+        return { x, y };
+    }
+
+    /**
+     * Bounding box of an element in the root user space, including any
+     * transforms between the element and the root
+     * @param {SVGGraphicsElement} element - Element inside the figure
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    elementBox(element) {
+        const elementCtm = element.getScreenCTM?.();
+        const rootCtm = this.svg.getScreenCTM();
+        if (!elementCtm || !rootCtm) return null;
+
+        const box = element.getBBox();
+        const toRoot = rootCtm.inverse().multiply(elementCtm);
+        const point = this.svg.createSVGPoint();
+        const corners = [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+            .map(([x, y]) => {
+                point.x = x;
+                point.y = y;
+                return point.matrixTransform(toRoot);
+            });
+
+        const xs = corners.map(c => c.x);
+        const ys = corners.map(c => c.y);
+        return {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys)
+        };
+    }
+
+    // =========================================================================
+    // POINTER INPUT
+    // =========================================================================
+
+    /**
+     * Wire wheel zoom, drag-pan and two-finger pinch. A drag that moves past
+     * CONFIG.DAG_DRAG_THRESHOLD_PX swallows the click that ends it, so that
+     * panning over a node does not open its modal.
+     */
+    attach() {
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const lines = e.deltaMode === 1 ? 16 : 1;
+            this.zoomBy(Math.exp(-e.deltaY * lines * CONFIG.DAG_ZOOM_WHEEL_SENSITIVITY), e.clientX, e.clientY);
+        }, { passive: false });
+
+        this.svg.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.pointers.size === 1) {
+                this.drag = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, moved: false };
+            } else if (this.pointers.size === 2) {
+                this.drag = null;
+                this.pinch = this.measurePinch();
+            }
+        });
+
+        this.svg.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pinch && this.pointers.size >= 2) {
+                const pinch = this.measurePinch();
+                this.panBy(pinch.x - this.pinch.x, pinch.y - this.pinch.y);
+                this.zoomBy(pinch.distance / this.pinch.distance, pinch.x, pinch.y);
+                this.pinch = pinch;
+                return;
+            }
+
+            const drag = this.drag;
+            if (!drag) return;
+
+            if (!drag.moved) {
+                const distance = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY);
+                if (distance < CONFIG.DAG_DRAG_THRESHOLD_PX) return;
+                drag.moved = true;
+                this.container.classList.add('is-panning');
+                this.svg.setPointerCapture(e.pointerId);
+            }
+
+            this.panBy(e.clientX - drag.x, e.clientY - drag.y);
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+        });
+
+        const release = (e) => {
+            if (!this.pointers.delete(e.pointerId)) return;
+
+            if (this.drag?.moved) this.suppressClick = true;
+            this.drag = null;
+            if (this.pointers.size < 2) this.pinch = null;
+            this.container.classList.remove('is-panning');
+        };
+        this.svg.addEventListener('pointerup', release);
+        this.svg.addEventListener('pointercancel', release);
+
+        this.svg.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    /**
+     * Distance and midpoint of the first two active pointers
+     * @returns {{distance: number, x: number, y: number}}
+     */
+    measurePinch() {
+        const [a, b] = [...this.pointers.values()];
+        return {
+            distance: Math.max(Math.hypot(a.x - b.x, a.y - b.y), 1),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    // =========================================================================
+    // MINIMAP
+    // =========================================================================
+
+    /**
+     * Add a minimap overlay: a static copy of the whole figure with a frame
+     * marking the visible part. Clicking or dragging on it moves the view.
+     */
+    createMinimap() {
+        const clone = this.svg.cloneNode(true);
+        clone.removeAttribute('width');
+        clone.removeAttribute('height');
+        clone.setAttribute('viewBox', SvgViewport.formatViewBox(this.base));
+        clone.setAttribute('aria-hidden', 'true');
+        clone.setAttribute('focusable', 'false');
+
+        // Ids stay unique in the document; references resolve to the main figure
+        clone.removeAttribute('id');
+        clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+        // The copy is decorative: keep its elements out of the tab order and accessibility tree
+        clone.removeAttribute('role');
+        clone.removeAttribute('aria-label');
+        clone.querySelectorAll('[tabindex], [role], [aria-label]').forEach(el => {
+            ['tabindex', 'role', 'aria-label', 'aria-roledescription', 'aria-haspopup'].forEach(name => el.removeAttribute(name));
+        });
+
+        this.minimapFrame = document.createElementNS(SVG_NS, 'rect');
+        this.minimapFrame.setAttribute('class', 'svg-minimap-frame');
+        clone.appendChild(this.minimapFrame);
+
+        this.minimap = document.createElement('div');
+        this.minimap.className = 'svg-minimap';
+        this.minimap.title = 'Overview: click or drag to move the view';
+        this.minimap.appendChild(clone);
+        this.minimapSvg = clone;
+        this.container.appendChild(this.minimap);
+
+        const moveTo = (e) => {
+            const point = this.clientToSvg(e.clientX, e.clientY, this.minimapSvg);
+            if (point) this.centreOn(point.x, point.y);
+        };
+        this.minimap.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.minimap.setPointerCapture(e.pointerId);
+            moveTo(e);
+        });
+        this.minimap.addEventListener('pointermove', (e) => {
+            if (this.minimap.hasPointerCapture(e.pointerId)) moveTo(e);
+        });
+
+        Logger.debug('Viewport minimap created');
+    }
+
+    /**
+     * Refresh the minimap frame and the zoom state class, then notify
+     */
+    update() {
+        const zoomed = this.scale > 1.001;
+        this.container.classList.toggle('is-zoomed', zoomed);
+
+        if (this.minimap) {
+            this.minimap.hidden = !zoomed;
+            this.minimapFrame.setAttribute('x', this.view.x);
+            this.minimapFrame.setAttribute('y', this.view.y);
+            this.minimapFrame.setAttribute('width', this.view.width);
+            this.minimapFrame.setAttribute('height', this.view.height);
+        }
+
+        if (this.onChange) this.onChange(this);
+    }
+}
@@ -0,0 +1,127 @@
+// Transition Consistency - Re-estimates the transition matrix from the monthly
+// affiliation series and checks the published link probabilities against it
+
+import { Logger } from './Logger.js';
+import { ForecastVerification } from './ForecastVerification.js';
+
+export class TransitionConsistency {
+
+    /**
+     * Soft transition counts between consecutive months: C_ij = sum_t a_t(i) a_{t+1}(j),
+     * with each affiliation vector normalised to sum to one. Pairs of dates
+     * that are not one month apart are skipped.
+     * @param {Object} affiliationData - {dates, affiliations} of one lead time
+     * @param {number} nodeCount - Number of clusters
+     * @returns {{counts: Array<Array<number>>, pairCount: number}}
+     */
+    static empiricalCounts(affiliationData, nodeCount) {
+        const counts = Array.from({ length: nodeCount }, () => new Array(nodeCount).fill(0));
+        const normalise = vector => {
+            const total = (vector || []).reduce((acc, value) => acc + (value > 0 ? value : 0), 0);
+            return total > 0 ? vector.map(value => (value > 0 ? value / total : 0)) : null;
+        };
+
+        const { dates, affiliations } = affiliationData;
+        let pairCount = 0;
+        for (let t = 0; t + 1 < dates.length; t++) {
+            const current = ForecastVerification.monthKey(dates[t]);
+            const next = ForecastVerification.monthKey(dates[t + 1]);
+            if (!current || next !== ForecastVerification.addMonths(current, 1)) continue;
+
+            const from = normalise(affiliations[t]);
+            const to = normalise(affiliations[t + 1]);
+            if (!from || !to) continue;
+
+            for (let i = 0; i < nodeCount; i++) {
+                if (!from[i]) continue;
+                for (let j = 0; j < nodeCount; j++) {
+                    counts[i][j] += from[i] * (to[j] || 0);
+                }
+            }
+            pairCount++;
+        }
+
+        Logger.debug(`Counted ${pairCount} consecutive-month transitions`);
+        return { counts, pairCount };
+    }
+
+    /**
+     * Wilson score interval of a proportion, with a (possibly fractional) count
+     * @param {number} p - Observed proportion
+     * @param {number} n - Number of observations
+     * @param {number} z - Standard normal quantile of the coverage
+     * @returns {Array<number>} - [lower, upper]
+     */
+    static wilsonInterval(p, n, z) {
+        if (!(n > 0)) return [0, 1];
+        const z2 = z * z;
+        const denominator = 1 + z2 / n;
+        const centre = (p + z2 / (2 * n)) / denominator;
+        const halfWidth = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / denominator;
+        return [Math.max(0, centre - halfWidth), Math.min(1, centre + halfWidth)];
+    }
+
+    /**
+     * Compare the published links with the empirical transition matrix.
+     * A published link is flagged when its probability lies outside the empirical
+     * interval; empirical transitions of at least minUnpublished without a
+     * published link are listed as unpublished.
+     * @param {Object} params - Comparison inputs
+     * @param {Array<Object>} params.links - Published links (1-based source/target, probability, ci)
+     * @param {Object} params.affiliationData - {dates, affiliations} of the same lead time
+     * @param {number} params.nodeCount - Number of clusters
+     * @param {number} params.z - Standard normal quantile of the empirical interval
+     * @param {number} params.minUnpublished - Threshold for reporting unpublished transitions
+     * @returns {{rows: Array<Object>, pairCount: number, flaggedCount: number, unpublishedCount: number}}
+     *     rows as {source, target, published, publishedCi, empirical, lower, upper, effectiveCount, status}
+     *     with status 'ok', 'outside' or 'unpublished'
+     */
+    static compare({ links, affiliationData, nodeCount, z, minUnpublished }) {
+        const { counts, pairCount } = TransitionConsistency.empiricalCounts(affiliationData, nodeCount);
+        const rowTotals = counts.map(row => row.reduce((acc, value) => acc + value, 0));
+
+        const estimate = (i, j) => {
+            const total = rowTotals[i];
+            const empirical = total > 0 ? counts[i][j] / total : null;
+            const [lower, upper] = empirical !== null ? TransitionConsistency.wilsonInterval(empirical, total, z) : [null, null];
+            return { empirical, lower, upper, effectiveCount: total };
+        };
+
+        const rows = [];
+        const published = new Set();
+        (links || []).forEach(link => {
+            const i = link.source - 1;
+            const j = link.target - 1;
+            if (i < 0 || i >= nodeCount || j < 0 || j >= nodeCount) return;
+            published.add(`${i}-${j}`);
+
+            const entry = estimate(i, j);
+            const outside = entry.empirical !== null &&
+                (link.probability < entry.lower || link.probability > entry.upper);
+            rows.push({
+                source: link.source,
+                target: link.target,
+                published: link.probability,
+                publishedCi: link.ci || null,
+                ...entry,
+                status: outside ? 'outside' : 'ok'
+            });
+        });
+
+        for (let i = 0; i < nodeCount; i++) {
+            for (let j = 0; j < nodeCount; j++) {
+                if (published.has(`${i}-${j}`)) continue;
+                const entry = estimate(i, j);
+                if (entry.empirical === null || entry.empirical < minUnpublished) continue;
+                rows.push({ source: i + 1, target: j + 1, published: null, publishedCi: null, ...entry, status: 'unpublished' });
+            }
+        }
+
+        return {
+            rows,
+            pairCount,
+            flaggedCount: rows.filter(row => row.status === 'outside').length,
+            unpublishedCount: rows.filter(row => row.status === 'unpublished').length
+        };
+    }
+}
@@ -0,0 +1,189 @@
+// Uncertainty Engine - Propagates the per-link confidence intervals to derived
+// quantities by sampling transition rows from Dirichlet distributions fitted to them
+
+import { Logger } from './Logger.js';
+
+export class UncertaintyEngine {
+
+    /**
+     * Create a seeded uniform random number generator (mulberry32), so that
+     * repeated queries report the same interval
+     * @param {number} seed - Integer seed
+     * @returns {Function} - Generator returning values in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw from the standard normal distribution (Box-Muller)
+     * @param {Function} random - Uniform random number generator
+     * @returns {number}
+     */
+    static sampleNormal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Draw from a Gamma(shape, 1) distribution (Marsaglia-Tsang); shapes below
+     * one are boosted and corrected with a uniform power
+     * @param {number} shape - Shape parameter (> 0)
+     * @param {Function} random - Uniform random number generator
+     * @returns {number}
+     */
+    static sampleGamma(shape, random) {
+        if (shape < 1) {
+            const u = 1 - random();
+            return UncertaintyEngine.sampleGamma(shape + 1, random) * Math.pow(u, 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x;
+            let v;
+            do {
+                x = UncertaintyEngine.sampleNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+
+            v = v * v * v;
+            const u = 1 - random();
+            if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+                return d * v;
+            }
+        }
+    }
+
+    /**
+     * Draw a probability vector from a Dirichlet distribution
+     * @param {Array<number>} alpha - Concentration parameters (> 0)
+     * @param {Function} random - Uniform random number generator
+     * @returns {Array<number>} - Sample summing to one
+     */
+    static sampleDirichlet(alpha, random) {
+        const draws = alpha.map(a => UncertaintyEngine.sampleGamma(a, random));
+        const total = draws.reduce((acc, value) => acc + value, 0);
+        return total > 0 ? draws.map(value => value / total) : alpha.map(() => 1 / alpha.length);
+    }
+
+    /**
+     * Fit the total concentration alpha_0 of a Dirichlet row to the link intervals.
+     * A Dirichlet with mean m_k has variance m_k (1 - m_k) / (alpha_0 + 1); each
+     * interval is read as mean +/- z standard deviations, and the median of the
+     * per-link estimates is used for the row.
+     * @param {Array<number>} means - Normalised row probabilities
+     * @param {Array<Array<number>|null>} intervals - [lower, upper] per link, on the same scale
+     * @param {number} z - Standard normal quantile of the interval coverage
+     * @returns {number|null} - alpha_0, or null when no interval carries information
+     */
+    static fitConcentration(means, intervals, z) {
+        const estimates = [];
+
+        means.forEach((m, k) => {
+            const ci = intervals[k];
+            if (!ci || m <= 0 || m >= 1) return;
+            const sigma = (ci[1] - ci[0]) / (2 * z);
+            if (!(sigma > 0)) return;
+            estimates.push(m * (1 - m) / (sigma * sigma) - 1);
+        });
+
+        if (estimates.length === 0) return null;
+
+        estimates.sort((a, b) => a - b);
+        const mid = Math.floor(estimates.length / 2);
+        const median = estimates.length % 2 ? estimates[mid] : (estimates[mid - 1] + estimates[mid]) / 2;
+
+        // Very wide intervals would give a non-positive concentration
+        return Math.max(median, 1);
+    }
+
+    /**
+     * Sample the values of a set of links. Links are grouped into rows by their
+     * source; every row is redrawn from a Dirichlet fitted to its links' intervals
+     * and scaled back to the row total, so that sampled rows stay consistent.
+     * @param {Array<Object>} links - Links with source, ci and a value field
+     * @param {Object} options - Sampling options
+     * @param {string} options.valueKey - Link field holding the point estimate ('probability' or 'weight')
+     * @param {number} options.sampleCount - Number of samples to draw
+     * @param {number} options.z - Standard normal quantile of the interval coverage
+     * @param {number} options.seed - Seed of the random number generator
+     * @returns {Array<Float64Array>} - One array per sample, aligned with links
+     */
+    static sampleLinkValues(links, { valueKey, sampleCount, z, seed }) {
+        const rows = new Map();
+        links.forEach((link, index) => {
+            const value = link[valueKey];
+            if (typeof value !== 'number' || value <= 0) return;
+            if (!rows.has(link.source)) rows.set(link.source, []);
+            rows.get(link.source).push(index);
+        });
+
+        const models = [];
+        rows.forEach(indices => {
+            const total = indices.reduce((acc, index) => acc + links[index][valueKey], 0);
+            const means = indices.map(index => links[index][valueKey] / total);
+            const intervals = indices.map(index => {
+                const ci = links[index].ci;
+                return Array.isArray(ci) && ci.length === 2 ? [ci[0] / total, ci[1] / total] : null;
+            });
+            const concentration = indices.length > 1 ? UncertaintyEngine.fitConcentration(means, intervals, z) : null;
+            models.push({
+                indices,
+                total,
+                alpha: concentration !== null ? means.map(m => m * concentration) : null
+            });
+        });
+
+        const random = UncertaintyEngine.createRandom(seed);
+        const samples = [];
+        for (let s = 0; s < sampleCount; s++) {
+            const values = new Float64Array(links.length);
+            models.forEach(({ indices, total, alpha }) => {
+                // Rows without informative intervals keep their point estimates
+                const draw = alpha ? UncertaintyEngine.sampleDirichlet(alpha, random) : null;
+                indices.forEach((index, k) => {
+                    values[index] = draw ? draw[k] * total : links[index][valueKey];
+                });
+            });
+            samples.push(values);
+        }
+
+        Logger.debug(`Drew ${sampleCount} samples of ${models.length} transition rows`);
+        return samples;
+    }
+
+    /**
+     * Equal-tailed percentile interval of a set of sampled values
+     * @param {Array<number|null>} values - Sampled values; non-finite entries are ignored
+     * @param {number} coverage - Interval coverage, e.g. 0.95
+     * @returns {{lower: number, upper: number, count: number}|null}
+     */
+    static percentileInterval(values, coverage) {
+        const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (finite.length === 0) return null;
+
+        const quantile = q => {
+            const position = q * (finite.length - 1);
+            const below = Math.floor(position);
+            const above = Math.min(below + 1, finite.length - 1);
+            return finite[below] + (finite[above] - finite[below]) * (position - below);
+        };
+
+        const tail = (1 - coverage) / 2;
+        return {
+            lower: quantile(tail),
+            upper: quantile(1 - tail),
+            count: finite.length
+        };
+    }
+}
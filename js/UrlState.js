@@ -0,0 +1,76 @@
+// URL State - Mirrors the view of a page into the query string so that a link
+// reopens the same view, and reads it back when the page loads
+
+import { CONFIG } from './constants.js';
+
+// Latest values waiting to be written, and the timer of the pending write
+let pendingValues = null;
+let writeTimer = null;
+
+export class UrlState {
+
+    /**
+     * Query parameters of the current address
+     * @returns {URLSearchParams}
+     */
+    static read() {
+        return new URLSearchParams(window.location.search);
+    }
+
+    /**
+     * Non-negative integer parameter
+     * @param {URLSearchParams} params - Query parameters
+     * @param {string} name - Parameter name
+     * @returns {number|null}
+     */
+    static getInt(params, name) {
+        const value = params.get(name);
+        return value !== null && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+    }
+
+    /**
+     * Parameter holding a fixed number of non-negative integers separated by
+     * "." or "-" (e.g. "3-7" or "12.3-0.1")
+     * @param {URLSearchParams} params - Query parameters
+     * @param {string} name - Parameter name
+     * @param {number} count - Expected number of integers
+     * @returns {Array<number>|null}
+     */
+    static getInts(params, name, count) {
+        const value = params.get(name);
+        if (value === null) return null;
+
+        const parts = value.split(/[.-]/);
+        if (parts.length !== count || !parts.every(part => /^\d+$/.test(part))) return null;
+        return parts.map(part => parseInt(part, 10));
+    }
+
+    /**
+     * Replace the query string with the given values. Empty values (null,
+     * undefined or '') are left out; the hash is kept. Writes are batched, so
+     * only the last values given within CONFIG.URL_STATE_WRITE_DELAY_MS are
+     * written, and no history entry is added.
+     * @param {Object} values - Parameter values keyed by name, in address order
+     */
+    static write(values) {
+        pendingValues = values;
+        if (writeTimer !== null) return;
+
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+
+            const params = new URLSearchParams();
+            Object.entries(pendingValues).forEach(([name, value]) => {
+                if (value !== null && value !== undefined && value !== '') {
+                    params.set(name, String(value));
+                }
+            });
+
+            const query = params.toString();
+            const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+            if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+                window.history.replaceState(window.history.state, '', url);
+            }
+        }, CONFIG.URL_STATE_WRITE_DELAY_MS);
+    }
+}
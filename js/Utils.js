@@ -156,6 +156,30 @@ export class Utils {
         return element;
     }
     
+    /**
+     * Download a table as a CSV file
+     * @param {string} filename - Name of the downloaded file
+     * @param {Array<string>} header - Column titles
+     * @param {Array<Array<*>>} rows - Cell values; null/undefined become empty cells
+     */
+    static downloadCSV(filename, header, rows) {
+        const escapeCell = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = [header, ...rows].map(row => row.map(escapeCell).join(',')).join('\n');
+
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
     static removeAllChildren(element) {
         if (element) {
             while (element.firstChild) {
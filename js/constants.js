@@ -54,7 +54,88 @@ export const CONFIG = {
 
     // Affiliation matrix settings
     AFFILIATION_FILENAME_TEMPLATE: 'json_files/affiliation_matrix_{leadTime}months.json',
-    BRIGHTNESS_SCALE: 1.5 // Scales probability to brightness increase (brightness = 1.0 + scale * p)
+    BRIGHTNESS_SCALE: 1.5, // Scales probability to brightness increase (brightness = 1.0 + scale * p)
+
+    // Node highlight encodings (see HighlightRenderer); cividis is the colour-blind-safe default
+    HIGHLIGHT_DEFAULT_ENCODING: 'cividis',
+    HIGHLIGHT_OUTLINE_MAX_WIDTH: 5, // Outline width in px at value 1
+    HIGHLIGHT_MIN_OPACITY: 0.15, // Fill opacity at value 0
+    HIGHLIGHT_GAUGE_RADIUS: 0.35, // Gauge radius as a fraction of the node's smaller side
+    HIGHLIGHT_OVERLAY_LABELS: {
+        committor: 'Committor probability',
+        stationary: 'Stationary probability (relative to largest)',
+        spectral: 'Spectral component (rescaled)',
+        forecast: 'Forecast affiliation probability',
+        simulation: 'Walker position'
+    },
+
+    // DAG zoom and pan (see SvgViewport)
+    DAG_ZOOM_MAX: 16, // Largest zoom factor relative to the whole figure
+    DAG_ZOOM_STEP: 1.5, // Zoom factor of the zoom buttons
+    DAG_ZOOM_WHEEL_SENSITIVITY: 0.002, // Zoom factor per wheel pixel is exp(-sensitivity * deltaY)
+    DAG_ZOOM_TO_NODE_SCALE: 4, // Zoom factor used to show a single node
+    DAG_ZOOM_PADDING: 0.15, // Margin around zoomed-to elements, as a fraction of their extent
+    DAG_DRAG_THRESHOLD_PX: 4, // Pointer travel before a press becomes a pan
+
+    // Shareable links (see UrlState)
+    URL_STATE_WRITE_DELAY_MS: 250, // Address updates are batched so that playback does not flood the history API
+
+    // Aggregates offered by the date range mode, keyed by MarkovAnalytics.aggregateAffiliations method
+    DATE_RANGE_AGGREGATES: {
+        mean: 'Mean affiliation probability',
+        max: 'Maximum affiliation probability',
+        dominant: 'Fraction of months dominant'
+    },
+    DATE_RANGE_DEFAULT_MONTHS: 12,
+
+    // Date slider playback speeds in months per second
+    PLAYBACK_SPEEDS: [2, 4, 8, 16, 32],
+    PLAYBACK_DEFAULT_SPEED: 8,
+
+    // Affiliation forecast settings
+    FORECAST_MAX_STEPS: 12,
+    FORECAST_DEFAULT_STEPS: 4,
+    FORECAST_STEP_INTERVAL_MS: 900,
+
+    // Monte Carlo simulation settings
+    SIMULATION_STEPS: 24,
+    SIMULATION_RUN_OPTIONS: [100, 1000, 10000],
+    SIMULATION_STEP_INTERVAL_MS: 600,
+
+    // ENSO classes in lambda order, with short labels and CSS colour classes for charts
+    ENSO_CLASSES: ['La Niña', 'Neutral', 'El Niño'],
+    ENSO_CLASS_SHORT_LABELS: ['LN', 'N', 'EN'],
+    ENSO_CLASS_CSS: ['class-la-nina', 'class-neutral', 'class-el-nino'],
+
+    // Spectral analysis settings: leading modes offered for node shading and
+    // the number of metastable sets (3 matches the ENSO phases)
+    SPECTRAL_MAX_MODES: 4,
+    SPECTRAL_MAX_SETS: 6,
+    SPECTRAL_DEFAULT_SETS: 3,
+
+    // Detailed balance report settings
+    REVERSIBILITY_CYCLE_COUNT: 5,
+    REVERSIBILITY_TABLE_ROWS: 20,
+
+    // Empirical transitions at least this probable are reported when no link is published
+    CONSISTENCY_MIN_UNPUBLISHED: 0.05,
+
+    // Number of user-defined groups in the lumped chain
+    LUMPED_MAX_GROUPS: 4,
+
+    // Chain summary settings: total variation threshold and step limit of the mixing time
+    MIXING_EPSILON: 0.25,
+    MIXING_MAX_STEPS: 240,
+
+    // Forecast verification settings
+    RELIABILITY_BIN_COUNT: 10,
+
+    // Uncertainty propagation settings: exported link intervals are read as
+    // 95% intervals and propagated with seeded Dirichlet samples
+    UNCERTAINTY_SAMPLES: 500,
+    UNCERTAINTY_COVERAGE: 0.95,
+    UNCERTAINTY_CI_Z: 1.96,
+    UNCERTAINTY_SEED: 20240601
 };
 
 export const SELECTORS = {
@@ -78,10 +159,81 @@ export const SELECTORS = {
     DATE_SLIDER_LABEL: '#slider-date-label',
     DATE_SLIDER_PREV: '#slider-prev-btn',
     DATE_SLIDER_NEXT: '#slider-next-btn',
+    CLASS_FORECAST_BARS: '#class-forecast-bars',
+    CLASS_FORECAST_SERIES_BUTTON: '#class-forecast-series-btn',
+    DOMINANT_TIMELINE_ROW: '#dominant-timeline-row',
+    DOMINANT_TIMELINE: '#dominant-timeline',
+    DATE_SLIDER_END: '#date-slider-end',
+    DATE_RANGE_ROW: '#date-range-row',
+    DATE_RANGE_TOGGLE: '#date-range-toggle',
+    DATE_RANGE_METHOD: '#date-range-method',
+    DATE_RANGE_VALUE: '#date-range-value',
+    NODE_SEARCH_ROW: '#node-search-row',
+    NODE_SEARCH_INPUT: '#node-search',
+    NODE_SEARCH_PREV: '#node-search-prev-btn',
+    NODE_SEARCH_NEXT: '#node-search-next-btn',
+    NODE_SEARCH_VALUE: '#node-search-value',
+    HIGHLIGHT_ENCODING: '#highlight-encoding',
+    HIGHLIGHT_LEGEND: '#highlight-legend',
+    PLAYBACK_ROW: '#playback-row',
+    PLAYBACK_PLAY_BUTTON: '#playback-play-btn',
+    PLAYBACK_LOOP_TOGGLE: '#playback-loop-toggle',
+    PLAYBACK_SPEED: '#playback-speed',
+    PLAYBACK_FOLLOW_TOGGLE: '#playback-follow-toggle',
+    PLAYBACK_VALUE: '#playback-value',
+    HEATMAP_ROW: '#heatmap-row',
+    HEATMAP_TOGGLE: '#heatmap-toggle',
+    HEATMAP_CLEAR_BUTTON: '#heatmap-clear-btn',
+    HEATMAP_VALUE: '#heatmap-value',
+    HEATMAP_PANEL: '#affiliation-heatmap',
     MFPT_ROW: '#mfpt-row',
     MFPT_NODE_I: '#mfpt-node-i',
     MFPT_NODE_J: '#mfpt-node-j',
     MFPT_VALUE: '#mfpt-value',
+    MFPT_MATRIX_BUTTON: '#mfpt-matrix-btn',
+    COMMITTOR_ROW: '#committor-row',
+    COMMITTOR_SET_A: '#committor-set-a',
+    COMMITTOR_SET_B: '#committor-set-b',
+    COMMITTOR_AUTO_BUTTON: '#committor-auto-btn',
+    COMMITTOR_SHADE_TOGGLE: '#committor-shade-toggle',
+    COMMITTOR_VALUE: '#committor-value',
+    STATIONARY_ROW: '#stationary-row',
+    STATIONARY_TABLE_BUTTON: '#stationary-table-btn',
+    STATIONARY_SHADE_TOGGLE: '#stationary-shade-toggle',
+    STATIONARY_VALUE: '#stationary-value',
+    SPECTRAL_ROW: '#spectral-row',
+    SPECTRAL_SPECTRUM_BUTTON: '#spectral-spectrum-btn',
+    SPECTRAL_SHADE: '#spectral-shade',
+    SPECTRAL_SETS: '#spectral-sets',
+    SPECTRAL_VALUE: '#spectral-value',
+    REVERSIBILITY_ROW: '#reversibility-row',
+    REVERSIBILITY_REPORT_BUTTON: '#reversibility-report-btn',
+    REVERSIBILITY_FLUX_TOGGLE: '#reversibility-flux-toggle',
+    REVERSIBILITY_VALUE: '#reversibility-value',
+    CONSISTENCY_ROW: '#consistency-row',
+    CONSISTENCY_REPORT_BUTTON: '#consistency-report-btn',
+    CONSISTENCY_HIGHLIGHT_TOGGLE: '#consistency-highlight-toggle',
+    CONSISTENCY_VALUE: '#consistency-value',
+    LUMPED_ROW: '#lumped-row',
+    LUMPED_GROUPING: '#lumped-grouping',
+    LUMPED_EDIT_BUTTON: '#lumped-edit-btn',
+    LUMPED_DIAGRAM_TOGGLE: '#lumped-diagram-toggle',
+    LUMPED_VALUE: '#lumped-value',
+    LUMPED_PANEL: '#lumped-panel',
+    CHAIN_SUMMARY_ROW: '#chain-summary-row',
+    CHAIN_SUMMARY_BUTTON: '#chain-summary-btn',
+    CHAIN_SUMMARY_VALUE: '#chain-summary-value',
+    FORECAST_ROW: '#forecast-row',
+    FORECAST_STEPS: '#forecast-steps',
+    FORECAST_PLAY_BUTTON: '#forecast-play-btn',
+    FORECAST_RESET_BUTTON: '#forecast-reset-btn',
+    FORECAST_VALUE: '#forecast-value',
+    SIMULATION_ROW: '#simulation-row',
+    SIMULATION_START: '#simulation-start',
+    SIMULATION_RUNS: '#simulation-runs',
+    SIMULATION_RUN_BUTTON: '#simulation-run-btn',
+    SIMULATION_HISTOGRAM_BUTTON: '#simulation-histogram-btn',
+    SIMULATION_VALUE: '#simulation-value',
     
     // Search interface - DAG section
     DAG_SVG_CONTAINER: '#dag-svg-container',
@@ -95,6 +247,31 @@ export const SELECTORS = {
     DAG_DATE_SLIDER_LABEL: '#dag-slider-date-label',
     DAG_DATE_SLIDER_PREV: '#dag-slider-prev-btn',
     DAG_DATE_SLIDER_NEXT: '#dag-slider-next-btn',
+    DAG_DATE_SLIDER_END: '#dag-date-slider-end',
+    DAG_DATE_RANGE_ROW: '#dag-date-range-row',
+    DAG_DATE_RANGE_TOGGLE: '#dag-date-range-toggle',
+    DAG_DATE_RANGE_METHOD: '#dag-date-range-method',
+    DAG_DATE_RANGE_VALUE: '#dag-date-range-value',
+    DAG_NODE_SEARCH_ROW: '#dag-node-search-row',
+    DAG_NODE_SEARCH_INPUT: '#dag-node-search',
+    DAG_NODE_SEARCH_PREV: '#dag-node-search-prev-btn',
+    DAG_NODE_SEARCH_NEXT: '#dag-node-search-next-btn',
+    DAG_NODE_SEARCH_VALUE: '#dag-node-search-value',
+    DAG_VIEW_ROW: '#dag-view-row',
+    DAG_ZOOM_IN_BUTTON: '#dag-zoom-in-btn',
+    DAG_ZOOM_OUT_BUTTON: '#dag-zoom-out-btn',
+    DAG_ZOOM_FIT_BUTTON: '#dag-zoom-fit-btn',
+    DAG_ZOOM_PATH_BUTTON: '#dag-zoom-path-btn',
+    DAG_ZOOM_VALUE: '#dag-zoom-value',
+    DAG_HIGHLIGHT_ENCODING: '#dag-highlight-encoding',
+    DAG_HIGHLIGHT_LEGEND: '#dag-highlight-legend',
+    DAG_PLAYBACK_ROW: '#dag-playback-row',
+    DAG_PLAYBACK_PLAY_BUTTON: '#dag-playback-play-btn',
+    DAG_PLAYBACK_LOOP_TOGGLE: '#dag-playback-loop-toggle',
+    DAG_PLAYBACK_SPEED: '#dag-playback-speed',
+    DAG_PLAYBACK_FOLLOW_TOGGLE: '#dag-playback-follow-toggle',
+    DAG_DOMINANT_TIMELINE_ROW: '#dag-dominant-timeline-row',
+    DAG_DOMINANT_TIMELINE: '#dag-dominant-timeline',
     DAG_PROB_ROW: '#dag-prob-row',
     DAG_PROB_NODE_I: '#dag-prob-node-i',
     DAG_PROB_LEVEL_N: '#dag-prob-level-n',
@@ -107,6 +284,10 @@ export const SELECTORS = {
     DAG_PATH_NODE_J: '#dag-path-node-j',
     DAG_PATH_LEVEL_M: '#dag-path-level-m',
     DAG_PATH_VALUE: '#dag-path-value',
+    DAG_VERIFICATION_ROW: '#dag-verification-row',
+    DAG_VERIFICATION_BUTTON: '#dag-verification-btn',
+    DAG_VERIFICATION_VALUE: '#dag-verification-value',
+    DAG_RELIABILITY_BUTTON: '#dag-reliability-btn',
     
     // Search interface - Case Study section
     CASE_STUDY_YEAR_INPUT: '#target-year',
@@ -165,6 +346,14 @@ export const CSS_CLASSES = {
     HIGHLIGHT: 'highlight-node', // Default highlight for nodes
     HIGHLIGHT_NODE: 'highlight-node',
     HIGHLIGHT_EDGE: 'highlight-edge',
+    SIMULATION_WALKER: 'simulation-walker',
+    PLAYBACK_FOLLOWED: 'playback-followed',
+    SEARCH_MATCH: 'search-match',
+    SEARCH_FOCUS: 'search-focus',
+    FLUX_FORWARD: 'flux-forward',
+    FLUX_AGAINST: 'flux-against',
+    FLUX_BALANCED: 'flux-balanced',
+    CONSISTENCY_FLAGGED: 'consistency-flagged',
     
     // Interactive classes
     NODE_INTERACTIVE: 'node-interactive',
@@ -198,7 +387,12 @@ export const EVENTS = {
 export const KEYS = {
     ARROW_DOWN: 'ArrowDown',
     ARROW_UP: 'ArrowUp',
+    ARROW_LEFT: 'ArrowLeft',
+    ARROW_RIGHT: 'ArrowRight',
+    HOME: 'Home',
+    END: 'End',
     ENTER: 'Enter',
+    SPACE: ' ',
     ESCAPE: 'Escape'
 };
 